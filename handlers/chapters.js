@@ -0,0 +1,342 @@
+const { getMangaDetails, loadMangaDetails, createMangaDetailsMessage } = require('../utils/details');
+const { createChapterKeyboard, storeMangaData, CHAPTERS_PER_PAGE } = require('../utils/chapters');
+const { createChapterListMessage } = require('../utils/chapterList');
+const { getSource, getChatSourceName } = require('../utils/sources');
+const { createCallbackData } = require('../utils/callbackTokens');
+const { parsers } = require('../utils/router');
+const {
+  sendMessageWithAutoDeletion,
+  sendPhotoWithAutoDeletion,
+  safeEditOrSend,
+  DELETION_TIMEOUTS
+} = require('../utils/deletion');
+const { logger, sourceErrorText } = require('./common');
+
+// Message shown when stored manga data is gone and cannot be fetched again
+async function sendMangaNotFound(ctx, text = 'Sorry, manga details not found. Please try searching again.') {
+  await sendMessageWithAutoDeletion(ctx.bot, ctx.chatId, {
+    text,
+    reply_markup: {
+      inline_keyboard: [[{
+        text: '🔍 New Search',
+        callback_data: 'quick_search'
+      }]]
+    }
+  }, {}, DELETION_TIMEOUTS.ERROR_MESSAGE);
+}
+
+// Manga details for a button, replying when they cannot be loaded: a source that is down is
+// reported as such, anything else as not found. Resolves to null once it has replied
+async function loadDetailsOrReply(ctx, mangaId, sourceName, notFoundText) {
+  try {
+    const details = await loadMangaDetails(mangaId, sourceName);
+    if (!details) await sendMangaNotFound(ctx, notFoundText);
+    return details;
+  } catch (error) {
+    logger.error('Manga details unavailable', { chatId: ctx.chatId, mangaId, error: error.message });
+    await sendMangaNotFound(ctx, sourceErrorText(error, notFoundText));
+    return null;
+  }
+}
+
+// Error message with a button that retries the given callback
+function createRetryMessage(text, callbackData) {
+  return {
+    text,
+    reply_markup: {
+      inline_keyboard: [[{
+        text: '🔄 Retry',
+        callback_data: callbackData
+      }]]
+    }
+  };
+}
+
+/**
+ * Register /details and /chapters
+ * @param {Object} commands - Command registry
+ */
+function registerCommands(commands) {
+  commands.command({
+    name: 'details',
+    args: '<manga_id>',
+    argsRequired: true,
+    description: 'Get detailed manga info',
+    section: 'info',
+    handler: async ({ bot, chatId, args: mangaId }) => {
+      logger.info('Fetching manga details', { chatId, mangaId });
+      const loadingMsg = await sendMessageWithAutoDeletion(
+        bot,
+        chatId,
+        `📚 Loading details for manga ID: ${mangaId}...`,
+        {},
+        DELETION_TIMEOUTS.LOADING_MESSAGE
+      );
+
+      const sourceName = getChatSourceName(chatId);
+      try {
+        const details = await getMangaDetails(mangaId, sourceName);
+
+        if (!details) {
+          await safeEditOrSend(bot, chatId, loadingMsg.message_id, createRetryMessage(
+            '❌ Could not fetch manga details. Please check the manga ID and try again.',
+            createCallbackData('det', { mangaId, sourceName })
+          ), false, DELETION_TIMEOUTS.ERROR_MESSAGE);
+          logger.warn('Failed to fetch manga details', { chatId, mangaId });
+          return;
+        }
+
+        storeMangaData(mangaId, details, sourceName);
+        logger.info('Stored manga details', { chatId, mangaId });
+
+        const messageOptions = createMangaDetailsMessage(details, sourceName);
+        if (messageOptions.photo) {
+          await sendPhotoWithAutoDeletion(bot, chatId, messageOptions.photo, {
+            caption: messageOptions.caption,
+            parse_mode: messageOptions.parse_mode,
+            reply_markup: messageOptions.reply_markup
+          }, DELETION_TIMEOUTS.MANGA_DETAILS);
+          logger.info('Sent manga details with photo', { chatId, mangaId });
+        } else {
+          await safeEditOrSend(bot, chatId, loadingMsg.message_id, {
+            text: messageOptions.text,
+            reply_markup: messageOptions.reply_markup,
+            parse_mode: messageOptions.parse_mode
+          }, false, DELETION_TIMEOUTS.MANGA_DETAILS);
+          logger.info('Sent manga details', { chatId, mangaId });
+        }
+      } catch (error) {
+        logger.error('Details fetch failed', { chatId, mangaId, error: error.message });
+        await safeEditOrSend(bot, chatId, loadingMsg.message_id, createRetryMessage(
+          sourceErrorText(error, '❌ Failed to fetch manga details. Please try again later.'),
+          createCallbackData('det', { mangaId, sourceName })
+        ), false, DELETION_TIMEOUTS.ERROR_MESSAGE);
+      }
+    }
+  });
+
+  commands.command({
+    name: 'chapters',
+    args: '<manga_id>',
+    argsRequired: true,
+    description: 'List all chapters',
+    section: 'info',
+    handler: async ({ bot, chatId, args: mangaId }) => {
+      logger.info('Fetching chapters', { chatId, mangaId });
+      const loadingMsg = await sendMessageWithAutoDeletion(
+        bot,
+        chatId,
+        `📚 Loading chapters for manga ID: ${mangaId}...`,
+        {},
+        DELETION_TIMEOUTS.LOADING_MESSAGE
+      );
+
+      const sourceName = getChatSourceName(chatId);
+      try {
+        const details = await getMangaDetails(mangaId, sourceName);
+
+        if (!details) {
+          await safeEditOrSend(bot, chatId, loadingMsg.message_id, createRetryMessage(
+            '❌ Could not fetch manga details. Please check the manga ID and try again.',
+            createCallbackData('det', { mangaId, sourceName })
+          ), false, DELETION_TIMEOUTS.ERROR_MESSAGE);
+          logger.warn('Failed to fetch manga details for chapters', { chatId, mangaId });
+          return;
+        }
+
+        storeMangaData(mangaId, details, sourceName);
+        logger.info('Stored manga data for chapters', { chatId, mangaId });
+
+        const messageOptions = createChapterListMessage(details.chapters, details.title, mangaId, 0, sourceName);
+        if (details.imageUrl) {
+          await sendPhotoWithAutoDeletion(bot, chatId, getSource(sourceName).imageUrl(details.imageUrl), {
+            caption: messageOptions.text,
+            parse_mode: messageOptions.parse_mode,
+            reply_markup: messageOptions.reply_markup
+          }, DELETION_TIMEOUTS.CHAPTER_LIST);
+          logger.info('Sent chapters with photo', { chatId, mangaId });
+        } else {
+          await safeEditOrSend(bot, chatId, loadingMsg.message_id, {
+            text: messageOptions.text,
+            reply_markup: messageOptions.reply_markup,
+            parse_mode: messageOptions.parse_mode
+          }, false, DELETION_TIMEOUTS.CHAPTER_LIST);
+          logger.info('Sent chapters', { chatId, mangaId });
+        }
+      } catch (error) {
+        logger.error('Chapters fetch failed', { chatId, mangaId, error: error.message });
+        await safeEditOrSend(bot, chatId, loadingMsg.message_id, createRetryMessage(
+          sourceErrorText(error, '❌ Failed to fetch chapters. Please try again later.'),
+          createCallbackData('chlist', { mangaId, sourceName, page: 0 })
+        ), false, DELETION_TIMEOUTS.ERROR_MESSAGE);
+      }
+    }
+  });
+}
+
+/**
+ * Register manga details and chapter navigation callbacks
+ * @param {Object} router - Callback router
+ */
+function registerCallbacks(router) {
+  // Buttons sent before callback tokens carry the raw manga ID
+  router.action('det', {
+    parse: parsers.tokenOr('mangaId'),
+    loading: ctx => `📚 Loading details for ${ctx.payload.mangaId}...`,
+    handler: async ({ bot, chatId, messageId, data, payload }) => {
+      const { mangaId } = payload;
+      logger.info('Processing details callback', { chatId, mangaId });
+
+      // A button resolves against the source it was made for; raw-ID buttons predate that
+      const sourceName = payload.sourceName || getChatSourceName(chatId);
+      const details = await getMangaDetails(mangaId, sourceName);
+      if (details) {
+        storeMangaData(mangaId, details, sourceName);
+        logger.info('Stored manga details from callback', { chatId, mangaId });
+
+        const messageOptions = createMangaDetailsMessage(details, sourceName);
+        if (messageOptions.photo) {
+          await sendPhotoWithAutoDeletion(bot, chatId, messageOptions.photo, {
+            caption: messageOptions.caption,
+            reply_markup: messageOptions.reply_markup,
+            parse_mode: messageOptions.parse_mode
+          }, DELETION_TIMEOUTS.MANGA_DETAILS);
+        } else {
+          await safeEditOrSend(bot, chatId, messageId, {
+            text: messageOptions.text,
+            reply_markup: messageOptions.reply_markup,
+            parse_mode: messageOptions.parse_mode
+          }, false, DELETION_TIMEOUTS.MANGA_DETAILS);
+        }
+        logger.info('Sent manga details', { chatId, mangaId });
+      } else {
+        await safeEditOrSend(bot, chatId, messageId, {
+          text: '❌ Could not find manga details. Please check the manga ID and try again.',
+          reply_markup: {
+            inline_keyboard: [[{
+              text: '🔄 Retry',
+              callback_data: data
+            }]]
+          }
+        }, false, DELETION_TIMEOUTS.ERROR_MESSAGE);
+        logger.warn('Failed to fetch manga details', { chatId, mangaId });
+      }
+    }
+  });
+
+  router.action('chp', {
+    parse: parsers.token,
+    onInvalid: ctx => sendMangaNotFound(ctx),
+    handler: async ctx => {
+      const { bot, chatId, message: msg } = ctx;
+      const { mangaId, page } = ctx.payload;
+      logger.info('Processing chapter pagination', { chatId, mangaId, page });
+
+      // A button resolves against the source it was made for; older buttons predate that
+      const source = getSource(ctx.payload.sourceName || getChatSourceName(chatId));
+      const details = await loadDetailsOrReply(ctx, mangaId, source.name);
+      if (!details) {
+        logger.warn('No manga details found for chapter pagination', { chatId, mangaId });
+        return;
+      }
+
+      const chapterKeyboard = createChapterKeyboard(details.chapters, mangaId, page, source.name);
+      const startIndex = page * CHAPTERS_PER_PAGE;
+      const endIndex = Math.min(startIndex + CHAPTERS_PER_PAGE, details.chapters.length);
+
+      const caption = `
+*${details.title}*
+
+*Author:* ${details.author}
+*Status:* ${details.status}
+*Updated at:* ${details.updatedAt}
+*Views:* ${details.views}
+*Genres:* ${details.genres.join(', ')}
+*Rating:* ${details.rating}
+*Votes:* ${details.votes}
+*Read Online:* [${source.displayName}](${source.mangaUrl(details.id)})
+
+*Summary:*
+${details.summary}
+
+📃 *Chapters (${startIndex + 1}-${endIndex} of ${details.chapters.length}):*
+      `;
+
+      try {
+        await bot.editMessageReplyMarkup(chapterKeyboard, {
+          chat_id: chatId,
+          message_id: msg.message_id
+        });
+        logger.info('Updated chapter pagination buttons', { chatId, mangaId, page });
+      } catch (error) {
+        logger.warn('Failed to edit chapter reply markup', { chatId, error: error.message });
+        if (msg.photo && msg.photo.length > 0) {
+          await safeEditOrSend(bot, chatId, msg.message_id, {
+            caption: caption,
+            reply_markup: chapterKeyboard,
+            parse_mode: 'Markdown'
+          }, true, DELETION_TIMEOUTS.CHAPTER_LIST);
+        } else {
+          await safeEditOrSend(bot, chatId, msg.message_id, {
+            text: caption,
+            reply_markup: chapterKeyboard,
+            parse_mode: 'Markdown'
+          }, false, DELETION_TIMEOUTS.CHAPTER_LIST);
+        }
+        logger.info('Sent new chapter message', { chatId, mangaId, page });
+      }
+    }
+  });
+
+  router.action('chlist', {
+    parse: parsers.token,
+    onInvalid: async ctx => {
+      await sendMessageWithAutoDeletion(ctx.bot, ctx.chatId, {
+        text: '❌ Invalid pagination data.',
+        reply_markup: {
+          inline_keyboard: [[{
+            text: '🏠 Back to Start',
+            callback_data: 'back_to_start'
+          }]]
+        }
+      }, {}, DELETION_TIMEOUTS.ERROR_MESSAGE);
+      logger.error('Invalid chapter list pagination data', { chatId: ctx.chatId, data: ctx.data });
+    },
+    handler: async ctx => {
+      const { bot, chatId, message: msg } = ctx;
+      const { mangaId, page } = ctx.payload;
+      logger.info('Processing chapter list pagination', { chatId, mangaId, page });
+
+      const sourceName = ctx.payload.sourceName || getChatSourceName(chatId);
+      const details = await loadDetailsOrReply(ctx, mangaId, sourceName, 'Session expired. Please use /chapters command again.');
+      if (!details) {
+        logger.warn('No manga data found for chapter list pagination', { chatId, mangaId });
+        return;
+      }
+
+      const messageOptions = createChapterListMessage(details.chapters, details.title, mangaId, page, sourceName);
+
+      if (msg.photo && msg.photo.length > 0) {
+        await safeEditOrSend(bot, chatId, msg.message_id, {
+          caption: messageOptions.text,
+          reply_markup: messageOptions.reply_markup,
+          parse_mode: messageOptions.parse_mode
+        }, true, DELETION_TIMEOUTS.CHAPTER_LIST);
+      } else {
+        await safeEditOrSend(bot, chatId, msg.message_id, {
+          text: messageOptions.text,
+          reply_markup: messageOptions.reply_markup,
+          parse_mode: messageOptions.parse_mode
+        }, false, DELETION_TIMEOUTS.CHAPTER_LIST);
+      }
+      logger.info('Updated chapter list pagination', { chatId, mangaId, page });
+    }
+  });
+}
+
+module.exports = {
+  registerCommands,
+  registerCallbacks,
+  sendMangaNotFound,
+  loadDetailsOrReply
+};
@@ -0,0 +1,40 @@
+const winston = require('winston');
+const { sourceErrorText } = require('../utils/http');
+
+// Configure Winston logger
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.json()
+  ),
+  defaultMeta: { service: 'telegram-bot' },
+  transports: [
+    new winston.transports.File({ filename: 'error.log', level: 'error' }),
+    new winston.transports.File({ filename: 'combined.log' }),
+    new winston.transports.Console()
+  ]
+});
+
+// Helper function to check if message is from group
+function isGroupChat(msg) {
+  return msg.chat.type === 'group' || msg.chat.type === 'supergroup';
+}
+
+// Helper function to get bot username safely
+async function getBotUsername(bot) {
+  try {
+    const botInfo = await bot.getMe();
+    return botInfo.username || 'duckdex_bot';
+  } catch (error) {
+    logger.error('Failed to get bot username', { error: error.message });
+    return 'duckdex_bot';
+  }
+}
+
+module.exports = {
+  logger,
+  isGroupChat,
+  getBotUsername,
+  sourceErrorText
+};
@@ -0,0 +1,286 @@
+const { runSpeedTest, formatSpeedTestResults } = require('../utils/speedtest');
+const { checkLatency, formatPingResults } = require('../utils/ping');
+const { getCacheStats } = require('../utils/sources');
+const { formatCacheStats } = require('../utils/cache');
+const { sendMessageWithAutoDeletion, safeEditOrSend, DELETION_TIMEOUTS } = require('../utils/deletion');
+const { logger, isGroupChat, getBotUsername } = require('./common');
+
+/**
+ * Create the welcome message shown by /start and the "Back to Start" button
+ * @param {string} greeting - Greeting line, e.g. 'Welcome to DuckDex Bot, Sam!'
+ * @param {boolean} isGroup - Whether the chat is a group
+ * @param {string} botUsername - Bot username for the group usage hint
+ * @returns {Object} - Message options with text and keyboard
+ */
+function createWelcomeMessage(greeting, isGroup, botUsername) {
+  const text = `
+🦆✨ **${greeting}** ✨🦆
+
+🎯 **Your Ultimate Manga Companion**
+
+🌟 **What I can do for you:**
+📚 **Search** - Find any manga instantly
+📖 **Details** - Get comprehensive manga info
+📃 **Chapters** - Browse all available chapters
+🔥 **Latest** - Stay updated with new releases
+📊 **Categories** - Explore by manga types
+🎨 **Genres** - Discover by your favorite genres
+📄 **PDF Export** - Download chapters as PDF
+
+${isGroup ? `🏢 **Group Usage:** Mention me with @${botUsername} or reply to my messages\n` : ''}💡 **Quick Start:** Just type a manga name or use /help for all commands!
+
+🚀 **Ready to dive into the world of manga?**
+  `;
+
+  const keyboard = {
+    inline_keyboard: [
+      [
+        { text: '🔍 Search Manga', callback_data: 'quick_search' },
+        { text: '🔥 Latest Updates', callback_data: 'latest_manga' }
+      ],
+      [
+        { text: '📊 Browse Categories', callback_data: 'mangalist_categories' },
+        { text: '🎨 Browse Genres', callback_data: 'genre_back' }
+      ],
+      [
+        { text: '🚀 Speed Test', callback_data: 'speedtest' },
+        { text: '🏓 Ping Test', callback_data: 'ping' }
+      ],
+      [
+        { text: '❓ Help & Commands', callback_data: 'show_help' }
+      ]
+    ]
+  };
+
+  return {
+    text,
+    reply_markup: keyboard,
+    parse_mode: 'Markdown'
+  };
+}
+
+/**
+ * Create the help message shown by /help and the "Help & Commands" button
+ * @param {Object} commands - Command registry the command list is generated from
+ * @param {boolean} isGroup - Whether the chat is a group
+ * @param {string} botUsername - Bot username for the group usage hint
+ * @returns {Object} - Message options with text and keyboard
+ */
+function createHelpMessage(commands, isGroup, botUsername) {
+  const text = `
+🤖✨ **DuckDex Bot - Command Guide** ✨🤖
+
+${commands.createHelpText(isGroup)}
+
+${isGroup ? `🏢 **Group Usage:**\nMention me with @${botUsername} or reply to my messages\n\n` : ''}💡 **Pro Tips:**
+• Just type a manga name to search instantly!
+• Use buttons for easier navigation
+• Commands work in both private and group chats
+• All results include interactive buttons
+
+🚀 **Ready to explore manga? Try any command above!**
+  `;
+
+  const keyboard = {
+    inline_keyboard: [
+      [
+        { text: '🔍 Quick Search', callback_data: 'quick_search' },
+        { text: '🔥 Latest Manga', callback_data: 'latest_manga' }
+      ],
+      [
+        { text: '📊 Categories', callback_data: 'mangalist_categories' },
+        { text: '🎨 Genres', callback_data: 'genre_back' }
+      ],
+      [
+        { text: '🏠 Back to Start', callback_data: 'back_to_start' }
+      ]
+    ]
+  };
+
+  return {
+    text,
+    reply_markup: keyboard,
+    parse_mode: 'Markdown'
+  };
+}
+
+// Keyboard under speed test and ping results
+function createTestAgainKeyboard(action) {
+  return {
+    inline_keyboard: [
+      [
+        { text: '🔁 Test Again', callback_data: action },
+        { text: '🏠 Back to Start', callback_data: 'back_to_start' }
+      ]
+    ]
+  };
+}
+
+/**
+ * Register /start, /help, /cancel, /speedtest, /ping and /stats
+ * @param {Object} commands - Command registry
+ * @param {Object} services - Shared services ({ conversations })
+ */
+function registerCommands(commands, { conversations }) {
+  commands.command({
+    name: 'start',
+    description: 'Welcome message with quick actions',
+    handler: async ({ bot, msg, chatId, botUsername }) => {
+      const userName = msg.from.first_name || 'there';
+      const messageOptions = createWelcomeMessage(`Welcome to DuckDex Bot, ${userName}!`, isGroupChat(msg), botUsername);
+      await sendMessageWithAutoDeletion(bot, chatId, messageOptions, {}, DELETION_TIMEOUTS.USER_INTERACTION);
+      logger.info('Sent start message', { chatId, chatType: msg.chat.type, userName });
+    }
+  });
+
+  commands.command({
+    name: 'help',
+    description: 'Show this comprehensive guide',
+    handler: async ({ bot, msg, chatId, botUsername }) => {
+      const messageOptions = createHelpMessage(commands, isGroupChat(msg), botUsername);
+      await sendMessageWithAutoDeletion(bot, chatId, messageOptions, {}, DELETION_TIMEOUTS.USER_INTERACTION);
+      logger.info('Sent help message', { chatId, chatType: msg.chat.type });
+    }
+  });
+
+  commands.command({
+    name: 'cancel',
+    description: 'Cancel the current prompt',
+    handler: async ({ bot, msg, chatId }) => {
+      const cancelled = conversations.cancel(chatId, msg.from.id);
+      await sendMessageWithAutoDeletion(
+        bot,
+        chatId,
+        cancelled ? '✖ Cancelled.' : 'ℹ️ There is nothing to cancel.',
+        { reply_to_message_id: msg.message_id },
+        DELETION_TIMEOUTS.TEMPORARY_INFO
+      );
+    }
+  });
+
+  commands.command({
+    name: 'speedtest',
+    description: "Test Bot's machine internet speed",
+    handler: ({ bot, chatId }) => runDiagnostic(bot, chatId, {
+      action: 'speedtest',
+      loadingText: '🚀 Running speed test...',
+      run: async () => formatSpeedTestResults(await runSpeedTest()),
+      errorText: '❌ Failed to run speed test. Please try again later.'
+    })
+  });
+
+  commands.command({
+    name: 'ping',
+    description: "Test Bot's response latency",
+    handler: ({ bot, chatId }) => runDiagnostic(bot, chatId, {
+      action: 'ping',
+      loadingText: '🏓 Running ping test...',
+      run: async () => formatPingResults(await checkLatency()),
+      errorText: '❌ Failed to run ping test. Please try again later.'
+    })
+  });
+
+  commands.command({
+    name: 'stats',
+    description: 'Show response cache hit/miss counters',
+    scope: ['private', 'admin'],
+    handler: async ({ bot, chatId }) => {
+      await sendMessageWithAutoDeletion(
+        bot,
+        chatId,
+        formatCacheStats(getCacheStats()),
+        { parse_mode: 'Markdown' },
+        DELETION_TIMEOUTS.USER_INTERACTION
+      );
+      logger.info('Sent cache statistics', { chatId });
+    }
+  });
+}
+
+// Run a speed or ping test, replacing a loading message with the results
+async function runDiagnostic(bot, chatId, { action, loadingText, run, errorText }) {
+  logger.info('Running diagnostic', { chatId, action });
+  const loadingMsg = await sendMessageWithAutoDeletion(bot, chatId, loadingText, {}, DELETION_TIMEOUTS.LOADING_MESSAGE);
+
+  try {
+    const formattedResults = await run();
+    await safeEditOrSend(bot, chatId, loadingMsg.message_id, {
+      text: formattedResults,
+      parse_mode: 'Markdown',
+      reply_markup: createTestAgainKeyboard(action)
+    }, false, DELETION_TIMEOUTS.USER_INTERACTION);
+    logger.info('Sent diagnostic results', { chatId, action });
+  } catch (error) {
+    logger.error('Diagnostic failed', { chatId, action, error: error.message });
+    await safeEditOrSend(bot, chatId, loadingMsg.message_id, {
+      text: errorText,
+      reply_markup: createTestAgainKeyboard(action)
+    }, false, DELETION_TIMEOUTS.ERROR_MESSAGE);
+  }
+}
+
+/**
+ * Register start, help and diagnostics callbacks
+ * @param {Object} router - Callback router
+ * @param {Object} services - Shared services ({ commands } for the generated help message)
+ */
+function registerCallbacks(router, { commands }) {
+  router.action('speedtest', {
+    loading: '🚀 Running speed test...',
+    handler: async ({ bot, chatId, messageId }) => {
+      logger.info('Speed test callback triggered', { chatId });
+      const results = await runSpeedTest();
+      await safeEditOrSend(bot, chatId, messageId, {
+        text: formatSpeedTestResults(results),
+        parse_mode: 'Markdown',
+        reply_markup: createTestAgainKeyboard('speedtest')
+      }, false, DELETION_TIMEOUTS.USER_INTERACTION);
+    }
+  });
+
+  router.action('ping', {
+    loading: '🏓 Running ping test...',
+    handler: async ({ bot, chatId, messageId }) => {
+      logger.info('Ping test callback triggered', { chatId });
+      const results = await checkLatency();
+      await safeEditOrSend(bot, chatId, messageId, {
+        text: formatPingResults(results),
+        parse_mode: 'Markdown',
+        reply_markup: createTestAgainKeyboard('ping')
+      }, false, DELETION_TIMEOUTS.USER_INTERACTION);
+    }
+  });
+
+  router.action('show_help', {
+    handler: async ({ bot, chatId, messageId, message }) => {
+      logger.info('Show help callback triggered', { chatId });
+      const botUsername = await getBotUsername(bot);
+      const messageOptions = createHelpMessage(commands, isGroupChat(message), botUsername);
+      await safeEditOrSend(bot, chatId, messageId, messageOptions, false, DELETION_TIMEOUTS.USER_INTERACTION);
+    }
+  });
+
+  router.action('back_to_start', {
+    handler: async ({ bot, chatId, messageId, message }) => {
+      logger.info('Back to start callback triggered', { chatId });
+      const botUsername = await getBotUsername(bot);
+      const messageOptions = createWelcomeMessage('Welcome back to DuckDex Bot!', isGroupChat(message), botUsername);
+      await safeEditOrSend(bot, chatId, messageId, messageOptions, false, DELETION_TIMEOUTS.USER_INTERACTION);
+    }
+  });
+
+  // Page counter buttons in paginated keyboards do nothing
+  router.action('page_info', {
+    handler: async ({ chatId }) => {
+      logger.debug('Ignored page_info callback', { chatId });
+    }
+  });
+}
+
+module.exports = {
+  registerCommands,
+  registerCallbacks,
+  createWelcomeMessage,
+  createHelpMessage,
+  createTestAgainKeyboard
+};
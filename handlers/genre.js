@@ -0,0 +1,222 @@
+const { fetchGenres, fetchMangaByGenre, createGenreSelectionMessage, createGenreMangaListMessage, getGenreDisplayName, isValidGenre } = require('../utils/genre');
+const { getChatSourceName } = require('../utils/sources');
+const { parsers } = require('../utils/router');
+const { sendMessageWithAutoDeletion, safeEditOrSend, DELETION_TIMEOUTS } = require('../utils/deletion');
+const { logger, sourceErrorText } = require('./common');
+
+const backToGenresKeyboard = {
+  inline_keyboard: [[{
+    text: '🔙 Back to Genres',
+    callback_data: 'genre_back'
+  }]]
+};
+
+const retryGenresKeyboard = {
+  inline_keyboard: [[{
+    text: '🔄 Try Again',
+    callback_data: 'genre_back'
+  }]]
+};
+
+// Replace the callback message with a page of the genre selection
+async function showGenres({ bot, chatId, messageId }, page) {
+  const genres = await fetchGenres(getChatSourceName(chatId));
+
+  if (genres) {
+    const messageOptions = createGenreSelectionMessage(genres, page);
+    await safeEditOrSend(bot, chatId, messageId, {
+      text: messageOptions.text,
+      reply_markup: messageOptions.reply_markup,
+      parse_mode: messageOptions.parse_mode
+    }, false, DELETION_TIMEOUTS.USER_INTERACTION);
+    logger.info('Updated genre selection page', { chatId, page });
+  } else {
+    await safeEditOrSend(bot, chatId, messageId, {
+      text: '❌ Failed to fetch genres. Please try again later.',
+      reply_markup: retryGenresKeyboard
+    }, false, DELETION_TIMEOUTS.ERROR_MESSAGE);
+    logger.warn('Failed to fetch genres', { chatId });
+  }
+}
+
+// /genre <slug>: first page of manga in a genre
+async function sendGenreMangaList(bot, chatId, genreSlug) {
+  logger.info('Fetching manga for genre', { chatId, genreSlug });
+  const loadingMsg = await sendMessageWithAutoDeletion(
+    bot,
+    chatId,
+    `🎭 Loading ${genreSlug} manga...`,
+    {},
+    DELETION_TIMEOUTS.LOADING_MESSAGE
+  );
+
+  try {
+    const sourceName = getChatSourceName(chatId);
+    const genres = await fetchGenres(sourceName);
+
+    if (!genres || !isValidGenre(genres, genreSlug)) {
+      await safeEditOrSend(bot, chatId, loadingMsg.message_id, {
+        text: `❌ Invalid genre: ${genreSlug}\n\nUse /genre to see all available genres.`,
+        reply_markup: {
+          inline_keyboard: [[{
+            text: '🎨 View All Genres',
+            callback_data: 'genre_back'
+          }]]
+        }
+      }, false, DELETION_TIMEOUTS.ERROR_MESSAGE);
+      logger.warn('Invalid genre provided', { chatId, genreSlug });
+      return;
+    }
+
+    const genreDisplayName = getGenreDisplayName(genres, genreSlug);
+    const data = await fetchMangaByGenre(genreSlug, 1, sourceName);
+
+    if (data) {
+      const messageOptions = createGenreMangaListMessage(data, genreSlug, genreDisplayName, 1, sourceName);
+      await safeEditOrSend(bot, chatId, loadingMsg.message_id, {
+        text: messageOptions.text,
+        reply_markup: messageOptions.reply_markup,
+        parse_mode: messageOptions.parse_mode
+      }, false, DELETION_TIMEOUTS.SEARCH_RESULTS);
+      logger.info('Sent genre manga list', { chatId, genreSlug });
+    } else {
+      await safeEditOrSend(bot, chatId, loadingMsg.message_id, {
+        text: '❌ Failed to fetch manga list. Please try again later.',
+        reply_markup: backToGenresKeyboard
+      }, false, DELETION_TIMEOUTS.ERROR_MESSAGE);
+      logger.warn('Failed to fetch genre manga list', { chatId, genreSlug });
+    }
+  } catch (error) {
+    logger.error('Genre manga fetch failed', { chatId, genreSlug, error: error.message });
+    await safeEditOrSend(bot, chatId, loadingMsg.message_id, {
+      text: sourceErrorText(error, '❌ Failed to fetch manga list. Please try again later.'),
+      reply_markup: backToGenresKeyboard
+    }, false, DELETION_TIMEOUTS.ERROR_MESSAGE);
+  }
+}
+
+// /genre without arguments: the genre selection
+async function sendGenreSelection(bot, chatId) {
+  logger.info('Fetching genres list', { chatId });
+  const loadingMsg = await sendMessageWithAutoDeletion(
+    bot,
+    chatId,
+    '🎭 Loading genres...',
+    {},
+    DELETION_TIMEOUTS.LOADING_MESSAGE
+  );
+
+  try {
+    const genres = await fetchGenres(getChatSourceName(chatId));
+
+    if (genres) {
+      const messageOptions = createGenreSelectionMessage(genres, 0);
+      await safeEditOrSend(bot, chatId, loadingMsg.message_id, {
+        text: messageOptions.text,
+        reply_markup: messageOptions.reply_markup,
+        parse_mode: messageOptions.parse_mode
+      }, false, DELETION_TIMEOUTS.USER_INTERACTION);
+      logger.info('Sent genre selection', { chatId });
+    } else {
+      await safeEditOrSend(bot, chatId, loadingMsg.message_id, {
+        text: '❌ Failed to fetch genres. Please try again later.',
+        reply_markup: retryGenresKeyboard
+      }, false, DELETION_TIMEOUTS.ERROR_MESSAGE);
+      logger.warn('Failed to fetch genres', { chatId });
+    }
+  } catch (error) {
+    logger.error('Genres fetch failed', { chatId, error: error.message });
+    await safeEditOrSend(bot, chatId, loadingMsg.message_id, {
+      text: sourceErrorText(error, '❌ Failed to fetch genres. Please try again later.'),
+      reply_markup: retryGenresKeyboard
+    }, false, DELETION_TIMEOUTS.ERROR_MESSAGE);
+  }
+}
+
+/**
+ * Register /genre
+ * @param {Object} commands - Command registry
+ */
+function registerCommands(commands) {
+  commands.command({
+    name: 'genre',
+    args: '[genre]',
+    description: 'Explore by genres',
+    section: 'discovery',
+    handler: async ({ bot, chatId, args }) => {
+      if (args) {
+        await sendGenreMangaList(bot, chatId, args);
+      } else {
+        await sendGenreSelection(bot, chatId);
+      }
+    }
+  });
+}
+
+/**
+ * Register genre browsing callbacks
+ * @param {Object} router - Callback router
+ */
+function registerCallbacks(router) {
+  router.action('genre_back', {
+    loading: '🎭 Loading genres...',
+    handler: async ctx => {
+      logger.info('Showing genres list', { chatId: ctx.chatId });
+      await showGenres(ctx, 0);
+    }
+  });
+
+  router.action('genre_page', {
+    parse: parsers.int('page'),
+    loading: ctx => `🎭 Loading genres page ${ctx.payload.page}...`,
+    handler: async ctx => {
+      logger.info('Showing genres page', { chatId: ctx.chatId, page: ctx.payload.page });
+      await showGenres(ctx, ctx.payload.page);
+    }
+  });
+
+  router.action('genre', {
+    parse: parsers.slugAndPage('genreSlug'),
+    loading: ctx => `🎭 Loading ${ctx.payload.genreSlug} manga... (Page ${ctx.payload.page})`,
+    handler: async ({ bot, chatId, messageId, payload }) => {
+      const { genreSlug, page } = payload;
+      logger.info('Fetching manga for genre', { chatId, genreSlug, page });
+
+      const sourceName = getChatSourceName(chatId);
+      const genres = await fetchGenres(sourceName);
+
+      if (!genres || !isValidGenre(genres, genreSlug)) {
+        await safeEditOrSend(bot, chatId, messageId, {
+          text: `❌ Invalid genre: ${genreSlug}`,
+          reply_markup: backToGenresKeyboard
+        }, false, DELETION_TIMEOUTS.ERROR_MESSAGE);
+        logger.warn('Invalid genre selected', { chatId, genreSlug });
+        return;
+      }
+
+      const genreDisplayName = getGenreDisplayName(genres, genreSlug);
+      const data = await fetchMangaByGenre(genreSlug, page, sourceName);
+
+      if (data) {
+        const messageOptions = createGenreMangaListMessage(data, genreSlug, genreDisplayName, page, sourceName);
+        await safeEditOrSend(bot, chatId, messageId, {
+          text: messageOptions.text,
+          reply_markup: messageOptions.reply_markup,
+          parse_mode: messageOptions.parse_mode
+        }, false, DELETION_TIMEOUTS.SEARCH_RESULTS);
+        logger.info('Updated genre manga list', { chatId, genreSlug, page });
+      } else {
+        await safeEditOrSend(bot, chatId, messageId, {
+          text: '❌ Failed to fetch manga list. Please try again later.',
+          reply_markup: backToGenresKeyboard
+        }, false, DELETION_TIMEOUTS.ERROR_MESSAGE);
+        logger.warn('Failed to fetch genre manga list', { chatId, genreSlug });
+      }
+    }
+  });
+}
+
+module.exports = {
+  registerCommands,
+  registerCallbacks
+};
@@ -0,0 +1,32 @@
+const general = require('./general');
+const source = require('./source');
+const search = require('./search');
+const latest = require('./latest');
+const genre = require('./genre');
+const mangalist = require('./mangalist');
+const chapters = require('./chapters');
+const pdf = require('./pdf');
+
+const features = [general, source, search, latest, mangalist, genre, chapters, pdf];
+
+/**
+ * Let every feature register its conversations, commands and callback actions
+ * @param {Object} services - Shared services
+ * @param {Object} services.commands - Command registry
+ * @param {Object} services.router - Callback router
+ * @param {Object} services.conversations - Conversation manager
+ */
+function registerHandlers(services) {
+  const { commands, router, conversations } = services;
+  conversations.registerCallbacks(router);
+
+  for (const feature of features) {
+    if (feature.registerConversations) feature.registerConversations(conversations);
+    if (feature.registerCommands) feature.registerCommands(commands, services);
+    feature.registerCallbacks(router, services);
+  }
+}
+
+module.exports = {
+  registerHandlers
+};
@@ -0,0 +1,164 @@
+const { fetchLatest, createLatestMessage } = require('../utils/latest');
+const { storeLatestResults, getStoredLatestResults } = require('../utils/pagination');
+const { getChatSourceName } = require('../utils/sources');
+const { parsers } = require('../utils/router');
+const { sendMessageWithAutoDeletion, safeEditOrSend, DELETION_TIMEOUTS } = require('../utils/deletion');
+const { logger, sourceErrorText } = require('./common');
+
+const retryLatestKeyboard = {
+  inline_keyboard: [[
+    { text: '🔄 Retry', callback_data: 'refresh_latest' },
+    { text: '🏠 Back to Start', callback_data: 'back_to_start' }
+  ]]
+};
+
+// Fetch the latest releases and replace the callback message with the first page
+async function showLatest({ bot, chatId, messageId, from }) {
+  const sourceName = getChatSourceName(chatId);
+  const latestList = await fetchLatest(sourceName);
+  if (!latestList || latestList.length === 0) {
+    await safeEditOrSend(bot, chatId, messageId, {
+      text: '❌ No latest manga updates found. Please try again.',
+      reply_markup: {
+        inline_keyboard: [[{
+          text: '🔄 Retry',
+          callback_data: 'refresh_latest'
+        }]]
+      }
+    }, false, DELETION_TIMEOUTS.ERROR_MESSAGE);
+    logger.warn('No latest manga updates found', { chatId });
+    return;
+  }
+
+  const sessionId = storeLatestResults(chatId, from.id, latestList, sourceName);
+  logger.info('Fetched latest results via callback', { chatId, sessionId, resultCount: latestList.length });
+
+  const messageOptions = createLatestMessage(latestList, 0, sessionId, sourceName);
+  await safeEditOrSend(bot, chatId, messageId, {
+    text: messageOptions.text,
+    reply_markup: messageOptions.reply_markup,
+    parse_mode: messageOptions.parse_mode
+  }, false, DELETION_TIMEOUTS.USER_INTERACTION);
+  logger.info('Updated to latest releases', { chatId });
+}
+
+// Old latest releases message whose stored list is gone
+async function sendLatestExpired({ bot, chatId, messageId }) {
+  await safeEditOrSend(bot, chatId, messageId, {
+    text: '⌛ This latest releases list has expired (lists are kept for 24 hours). Get a fresh one below.',
+    reply_markup: {
+      inline_keyboard: [[{
+        text: '🆕 Get Latest',
+        callback_data: 'refresh_latest'
+      }]]
+    }
+  }, false, DELETION_TIMEOUTS.ERROR_MESSAGE);
+}
+
+/**
+ * Register /latest
+ * @param {Object} commands - Command registry
+ */
+function registerCommands(commands) {
+  commands.command({
+    name: 'latest',
+    description: 'Browse latest manga updates',
+    section: 'discovery',
+    handler: async ({ bot, msg, chatId }) => {
+      logger.info('Fetching latest manga updates', { chatId });
+      const loadingMsg = await sendMessageWithAutoDeletion(
+        bot,
+        chatId,
+        '🆕 Loading latest manga updates...',
+        {},
+        DELETION_TIMEOUTS.LOADING_MESSAGE
+      );
+
+      try {
+        const sourceName = getChatSourceName(chatId);
+        const latestList = await fetchLatest(sourceName);
+        if (!latestList || latestList.length === 0) {
+          await safeEditOrSend(bot, chatId, loadingMsg.message_id, {
+            text: '❌ No latest manga updates found. Please try again later.',
+            reply_markup: retryLatestKeyboard
+          }, false, DELETION_TIMEOUTS.ERROR_MESSAGE);
+          logger.warn('No latest manga updates found', { chatId });
+          return;
+        }
+
+        const sessionId = storeLatestResults(chatId, msg.from.id, latestList, sourceName);
+        logger.info('Stored latest manga results', { chatId, sessionId, resultCount: latestList.length });
+
+        const messageOptions = createLatestMessage(latestList, 0, sessionId, sourceName);
+        await safeEditOrSend(bot, chatId, loadingMsg.message_id, {
+          text: messageOptions.text,
+          reply_markup: messageOptions.reply_markup,
+          parse_mode: messageOptions.parse_mode
+        }, false, DELETION_TIMEOUTS.USER_INTERACTION);
+        logger.info('Sent latest manga updates', { chatId });
+      } catch (error) {
+        logger.error('Failed to fetch latest manga updates', { chatId, error: error.message });
+        await safeEditOrSend(bot, chatId, loadingMsg.message_id, {
+          text: sourceErrorText(error, '❌ Failed to fetch latest manga updates. Please try again later.'),
+          reply_markup: retryLatestKeyboard
+        }, false, DELETION_TIMEOUTS.ERROR_MESSAGE);
+      }
+    }
+  });
+}
+
+/**
+ * Register latest releases callbacks
+ * @param {Object} router - Callback router
+ */
+function registerCallbacks(router) {
+  router.action('latest_page', {
+    parse: parsers.sessionPage,
+    // Buttons from before result sessions existed carry only the page
+    onInvalid: sendLatestExpired,
+    loading: ctx => `🆕 Loading latest releases page ${ctx.payload.page + 1}...`,
+    handler: async ctx => {
+      const { bot, chatId, messageId, payload } = ctx;
+      const { sessionId, page } = payload;
+      logger.info('Processing latest page callback', { chatId, sessionId, page });
+
+      const latestData = getStoredLatestResults(chatId, sessionId);
+      if (!latestData) {
+        logger.warn('Latest releases expired', { chatId, sessionId });
+        await sendLatestExpired(ctx);
+        return;
+      }
+
+      // Sessions stored before lists kept their source fall back to the chat's source
+      const sourceName = latestData.sourceName || getChatSourceName(chatId);
+      const messageOptions = createLatestMessage(latestData.results, page, sessionId, sourceName);
+      await safeEditOrSend(bot, chatId, messageId, {
+        text: messageOptions.text,
+        reply_markup: messageOptions.reply_markup,
+        parse_mode: messageOptions.parse_mode
+      }, false, DELETION_TIMEOUTS.USER_INTERACTION);
+      logger.info('Updated latest releases page', { chatId, sessionId, page });
+    }
+  });
+
+  router.action('latest_manga', {
+    loading: '🆕 Loading latest releases...',
+    handler: async ctx => {
+      logger.info('Latest manga callback triggered', { chatId: ctx.chatId });
+      await showLatest(ctx);
+    }
+  });
+
+  router.action('refresh_latest', {
+    loading: '🆕 Refreshing latest releases...',
+    handler: async ctx => {
+      logger.info('Refreshing latest releases', { chatId: ctx.chatId });
+      await showLatest(ctx);
+    }
+  });
+}
+
+module.exports = {
+  registerCommands,
+  registerCallbacks
+};
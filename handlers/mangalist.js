@@ -0,0 +1,148 @@
+const { fetchMangaList, createCategorySelectionMessage, createMangaListMessage, getCategoryDisplayName, isValidCategory } = require('../utils/mangalist');
+const { getChatSourceName } = require('../utils/sources');
+const { parsers } = require('../utils/router');
+const { sendMessageWithAutoDeletion, safeEditOrSend, DELETION_TIMEOUTS } = require('../utils/deletion');
+const { logger, sourceErrorText } = require('./common');
+
+const backToCategoriesKeyboard = {
+  inline_keyboard: [[{
+    text: '🔙 Back to Categories',
+    callback_data: 'mangalist_categories'
+  }]]
+};
+
+// Only known categories are routed; anything else gets the invalid category message
+function parseCategory(rest) {
+  const payload = parsers.slugAndPage('category')(rest);
+  return payload && isValidCategory(payload.category) ? payload : null;
+}
+
+/**
+ * Register /mangalist
+ * @param {Object} commands - Command registry
+ */
+function registerCommands(commands) {
+  commands.command({
+    name: 'mangalist',
+    args: '[category]',
+    description: 'Browse by categories',
+    section: 'discovery',
+    handler: async ({ bot, chatId, args: category }) => {
+      if (!category) {
+        logger.info('Showing manga categories', { chatId });
+        const messageOptions = createCategorySelectionMessage();
+        await sendMessageWithAutoDeletion(bot, chatId, messageOptions, {}, DELETION_TIMEOUTS.USER_INTERACTION);
+        logger.info('Sent category selection', { chatId });
+        return;
+      }
+
+      if (!isValidCategory(category)) {
+        await sendMessageWithAutoDeletion(bot, chatId, {
+          text: `❌ Invalid category. Valid categories are:\n• latest-manga\n• hot-manga\n• new-manga\n• completed-manga`,
+          reply_markup: {
+            inline_keyboard: [[{
+              text: '📊 View All Categories',
+              callback_data: 'mangalist_categories'
+            }]]
+          }
+        }, {}, DELETION_TIMEOUTS.ERROR_MESSAGE);
+        logger.warn('Invalid category provided', { chatId, category });
+        return;
+      }
+
+      logger.info('Fetching manga list for category', { chatId, category });
+      const loadingMsg = await sendMessageWithAutoDeletion(
+        bot,
+        chatId,
+        `📚 Loading ${getCategoryDisplayName(category)}...`,
+        {},
+        DELETION_TIMEOUTS.LOADING_MESSAGE
+      );
+
+      try {
+        const sourceName = getChatSourceName(chatId);
+        const data = await fetchMangaList(category, 1, sourceName);
+        if (data) {
+          const messageOptions = createMangaListMessage(data, category, 1, sourceName);
+          await safeEditOrSend(bot, chatId, loadingMsg.message_id, {
+            text: messageOptions.text,
+            reply_markup: messageOptions.reply_markup,
+            parse_mode: messageOptions.parse_mode
+          }, false, DELETION_TIMEOUTS.SEARCH_RESULTS);
+          logger.info('Sent manga list', { chatId, category });
+        } else {
+          await safeEditOrSend(bot, chatId, loadingMsg.message_id, {
+            text: '❌ Failed to fetch manga list. Please try again later.',
+            reply_markup: backToCategoriesKeyboard
+          }, false, DELETION_TIMEOUTS.ERROR_MESSAGE);
+          logger.warn('Failed to fetch manga list', { chatId, category });
+        }
+      } catch (error) {
+        logger.error('Manga list fetch failed', { chatId, category, error: error.message });
+        await safeEditOrSend(bot, chatId, loadingMsg.message_id, {
+          text: sourceErrorText(error, '❌ Failed to fetch manga list. Please try again later.'),
+          reply_markup: backToCategoriesKeyboard
+        }, false, DELETION_TIMEOUTS.ERROR_MESSAGE);
+      }
+    }
+  });
+}
+
+/**
+ * Register manga list (category) callbacks
+ * @param {Object} router - Callback router
+ */
+function registerCallbacks(router) {
+  router.action('mangalist_categories', {
+    loading: '📚 Loading categories...',
+    handler: async ({ bot, chatId, messageId }) => {
+      logger.info('Showing manga categories', { chatId });
+      const messageOptions = createCategorySelectionMessage();
+      await safeEditOrSend(bot, chatId, messageId, {
+        text: messageOptions.text,
+        reply_markup: messageOptions.reply_markup,
+        parse_mode: messageOptions.parse_mode
+      }, false, DELETION_TIMEOUTS.USER_INTERACTION);
+      logger.info('Updated to category selection', { chatId });
+    }
+  });
+
+  router.action('mangalist', {
+    parse: parseCategory,
+    onInvalid: async ({ bot, chatId, messageId, data }) => {
+      await safeEditOrSend(bot, chatId, messageId, {
+        text: '❌ Invalid category selected.',
+        reply_markup: backToCategoriesKeyboard
+      }, false, DELETION_TIMEOUTS.ERROR_MESSAGE);
+      logger.warn('Invalid category selected', { chatId, data });
+    },
+    loading: ctx => `📚 Loading ${getCategoryDisplayName(ctx.payload.category)}... (Page ${ctx.payload.page})`,
+    handler: async ({ bot, chatId, messageId, payload }) => {
+      const { category, page } = payload;
+      logger.info('Fetching manga list for category', { chatId, category, page });
+
+      const sourceName = getChatSourceName(chatId);
+      const data = await fetchMangaList(category, page, sourceName);
+      if (data) {
+        const messageOptions = createMangaListMessage(data, category, page, sourceName);
+        await safeEditOrSend(bot, chatId, messageId, {
+          text: messageOptions.text,
+          reply_markup: messageOptions.reply_markup,
+          parse_mode: messageOptions.parse_mode
+        }, false, DELETION_TIMEOUTS.SEARCH_RESULTS);
+        logger.info('Updated manga list', { chatId, category, page });
+      } else {
+        await safeEditOrSend(bot, chatId, messageId, {
+          text: '❌ Failed to fetch manga list. Please try again later.',
+          reply_markup: backToCategoriesKeyboard
+        }, false, DELETION_TIMEOUTS.ERROR_MESSAGE);
+        logger.warn('Failed to fetch manga list', { chatId, category });
+      }
+    }
+  });
+}
+
+module.exports = {
+  registerCommands,
+  registerCallbacks
+};
@@ -0,0 +1,1134 @@
+const fs = require('fs');
+const crypto = require('crypto');
+const { createChapterPDF, createChapterCBZ, createEPUB, createRangePDF, getChapterPages, cleanupTempFiles, disposeKeptCache, EXPORT_FORMATS, SPLIT_QUALITIES, READING_PROFILES, PDF_LAYOUTS } = require('../utils/pdf');
+const { DEFAULT_PROFILE, getReadingProfile } = require('../utils/profiles');
+const { DEFAULT_LAYOUT } = require('../utils/layouts');
+const { pagesFingerprint, getSentFile, rememberSentFile, forgetSentFiles } = require('../utils/sentFiles');
+const { loadMangaDetails } = require('../utils/details');
+const { readingOrder, CHAPTERS_PER_PAGE } = require('../utils/chapters');
+const { escapeMarkdown } = require('../utils/markdown');
+const { getSource, getChatSourceName } = require('../utils/sources');
+const { getUserPreference, setUserPreference, getChatPreference, setChatPreference } = require('../utils/preferences');
+const { parsers } = require('../utils/router');
+const { validators } = require('../utils/conversations');
+const { createJobQueue, JOB_PRIORITIES, isQueueFull, isJobCancelled } = require('../utils/jobQueue');
+const { createProgressTracker } = require('../utils/progress');
+const { sendMessageWithAutoDeletion, scheduleMessageDeletion, DELETION_TIMEOUTS } = require('../utils/deletion');
+const { isChatAdmin } = require('../utils/commands');
+const { createCallbackData } = require('../utils/callbackTokens');
+const config = require('../utils/config');
+const { logger, isGroupChat, sourceErrorText } = require('./common');
+const { sendMangaNotFound, loadDetailsOrReply } = require('./chapters');
+const { registerPreference } = require('./preferences');
+
+// Every chapter PDF goes through this queue so only a few sharp pipelines run at once
+const pdfQueue = createJobQueue({
+  concurrency: config.pdfConcurrency,
+  perUserConcurrency: config.pdfUserConcurrency,
+  maxPerUser: config.pdfQueueLimit
+});
+
+// A format named in the request wins over the user's saved preference
+function resolveFormat(userId, requested) {
+  const format = requested || getUserPreference(userId, 'format', 'pdf');
+  return EXPORT_FORMATS[format] ? format : 'pdf';
+}
+
+// A pinned PDF quality, or null to lower quality until the chapter fits in one file
+function resolveQuality(userId) {
+  const quality = getUserPreference(userId, 'pdfQuality', 'auto');
+  return SPLIT_QUALITIES.includes(quality) ? quality : null;
+}
+
+function qualityName(quality) {
+  return quality ? `${quality}%` : 'Auto';
+}
+
+// The request's reading profile, else the user's saved one
+function resolveProfile(userId, requested) {
+  if (requested) return requested;
+  return getReadingProfile(getUserPreference(userId, 'profile', DEFAULT_PROFILE)).key;
+}
+
+// Words that turn strip slicing on or off for one /pdf request
+const SLICE_WORDS = { slice: true, noslice: false };
+
+// Whether long strips are cut into pages: the request's choice, else the chat's /slice setting
+function resolveSlice(chatId, requested) {
+  return requested !== undefined ? requested : getChatPreference(chatId, 'slice', false);
+}
+
+// Words that turn page cleanup on or off for one /pdf request
+const CLEAN_WORDS = { clean: true, noclean: false };
+
+// Whether margins are trimmed and filler pages left out: the request's choice, else the user's /clean setting
+function resolveClean(userId, requested) {
+  return requested !== undefined ? requested : getUserPreference(userId, 'clean', false);
+}
+
+// Words that add or leave out the generated cover page for one /pdf request
+const COVER_WORDS = { cover: true, nocover: false };
+
+// Whether PDFs start with a generated cover page: the request's choice, else the user's /cover setting
+function resolveCoverPage(userId, requested) {
+  return requested !== undefined ? requested : getUserPreference(userId, 'coverPage', false);
+}
+
+// The request's PDF page layout, else the user's saved one
+function resolveLayout(userId, requested) {
+  if (requested) return requested;
+  const saved = getUserPreference(userId, 'layout', DEFAULT_LAYOUT);
+  return PDF_LAYOUTS[saved] ? saved : DEFAULT_LAYOUT;
+}
+
+// Generation settings of a chapter download; a pinned quality, a page layout and a cover page only apply
+// to PDFs, and CBZ keeps the source's images so its pages are never sliced, re-profiled or cleaned
+function downloadSettings({ format, quality, slice, profile = DEFAULT_PROFILE, clean, layout = DEFAULT_LAYOUT, coverPage }) {
+  let settings = EXPORT_FORMATS[format].settings;
+  if (format === 'pdf' && quality) settings = { ...settings, quality };
+  if (format === 'pdf' && layout !== DEFAULT_LAYOUT) settings = { ...settings, layout };
+  if (format === 'pdf' && coverPage) settings = { ...settings, coverPage: true };
+  if (format !== 'cbz' && slice) settings = { ...settings, slice: true };
+  if (format !== 'cbz' && profile !== DEFAULT_PROFILE) settings = { ...settings, profile };
+  if (format !== 'cbz' && clean) settings = { ...settings, clean: true };
+  return settings;
+}
+
+// What a stored upload must match to be re-sent: the settings it was built with, and the title, chapter
+// number and metadata in its filename and document info (a bare /pdf <chapter_id> upload has none of these)
+function storedFileSettings(chapter) {
+  const { mangaTitle, chapterNumber, metadata = null } = chapter;
+  const naming = crypto.createHash('sha1').update(JSON.stringify([mangaTitle, chapterNumber, metadata])).digest('hex').slice(0, 16);
+  return { ...downloadSettings(chapter), naming };
+}
+
+function queuedText(label, position, format) {
+  return `⏳ ${EXPORT_FORMATS[format].name} for ${label} is queued.\nYou are #${position} in queue.`;
+}
+
+// readUrl is the chapter on the source's reader site; part is { index, count } when the chapter
+// was split into several files; removedPages are the pages cleanup left out, listed on the first part only
+function createCaption(readUrl, { filename, totalPages, size, firstPage, lastPage }, part, removedPages = []) {
+  const pageSpan = firstPage === lastPage ? `page ${firstPage}` : `pages ${firstPage}-${lastPage}`;
+  const partLine = part ? `🧩 Part ${part.index} of ${part.count} • ${pageSpan}\n` : '';
+  const removedLine = !part || part.index === 1 ? removedPagesLine(removedPages) : '';
+  return `📖 ${filename}\n${partLine}📄 ${totalPages} pages • ${size} MB\n${removedLine}\nRead Online: ${readUrl}`;
+}
+
+// Upload a chapter's files in order, from disk ({ path }, uploaded as { filename }) or by an
+// earlier upload ({ fileId }); options.onFile(index, count) runs before each upload
+async function sendChapterFiles(bot, chatId, readUrl, files, { onFile = () => {}, removedPages } = {}) {
+  const sent = [];
+  for (const [i, file] of files.entries()) {
+    onFile(i + 1, files.length);
+    sent.push(await bot.sendDocument(chatId, file.fileId || file.path, {
+      caption: createCaption(readUrl, file, files.length > 1 ? { index: i + 1, count: files.length } : null, removedPages)
+    }, { filename: file.filename }));
+  }
+  return sent;
+}
+
+// Re-send an earlier upload of the same chapter pages; false when there is none or Telegram refuses it
+async function sendStoredPDF(bot, chatId, chapter, pages) {
+  const { chapterId, source } = chapter;
+  const stored = getSentFile(source, chapterId, storedFileSettings(chapter), pagesFingerprint(pages, source));
+  if (!stored) return false;
+
+  try {
+    await sendChapterFiles(bot, chatId, getSource(source).readUrl(chapterId), stored.parts || [stored], { removedPages: stored.removedPages });
+    logger.info('Re-sent stored PDF', { chatId, chapterId, source, filename: stored.filename });
+    // A complete copy went out instead of a retry, so the pages kept for it are not needed
+    if (chapter.retry) disposeKeptCache(chapter.retry.cacheId);
+    return true;
+  } catch (error) {
+    logger.warn('Stored PDF could not be re-sent, rebuilding', { chatId, chapterId, error: error.message });
+    forgetSentFiles(source, chapterId);
+    return false;
+  }
+}
+
+// '3, 7-9, 12' for page numbers in order
+function formatPageList(pageNumbers) {
+  const runs = [];
+  for (const page of pageNumbers) {
+    const run = runs[runs.length - 1];
+    if (run && page === run[1] + 1) run[1] = page;
+    else runs.push([page, page]);
+  }
+  return runs.map(([first, last]) => (first === last ? `${first}` : `${first}-${last}`)).join(', ');
+}
+
+// '🧹 Removed blank pages 1, 18, repeated page 19' for the pages cleanup left out, with
+// 'Ch 3: ...' groups when they span chapters; empty when nothing was removed
+function removedPagesLine(removedPages = []) {
+  if (removedPages.length === 0) return '';
+
+  const groups = new Map();
+  for (const removed of removedPages) {
+    const key = removed.chapter === undefined ? '' : `Ch ${removed.chapter}: `;
+    if (!groups.has(key)) groups.set(key, { blank: [], duplicate: [] });
+    groups.get(key)[removed.reason].push(removed.page);
+  }
+
+  const describe = (kind, pages) => `${kind} page${pages.length === 1 ? '' : 's'} ${formatPageList(pages)}`;
+  const text = [...groups].map(([key, { blank, duplicate }]) => key + [
+    blank.length > 0 ? describe('blank', blank) : null,
+    duplicate.length > 0 ? describe('repeated', duplicate) : null
+  ].filter(Boolean).join(', ')).join(' • ');
+  return `🧹 Removed ${text}\n`;
+}
+
+// '⚠️ Unavailable: Ch 3: page 7 • Ch 4: pages 2-3' for the placeholder pages of a book that
+// spans chapters; empty when every page arrived
+function missingPagesLine(missingPages = []) {
+  if (missingPages.length === 0) return '';
+
+  const groups = new Map();
+  for (const { chapter, page } of missingPages) {
+    if (!groups.has(chapter)) groups.set(chapter, []);
+    groups.get(chapter).push(page);
+  }
+
+  const text = [...groups].map(([chapter, pages]) => `Ch ${chapter}: page${pages.length === 1 ? '' : 's'} ${formatPageList(pages)}`).join(' • ');
+  return `⚠️ Unavailable: ${text}\n`;
+}
+
+// Tell the chat which pages are placeholders, with a button that rebuilds the file, in the same
+// format, with only those fetched again
+async function sendMissingPagesSummary(bot, chatId, chapter, label, { missingPages, totalPages, cacheId }) {
+  const { chapterId, mangaTitle, chapterNumber, source, metadata, format, quality, slice, profile, clean, layout, coverPage } = chapter;
+  const retryData = createCallbackData('pdfretry', {
+    chapterId,
+    mangaTitle,
+    chapterNumber,
+    source,
+    metadata,
+    retry: { cacheId, pages: missingPages, format, quality, slice, profile, clean, layout, coverPage }
+  }, config.retryCacheTtl);
+
+  await sendMessageWithAutoDeletion(bot, chatId,
+    `⚠️ ${missingPages.length} of ${totalPages} pages of ${label} could not be downloaded.\n` +
+    `Missing: page${missingPages.length === 1 ? '' : 's'} ${formatPageList(missingPages)}\n\n` +
+    `They show as "Page N unavailable" in the ${EXPORT_FORMATS[format].name}.`, {
+      reply_markup: { inline_keyboard: [[{ text: '🔁 Retry missing pages', callback_data: retryData }]] }
+    }, DELETION_TIMEOUTS.USER_INTERACTION);
+}
+
+// Generate the PDF (or CBZ) and upload it; runs once the queue gives the job a slot
+async function buildAndSendPDF(bot, chatId, chapter, label, { updateStatus, statusMessage, signal }) {
+  const { chapterId, mangaTitle, chapterNumber, source, format, quality, slice, profile, clean, layout, coverPage, metadata, retry } = chapter;
+  const formatName = EXPORT_FORMATS[format].name;
+  logger.info('Generating chapter download', { chatId, chapterId, source, format });
+  await updateStatus(`📚 Generating ${formatName} for ${label}...`);
+  const progress = createProgressTracker({ title: `📚 Generating ${formatName} for ${label}...`, render: updateStatus });
+
+  let files = [];
+  try {
+    // Someone may have requested the same chapter while this job was waiting; the page list
+    // comes from sendChapterPDF unless it could not be fetched there
+    const pages = chapter.pages || await getChapterPages(chapterId, source);
+    if (pages && pages.length > 0 && await sendStoredPDF(bot, chatId, chapter, pages)) {
+      try {
+        await bot.deleteMessage(chatId, statusMessage.message_id);
+      } catch (deleteError) {
+        logger.warn('Could not delete status message', { chatId, error: deleteError.message });
+      }
+      return;
+    }
+
+    cleanupTempFiles();
+    let result;
+    if (format === 'cbz') {
+      result = await createChapterCBZ(chapterId, mangaTitle, chapterNumber, {
+        source,
+        pages,
+        metadata,
+        signal,
+        onProgress: progress.handle,
+        cacheId: retry && retry.cacheId,
+        retryPages: retry && retry.pages
+      });
+    } else if (format === 'epub') {
+      result = await createEPUB([{ id: chapterId, chapter: chapterNumber, pages }], mangaTitle, {
+        source,
+        metadata,
+        profile,
+        slice,
+        clean,
+        signal,
+        onProgress: progress.handle,
+        cacheId: retry && retry.cacheId,
+        retryPages: retry && retry.pages
+      });
+      // One chapter needs no chapter names in its summaries
+      result.removedPages = result.removedPages.map(({ page, reason, of }) => ({ page, reason, of }));
+      result.missingPages = result.missingPages.map(({ page }) => page);
+    } else {
+      result = await createChapterPDF(chapterId, mangaTitle, chapterNumber, {
+        source,
+        pages,
+        quality,
+        profile,
+        slice,
+        clean,
+        layout,
+        metadata,
+        coverPage,
+        signal,
+        onProgress: progress.handle,
+        cacheId: retry && retry.cacheId,
+        retryPages: retry && retry.pages
+      });
+    }
+    // Only PDFs come back in parts
+    files = result.parts || [result];
+
+    const removedPages = result.removedPages || [];
+    const sent = await sendChapterFiles(bot, chatId, getSource(source).readUrl(chapterId), files, {
+      removedPages,
+      onFile: (part, parts) => progress.handle({
+        type: 'uploading',
+        part,
+        parts,
+        totalPages: result.totalPages,
+        size: result.size
+      })
+    });
+    progress.stop();
+    logger.info('Sent chapter document', { chatId, chapterId, files: files.map(file => file.filename) });
+
+    const missingPages = result.missingPages || [];
+    // A file with placeholder pages is not worth handing out again
+    if (missingPages.length === 0 && sent.every(message => message && message.document)) {
+      const uploads = files.map((file, i) => ({
+        fileId: sent[i].document.file_id,
+        filename: file.filename,
+        totalPages: file.totalPages,
+        size: file.size,
+        firstPage: file.firstPage,
+        lastPage: file.lastPage
+      }));
+      rememberSentFile(source, chapterId, storedFileSettings(chapter), pagesFingerprint(pages, source), uploads.length === 1
+        ? { ...uploads[0], removedPages }
+        : { filename: uploads[0].filename, totalPages: result.totalPages, size: result.size, parts: uploads, removedPages });
+    }
+
+    try {
+      await bot.deleteMessage(chatId, statusMessage.message_id);
+      logger.info('Deleted download status message', { chatId, messageId: statusMessage.message_id });
+    } catch (deleteError) {
+      logger.warn('Could not delete status message', { chatId, error: deleteError.message });
+    }
+
+    if (missingPages.length > 0) {
+      logger.warn('Chapter sent with missing pages', { chatId, chapterId, missingPages });
+      await sendMissingPagesSummary(bot, chatId, chapter, label, result);
+    }
+
+  } catch (error) {
+    progress.stop();
+    if (signal.aborted) {
+      logger.info('Chapter download cancelled', { chatId, chapterId, format });
+      return;
+    }
+    logger.error('Chapter download generation failed', { chatId, chapterId, format, error: error.message });
+    // Goes through the status queue so a late progress edit cannot overwrite it
+    await updateStatus(`❌ Failed to generate ${formatName} for ${label}\n\nError: ${error.message}`, { final: true });
+  } finally {
+    setTimeout(() => {
+      for (const file of files) {
+        try {
+          if (fs.existsSync(file.path)) {
+            fs.unlinkSync(file.path);
+            logger.info('Cleaned up download file', { chatId, filename: file.filename });
+          }
+        } catch (err) {
+          logger.error('PDF cleanup failed', { chatId, error: err.message });
+        }
+      }
+    }, 5000);
+  }
+}
+
+/**
+ * Put a PDF job in the queue behind a status message that shows its place.
+ * Resolves once the job is queued; the job reports its progress and outcome in the status message.
+ * Status messages are plain text, since labels and error messages carry manga titles as they are
+ * @param {Object} bot - Telegram bot instance
+ * @param {number} chatId - Chat ID
+ * @param {Object} job - Job details
+ * @param {string} job.label - Label for status messages
+ * @param {string} job.queueLabel - Plain label for /queue
+ * @param {string} job.format - Output format (a key of EXPORT_FORMATS)
+ * @param {number} job.userId - User the job counts against
+ * @param {number} [job.priority] - Queue priority; by default a user's first job is NORMAL
+ *   and any more they queue are LOW, so one user's batch does not hold everyone else up
+ * @param {Function} job.run - async ({ updateStatus, statusMessage, signal }) => void, the work itself;
+ *   signal aborts when someone presses ✖ Cancel, and updateStatus(text, { final: true }) drops the button
+ */
+async function queuePdfJob(bot, chatId, { label, queueLabel, format, userId, priority, run }) {
+  let statusMessage;
+  try {
+    statusMessage = await bot.sendMessage(chatId, `📚 Preparing ${EXPORT_FORMATS[format].name} for ${label}...`);
+  } catch (error) {
+    logger.error('Could not send PDF status message', { chatId, error: error.message });
+    return;
+  }
+  let job;
+
+  // Edits go out in order, so a late "#2 in queue" never overwrites "Generating"
+  let statusChain = Promise.resolve();
+  const editStatus = (text, replyMarkup) => {
+    statusChain = statusChain
+      .then(() => bot.editMessageText(text, {
+        chat_id: chatId,
+        message_id: statusMessage.message_id,
+        reply_markup: replyMarkup
+      }))
+      .catch(error => logger.warn('Could not update PDF status', { chatId, error: error.message }));
+    return statusChain;
+  };
+  // Once the job is cancelled only the cancel notice gets through
+  const updateStatus = (text, { final = false } = {}) => {
+    if (job && job.signal.aborted) return statusChain;
+    return editStatus(text, job && !final ? createCancelKeyboard(job.id) : undefined);
+  };
+
+  try {
+    job = pdfQueue.enqueue({
+      userId,
+      chatId,
+      label: `${queueLabel} (${EXPORT_FORMATS[format].name})`,
+      priority: priority !== undefined
+        ? priority
+        : (pdfQueue.jobsFor(userId).length > 0 ? JOB_PRIORITIES.LOW : JOB_PRIORITIES.NORMAL),
+      run: info => run({ updateStatus, statusMessage, signal: info.signal }),
+      onUpdate: ({ position }) => updateStatus(queuedText(label, position, format))
+    });
+  } catch (error) {
+    if (!isQueueFull(error)) throw error;
+    logger.warn('Download queue limit reached', { chatId, userId, limit: error.limit });
+    await updateStatus(`⏳ You already have ${error.limit} downloads queued. Wait for one to finish, or check /queue.`);
+    scheduleMessageDeletion(bot, chatId, statusMessage.message_id, DELETION_TIMEOUTS.ERROR_MESSAGE);
+    return;
+  }
+
+  logger.info('Queued PDF job', { chatId, userId, jobId: job.id, label: queueLabel, position: job.position });
+  job.signal.addEventListener('abort', () => {
+    editStatus(`✖ ${EXPORT_FORMATS[format].name} for ${label} was cancelled.`);
+    scheduleMessageDeletion(bot, chatId, statusMessage.message_id, DELETION_TIMEOUTS.TEMPORARY_INFO);
+  }, { once: true });
+
+  // The job runs on after the handler returns, so its failures are reported here
+  job.promise.catch(error => {
+    if (isJobCancelled(error)) return;
+    logger.error('PDF job failed', { chatId, jobId: job.id, label: queueLabel, error: error.message });
+    updateStatus(`❌ Failed to generate ${EXPORT_FORMATS[format].name} for ${label}\n\nError: ${error.message}`, { final: true });
+  });
+
+  if (job.position > 0) {
+    await updateStatus(queuedText(label, job.position, format));
+  }
+}
+
+function createCancelKeyboard(jobId) {
+  return { inline_keyboard: [[{ text: '✖ Cancel', callback_data: `pdfcancel_${jobId}` }]] };
+}
+
+// Comic readers expect one archive per chapter, so a CBZ range is a series of chapter archives
+async function buildAndSendArchives(bot, chatId, { mangaTitle, chapters, source, metadata }, label, { updateStatus, statusMessage, signal }) {
+  logger.info('Generating range CBZ', { chatId, mangaTitle, chapterCount: chapters.length, source });
+  cleanupTempFiles();
+
+  for (const [i, chapter] of chapters.entries()) {
+    await updateStatus(`📚 Generating CBZ ${i + 1} of ${chapters.length} for ${label}...`);
+    let result;
+    try {
+      result = await createChapterCBZ(chapter.id, mangaTitle, chapter.chapter, { source, metadata, signal });
+      signal.throwIfAborted();
+      await bot.sendDocument(chatId, result.path, { caption: createCaption(getSource(source).readUrl(chapter.id), result) }, { filename: result.filename });
+      logger.info('Sent range CBZ chapter', { chatId, chapterId: chapter.id, index: i + 1, of: chapters.length });
+    } catch (error) {
+      if (signal.aborted) {
+        logger.info('Range CBZ cancelled', { chatId, mangaTitle, sent: i, of: chapters.length });
+        return;
+      }
+      logger.error('Range CBZ failed', { chatId, mangaTitle, chapterId: chapter.id, error: error.message });
+      await updateStatus(`❌ Failed at chapter ${chapter.chapter} of ${label} (${i} of ${chapters.length} sent)\n\nError: ${error.message}`, { final: true });
+      return;
+    } finally {
+      if (result) {
+        setTimeout(() => {
+          try {
+            if (fs.existsSync(result.path)) fs.unlinkSync(result.path);
+          } catch (err) {
+            logger.error('CBZ cleanup failed', { chatId, error: err.message });
+          }
+        }, 5000);
+      }
+    }
+  }
+
+  try {
+    await bot.deleteMessage(chatId, statusMessage.message_id);
+  } catch (deleteError) {
+    logger.warn('Could not delete status message', { chatId, error: deleteError.message });
+  }
+}
+
+// A range as one EPUB book with a table of contents entry per chapter
+async function buildAndSendBook(bot, chatId, { mangaTitle, chapters, source, metadata, profile, slice, clean }, label, { updateStatus, statusMessage, signal }) {
+  logger.info('Generating range EPUB', { chatId, mangaTitle, chapterCount: chapters.length, source });
+  await updateStatus(`📚 Generating EPUB for ${label}...`);
+
+  let result;
+  try {
+    cleanupTempFiles();
+    result = await createEPUB(chapters, mangaTitle, { source, metadata, profile, slice, clean, signal });
+    await updateStatus(`✅ EPUB generated successfully!\n📄 ${result.totalPages} pages\n📁 Size: ${result.size} MB\n\nUploading...`);
+    await bot.sendDocument(chatId, result.path, {
+      caption: `📚 ${result.filename}\n📄 ${result.totalPages} pages • ${result.size} MB\n` +
+        `${removedPagesLine(result.removedPages)}${missingPagesLine(result.missingPages)}`.trim()
+    }, { filename: result.filename });
+    logger.info('Sent range EPUB', { chatId, filename: result.filename });
+    if (result.missingPages.length > 0) {
+      logger.warn('Range EPUB sent with missing pages', { chatId, mangaTitle, missingPages: result.missingPages });
+    }
+
+    try {
+      await bot.deleteMessage(chatId, statusMessage.message_id);
+    } catch (deleteError) {
+      logger.warn('Could not delete status message', { chatId, error: deleteError.message });
+    }
+  } catch (error) {
+    if (signal.aborted) {
+      logger.info('Range EPUB cancelled', { chatId, mangaTitle });
+      return;
+    }
+    logger.error('Range EPUB failed', { chatId, mangaTitle, error: error.message });
+    await updateStatus(`❌ Failed to generate EPUB for ${label}\n\nError: ${error.message}`, { final: true });
+  } finally {
+    if (result) {
+      setTimeout(() => {
+        try {
+          if (fs.existsSync(result.path)) fs.unlinkSync(result.path);
+        } catch (err) {
+          logger.error('EPUB cleanup failed', { chatId, error: err.message });
+        }
+      }, 5000);
+    }
+  }
+}
+
+// Build a span of chapters into bundled volumes and upload each one
+async function buildAndSendRange(bot, chatId, bundle, label, status) {
+  if (bundle.format === 'cbz') {
+    await buildAndSendArchives(bot, chatId, bundle, label, status);
+    return;
+  }
+  if (bundle.format === 'epub') {
+    await buildAndSendBook(bot, chatId, bundle, label, status);
+    return;
+  }
+
+  const { mangaTitle, chapters, source, metadata, profile, slice, clean, layout, coverPage } = bundle;
+  const { updateStatus, statusMessage, signal } = status;
+  logger.info('Generating range PDF', { chatId, mangaTitle, chapterCount: chapters.length, source });
+  await updateStatus(`📚 Generating PDF for ${label}...`);
+
+  let result;
+  try {
+    cleanupTempFiles();
+    result = await createRangePDF(chapters, mangaTitle, { source, metadata, profile, slice, clean, layout, coverPage, signal });
+  } catch (error) {
+    if (signal.aborted) {
+      logger.info('Range PDF cancelled', { chatId, mangaTitle });
+      return;
+    }
+    logger.error('Range PDF generation failed', { chatId, mangaTitle, error: error.message });
+    await updateStatus(`❌ Failed to generate PDF for ${label}\n\nError: ${error.message}`, { final: true });
+    return;
+  }
+
+  const count = result.volumes.length;
+  await updateStatus(`✅ PDF generated successfully!\n📄 ${result.totalPages} pages in ${count} ${count === 1 ? 'file' : 'volumes'}\n\nUploading...`);
+
+  try {
+    for (const [i, volume] of result.volumes.entries()) {
+      signal.throwIfAborted();
+      const span = volume.chapterCount === 1
+        ? `Chapter ${volume.firstChapter}`
+        : `Chapters ${volume.firstChapter}-${volume.lastChapter}`;
+      await bot.sendDocument(chatId, volume.path, {
+        caption: `📚 ${mangaTitle} - ${span}${count > 1 ? ` (Volume ${i + 1} of ${count})` : ''}\n` +
+          `📄 ${volume.totalPages} pages • ${volume.size} MB\n${removedPagesLine(volume.removedPages)}`.trim()
+      }, { filename: volume.filename });
+      logger.info('Sent range PDF volume', { chatId, filename: volume.filename, volume: i + 1, of: count });
+    }
+
+    try {
+      await bot.deleteMessage(chatId, statusMessage.message_id);
+    } catch (deleteError) {
+      logger.warn('Could not delete status message', { chatId, error: deleteError.message });
+    }
+  } catch (error) {
+    if (signal.aborted) {
+      logger.info('Range PDF upload cancelled', { chatId, mangaTitle });
+      return;
+    }
+    logger.error('Range PDF upload failed', { chatId, mangaTitle, error: error.message });
+    await updateStatus(`❌ Failed to upload PDF for ${label}\n\nError: ${error.message}`, { final: true });
+  } finally {
+    setTimeout(() => {
+      for (const volume of result.volumes) {
+        try {
+          if (fs.existsSync(volume.path)) fs.unlinkSync(volume.path);
+        } catch (err) {
+          logger.error('PDF cleanup failed', { chatId, error: err.message });
+        }
+      }
+    }, 5000);
+  }
+}
+
+/**
+ * Queue several chapters of one manga as bundled PDFs with a chapter outline,
+ * one CBZ per chapter, or one EPUB book
+ * @param {Object} bot - Telegram bot instance
+ * @param {number} chatId - Chat ID
+ * @param {Object} bundle - Chapters to export
+ * @param {string} bundle.mangaTitle - Manga title
+ * @param {Array} bundle.chapters - Chapters ({ id, chapter }) in any order
+ * @param {string} [bundle.source] - Source name
+ * @param {Object} [bundle.metadata] - Manga details for document, archive and book metadata ({ author, genres, summary, cover })
+ * @param {Object} request - Who asked
+ * @param {number} request.userId - User the job counts against
+ * @param {string} [request.format] - A key of EXPORT_FORMATS; defaults to the user's saved format
+ * @param {string} [request.profile] - A key of READING_PROFILES; defaults to the user's saved profile
+ * @param {boolean} [request.slice] - Cut long strips into pages; defaults to the chat's /slice setting
+ * @param {boolean} [request.clean] - Trim margins and leave out filler pages; defaults to the user's /clean setting
+ * @param {string} [request.layout] - A key of PDF_LAYOUTS; defaults to the user's saved layout
+ * @param {boolean} [request.coverPage] - Start each PDF with a generated cover page; defaults to the user's /cover setting
+ */
+async function sendChapterRangePDF(bot, chatId, { mangaTitle, chapters, source, metadata }, { userId, format, profile, slice, clean, layout, coverPage }) {
+  const chosenFormat = resolveFormat(userId, format);
+  // Source lists are usually newest first; bundles read oldest first
+  const ordered = readingOrder(chapters);
+  const first = ordered[0].chapter;
+  const last = ordered[ordered.length - 1].chapter;
+  const span = first === last ? `Chapter ${first}` : `Chapters ${first}-${last}`;
+
+  if (ordered.length > config.pdfRangeLimit) {
+    await sendMessageWithAutoDeletion(
+      bot,
+      chatId,
+      `⚠️ That is ${ordered.length} chapters. Please export at most ${config.pdfRangeLimit} at a time.`,
+      {},
+      DELETION_TIMEOUTS.ERROR_MESSAGE
+    );
+    return;
+  }
+
+  await queuePdfJob(bot, chatId, {
+    label: `${mangaTitle} - ${span}`,
+    queueLabel: `${mangaTitle} - ${span}`,
+    format: chosenFormat,
+    userId,
+    // Bundles take long; single chapters should not wait behind them
+    priority: JOB_PRIORITIES.LOW,
+    run: status => buildAndSendRange(bot, chatId, {
+      mangaTitle,
+      chapters: ordered,
+      source,
+      metadata,
+      format: chosenFormat,
+      profile: resolveProfile(userId, profile),
+      slice: resolveSlice(chatId, slice),
+      clean: resolveClean(userId, clean),
+      layout: resolveLayout(userId, layout),
+      coverPage: resolveCoverPage(userId, coverPage)
+    }, `${mangaTitle} - ${span}`, status)
+  });
+}
+
+// Manga details that go into document, archive and book metadata
+function mangaMetadata(details) {
+  return { author: details.author, genres: details.genres, summary: details.summary, cover: details.imageUrl };
+}
+
+// /pdf <manga_id> <from>-<to>, or the range and format picked in the pdfrange conversation
+async function sendRangeFromCommand(bot, chatId, request, mangaId, range, sourceName = getChatSourceName(chatId)) {
+  let details;
+  let detailsError;
+  try {
+    details = await loadMangaDetails(mangaId, sourceName);
+  } catch (error) {
+    logger.error('Range details fetch failed', { chatId, mangaId, error: error.message });
+    detailsError = error;
+  }
+  if (!details) {
+    await sendMessageWithAutoDeletion(
+      bot,
+      chatId,
+      sourceErrorText(detailsError, '❌ Could not fetch manga details. Please check the manga ID and try again.'),
+      {},
+      DELETION_TIMEOUTS.ERROR_MESSAGE
+    );
+    return;
+  }
+
+  const chapters = details.chapters.filter(c => {
+    const number = parseFloat(c.chapter);
+    return number >= range.from && number <= range.to;
+  });
+  if (chapters.length === 0) {
+    await sendMessageWithAutoDeletion(
+      bot,
+      chatId,
+      `❌ ${details.title} has no chapters between ${range.from} and ${range.to}.`,
+      {},
+      DELETION_TIMEOUTS.ERROR_MESSAGE
+    );
+    return;
+  }
+
+  await sendChapterRangePDF(bot, chatId, {
+    mangaTitle: details.title,
+    chapters,
+    source: sourceName,
+    metadata: mangaMetadata(details)
+  }, request);
+}
+
+/**
+ * Send a chapter PDF: re-send an earlier upload of the same pages, or queue a
+ * build and upload it when done, keeping a status message up to date
+ * @param {Object} bot - Telegram bot instance
+ * @param {number} chatId - Chat ID
+ * @param {Object} chapter - Chapter to export
+ * @param {string} chapter.chapterId - Chapter ID
+ * @param {string} [chapter.mangaTitle] - Manga title, 'Unknown' if not known
+ * @param {string} [chapter.chapterNumber] - Chapter number, 'Unknown' if not known
+ * @param {string} [chapter.source] - Source name
+ * @param {Object} [chapter.metadata] - Manga details for document, archive and book metadata ({ author, genres, summary, cover })
+ * @param {Object} [chapter.retry] - Rebuild of a file that had missing pages: { cacheId, pages, format, quality, slice, profile, clean, layout, coverPage }
+ *   from its summary, so only those pages are fetched again with the settings it was built with
+ * @param {Object} request - Who asked
+ * @param {number} request.userId - User the job counts against
+ * @param {string} [request.format] - A key of EXPORT_FORMATS; defaults to the user's saved format
+ * @param {string} [request.profile] - A key of READING_PROFILES; defaults to the user's saved profile
+ * @param {boolean} [request.slice] - Cut long strips into pages; defaults to the chat's /slice setting
+ * @param {boolean} [request.clean] - Trim margins and leave out filler pages; defaults to the user's /clean setting
+ * @param {string} [request.layout] - A key of PDF_LAYOUTS; defaults to the user's saved layout
+ * @param {boolean} [request.coverPage] - Start the PDF with a generated cover page; defaults to the user's /cover setting
+ * @param {number} [request.priority] - Queue priority (see queuePdfJob)
+ */
+async function sendChapterPDF(bot, chatId, { chapterId, mangaTitle = 'Unknown', chapterNumber = 'Unknown', source, metadata, retry }, { userId, format, profile, slice, clean, layout, coverPage, priority }) {
+  const label = mangaTitle !== 'Unknown'
+    ? `${mangaTitle} - Chapter ${chapterNumber}`
+    : `chapter: ${chapterId}`;
+  const chapter = {
+    chapterId,
+    mangaTitle,
+    chapterNumber,
+    source,
+    metadata,
+    format: resolveFormat(userId, retry ? retry.format : format),
+    quality: retry ? retry.quality : resolveQuality(userId),
+    slice: retry ? retry.slice : resolveSlice(chatId, slice),
+    profile: retry ? retry.profile : resolveProfile(userId, profile),
+    clean: retry ? retry.clean : resolveClean(userId, clean),
+    layout: retry ? retry.layout : resolveLayout(userId, layout),
+    coverPage: retry ? retry.coverPage : resolveCoverPage(userId, coverPage),
+    retry
+  };
+
+  // Chapters uploaded before go out straight away, without a queue slot; the job reuses the
+  // page list, and if it cannot be fetched here the queued job tries again and reports the error
+  try {
+    const pages = await getChapterPages(chapterId, source);
+    if (pages && pages.length > 0 && await sendStoredPDF(bot, chatId, chapter, pages)) return;
+    chapter.pages = pages;
+  } catch (error) {
+    logger.warn('Could not check for a stored upload', { chatId, chapterId, error: error.message });
+  }
+
+  await queuePdfJob(bot, chatId, {
+    label,
+    queueLabel: mangaTitle !== 'Unknown' ? `${mangaTitle} - Chapter ${chapterNumber}` : `Chapter ${chapterId}`,
+    format: chapter.format,
+    userId,
+    priority,
+    run: status => buildAndSendPDF(bot, chatId, chapter, label, status)
+  });
+}
+
+// /queue: the user's downloads that are building or waiting
+function createQueueMessage(userId) {
+  const jobs = pdfQueue.jobsFor(userId);
+  if (jobs.length === 0) {
+    return '📭 You have no downloads in the queue.';
+  }
+
+  const lines = jobs.map((job, index) => (job.state === 'running'
+    ? `${index + 1}. ⚙️ ${job.label} (generating)`
+    : `${index + 1}. ⏳ ${job.label} (#${job.position} in queue)`));
+  const { running, waiting } = pdfQueue.stats();
+
+  return `📋 Your download queue\n\n${lines.join('\n')}\n\nOverall: ${running} generating, ${waiting} waiting`;
+}
+
+// On and off buttons of the yes-or-no settings
+const ON_OFF = [{ value: 'on', name: 'On' }, { value: 'off', name: 'Off' }];
+
+// Download settings, each with its own /command and selection message (see registerPreference)
+const PREFERENCES = [
+  // The format is personal, so anyone may set their own in groups too
+  {
+    name: 'format',
+    label: 'download format',
+    description: 'Choose your download format',
+    title: '📥 *Download format*',
+    options: Object.entries(EXPORT_FORMATS).map(([value, format]) => ({ value, name: format.name })),
+    summary: option => `Chapters you download are sent as *${option.name}*.`,
+    help: '• *PDF* opens anywhere\n' +
+      '• *CBZ* keeps the original images and works best in comic readers (Mihon, Kavita, Komga)\n' +
+      '• *EPUB* shows one full page per screen on e-readers\n\n' +
+      'You can also add `pdf`, `cbz` or `epub` to a single `/pdf` request.',
+    get: ({ userId }) => resolveFormat(userId),
+    set: ({ userId }, format) => setUserPreference(userId, 'format', format)
+  },
+  {
+    name: 'quality',
+    label: 'PDF quality',
+    description: 'Choose the image quality of chapter PDFs',
+    title: '🎚️ *PDF quality*',
+    options: [null, ...SPLIT_QUALITIES].map(quality => ({ value: String(quality || 'auto'), name: qualityName(quality) })),
+    summary: option => `Chapter PDFs are built at *${option.name}* quality.`,
+    help: '• *Auto* lowers the image quality until a chapter fits in one file\n' +
+      '• A fixed quality keeps every page sharp and sends big chapters as Part 1, Part 2, ...',
+    parse: text => text.replace(/%$/, ''),
+    get: ({ userId }) => String(resolveQuality(userId) || 'auto'),
+    set: ({ userId }, quality) => setUserPreference(userId, 'pdfQuality', quality === 'auto' ? 'auto' : parseInt(quality, 10))
+  },
+  // Like the format, the profile is personal
+  {
+    name: 'profile',
+    label: 'reading profile',
+    description: 'Choose the screen your PDF and EPUB pages are made for',
+    title: '📐 *Reading profile*',
+    options: Object.entries(READING_PROFILES).map(([value, profile]) => ({ value, name: profile.name })),
+    summary: option => `PDF and EPUB pages are made for *${option.name}*.`,
+    help: `${Object.values(READING_PROFILES).map(profile => `• *${profile.name}*: ${profile.description}`).join('\n')}\n\n` +
+      `You can also add \`${Object.keys(READING_PROFILES).join('`, `')}\` to a single \`/pdf\` request. CBZ files always keep the original images.`,
+    columns: 3,
+    get: ({ userId }) => resolveProfile(userId),
+    set: ({ userId }, profile) => setUserPreference(userId, 'profile', profile)
+  },
+  // Like the profile, the layout is personal
+  {
+    name: 'layout',
+    label: 'PDF layout',
+    description: 'Choose how your PDFs lay out pages: single, right to left or spreads',
+    title: '📖 *PDF layout*',
+    options: Object.entries(PDF_LAYOUTS).map(([value, layout]) => ({ value, name: layout.name })),
+    summary: option => `Your PDFs open as *${option.name}*.`,
+    help: `${Object.values(PDF_LAYOUTS).map(layout => `• *${layout.name}*: ${layout.description}`).join('\n')}\n\n` +
+      `You can also add \`${Object.keys(PDF_LAYOUTS).join('`, `')}\` to a single \`/pdf\` request.`,
+    get: ({ userId }) => resolveLayout(userId),
+    set: ({ userId }, layout) => setUserPreference(userId, 'layout', layout)
+  },
+  // Slicing applies to the whole chat, so only admins may change it in groups
+  {
+    name: 'slice',
+    label: 'webtoon slicing',
+    description: 'Cut long webtoon strips into readable pages',
+    title: '✂️ *Webtoon slicing*',
+    options: ON_OFF,
+    summary: option => `Long strips are *${option.value === 'on' ? 'cut into pages' : 'kept whole'}* in this chat.`,
+    help: 'Sliced strips become phone-sized PDF and EPUB pages, cut between panels where possible. ' +
+      'CBZ files always keep the original images.\n\n' +
+      'Add `slice` or `noslice` to a single `/pdf` request to override this.',
+    chatWide: true,
+    get: ({ chatId }) => (resolveSlice(chatId) ? 'on' : 'off'),
+    set: ({ chatId }, choice) => setChatPreference(chatId, 'slice', choice === 'on')
+  },
+  // Cleanup is a reading taste, so like the profile it is personal
+  {
+    name: 'clean',
+    label: 'page cleanup',
+    description: 'Trim page margins and leave out blank and repeated pages',
+    title: '🧹 *Page cleanup*',
+    options: ON_OFF,
+    summary: option => `Your PDF and EPUB pages are *${option.value === 'on' ? 'cleaned up' : 'kept as they are'}*.`,
+    help: 'Cleanup trims flat margins off every page and leaves out blank pages and repeats of an earlier page. ' +
+      'The file\'s caption lists the pages that were removed. Archival pages keep their margins, and CBZ files always keep every original image.\n\n' +
+      'Add `clean` or `noclean` to a single `/pdf` request to override this.',
+    get: ({ userId }) => (resolveClean(userId) ? 'on' : 'off'),
+    set: ({ userId }, choice) => setUserPreference(userId, 'clean', choice === 'on')
+  },
+  // Like cleanup, the cover page is personal
+  {
+    name: 'cover',
+    label: 'cover page',
+    description: 'Start your PDFs with a cover page showing the manga and chapter',
+    title: '🖼 *Cover page*',
+    options: ON_OFF,
+    summary: option => `Your PDFs *${option.value === 'on' ? 'start with a cover page' : 'start with the first page'}*.`,
+    help: 'The cover page shows the manga\'s cover art, title, chapter, author and genres, and gets its own bookmark. ' +
+      'Every PDF also carries the title, author and genres in its document properties.\n\n' +
+      'Add `cover` or `nocover` to a single `/pdf` request to override this.',
+    get: ({ userId }) => (resolveCoverPage(userId) ? 'on' : 'off'),
+    set: ({ userId }, choice) => setUserPreference(userId, 'coverPage', choice === 'on')
+  }
+];
+
+/**
+ * Define the conversation that asks which chapters of a manga to export, then in which format
+ * @param {Object} conversations - Conversation manager
+ */
+function registerConversations(conversations) {
+  // Prompts are Markdown, so the title is escaped (and cannot be bold)
+  conversations.define('pdfrange', {
+    steps: {
+      range: {
+        prompt: ({ mangaTitle, first, last }) => `📚 ${escapeMarkdown(mangaTitle)}${first !== undefined ? ` has chapters ${first} to ${last}` : ''}.\n\n` +
+          'Which chapters do you want? Send a range like `10-20` or a single number.',
+        validate: (text, { first, last }) => validators.range(first !== undefined ? { min: first, max: last } : {})(text),
+        next: 'format'
+      },
+      format: {
+        prompt: ({ mangaTitle, range }) => `📦 ${escapeMarkdown(mangaTitle)} - ${range.from === range.to ? `Chapter ${range.from}` : `Chapters ${range.from}-${range.to}`}\n\nWhich format?`,
+        options: Object.entries(EXPORT_FORMATS).map(([key, { name }]) => ({ text: name, value: key }))
+      }
+    },
+    onComplete: async ({ bot, chatId, userId, data }) => {
+      logger.info('Processing chosen chapter range', { chatId, mangaId: data.mangaId, range: data.range, format: data.format });
+      await sendRangeFromCommand(bot, chatId, { userId, format: data.format }, data.mangaId, data.range, data.sourceName);
+    }
+  });
+}
+
+/**
+ * Register /pdf, /queue and the download settings (/format, /quality, /profile, /layout, /slice, /clean, /cover)
+ * with their buttons
+ * @param {Object} commands - Command registry
+ * @param {Object} services - Shared services ({ router })
+ */
+function registerCommands(commands, services) {
+  commands.command({
+    name: 'pdf',
+    args: '<chapter_id> | <manga_id> <from>-<to> [pdf|cbz|epub] [profile] [layout] [slice|noslice] [clean|noclean] [cover|nocover]',
+    argsRequired: true,
+    description: 'Download a chapter, or a range of chapters, as PDF, CBZ or EPUB',
+    section: 'downloads',
+    handler: async ({ bot, msg, chatId, args }) => {
+      // Optional trailing words override the saved format, profile, layout, cleanup and cover page
+      // and the chat's slicing for this request
+      const words = args.split(/\s+/);
+      let format;
+      let profile;
+      let layout;
+      let slice;
+      let clean;
+      let coverPage;
+      while (words.length > 1) {
+        const word = words[words.length - 1].toLowerCase();
+        // Own keys only, so a word like 'constructor' is left in the target
+        if (format === undefined && Object.hasOwn(EXPORT_FORMATS, word)) format = word;
+        else if (profile === undefined && Object.hasOwn(READING_PROFILES, word)) profile = word;
+        else if (layout === undefined && Object.hasOwn(PDF_LAYOUTS, word)) layout = word;
+        else if (slice === undefined && Object.hasOwn(SLICE_WORDS, word)) slice = SLICE_WORDS[word];
+        else if (clean === undefined && Object.hasOwn(CLEAN_WORDS, word)) clean = CLEAN_WORDS[word];
+        else if (coverPage === undefined && Object.hasOwn(COVER_WORDS, word)) coverPage = COVER_WORDS[word];
+        else break;
+        words.pop();
+      }
+      const target = words.join(' ');
+      const request = { userId: msg.from.id, format, profile, layout, slice, clean, coverPage };
+
+      const rangeMatch = target.match(/^(\S+)\s+(.+)$/);
+      if (!rangeMatch) {
+        logger.info('Processing PDF command', { chatId, chapterId: target, format, profile, layout, slice, clean, coverPage });
+        await sendChapterPDF(bot, chatId, { chapterId: target, source: getChatSourceName(chatId) }, request);
+        return;
+      }
+
+      const [, mangaId, rangeText] = rangeMatch;
+      const range = validators.range()(rangeText);
+      if (range.error) {
+        await sendMessageWithAutoDeletion(bot, chatId, `⚠️ ${range.error}`, { parse_mode: 'Markdown' }, DELETION_TIMEOUTS.ERROR_MESSAGE);
+        return;
+      }
+      logger.info('Processing range PDF command', { chatId, mangaId, format, profile, layout, slice, clean, coverPage, ...range.value });
+      await sendRangeFromCommand(bot, chatId, request, mangaId, range.value);
+    }
+  });
+
+  commands.command({
+    name: 'queue',
+    description: 'Show your queued downloads',
+    section: 'downloads',
+    handler: async ({ bot, msg, chatId }) => {
+      logger.info('Showing PDF queue', { chatId, userId: msg.from.id });
+      await sendMessageWithAutoDeletion(bot, chatId, createQueueMessage(msg.from.id), {
+        reply_to_message_id: msg.message_id
+      }, DELETION_TIMEOUTS.TEMPORARY_INFO);
+    }
+  });
+
+  for (const preference of PREFERENCES) {
+    registerPreference(services, preference);
+  }
+}
+
+/**
+ * Register download, range prompt, cancel and retry callbacks
+ * @param {Object} router - Callback router
+ * @param {Object} services - Shared services ({ conversations })
+ */
+function registerCallbacks(router, { conversations }) {
+  // Buttons sent before callback tokens carry the raw chapter ID, and older tokens no source
+  router.action('latpdf', {
+    parse: parsers.tokenOr('chapterId'),
+    handler: async ({ bot, chatId, from, payload }) => {
+      const { sourceName, ...chapter } = payload;
+      await sendChapterPDF(bot, chatId, { ...chapter, source: sourceName || getChatSourceName(chatId) }, { userId: from.id });
+    }
+  });
+
+  router.action('ch', {
+    parse: parsers.token,
+    onInvalid: ctx => sendMangaNotFound(ctx),
+    handler: async ctx => {
+      const { bot, chatId, from, payload } = ctx;
+      const { mangaId, chapterId } = payload;
+      logger.info('Processing chapter PDF request', { chatId, mangaId, chapterId });
+
+      // A button resolves against the source it was made for; older buttons predate that
+      const sourceName = payload.sourceName || getChatSourceName(chatId);
+      const details = await loadDetailsOrReply(ctx, mangaId, sourceName);
+      if (!details) {
+        logger.warn('No manga details found for PDF generation', { chatId, mangaId });
+        return;
+      }
+
+      // A chapter gone from the list is reported, never swapped for whatever took its place
+      const chapter = details.chapters.find(c => c.id === chapterId);
+      if (!chapter) {
+        logger.warn('Chapter no longer listed', { chatId, mangaId, chapterId });
+        await sendMangaNotFound(ctx, 'Sorry, this chapter is no longer listed for this manga. Please open the manga again.');
+        return;
+      }
+
+      await sendChapterPDF(bot, chatId, {
+        chapterId: chapter.id,
+        mangaTitle: details.title,
+        chapterNumber: chapter.chapter,
+        source: sourceName,
+        metadata: mangaMetadata(details)
+      }, { userId: from.id });
+    }
+  });
+
+  // "Download this page" under the chapter keyboard
+  router.action('chpdf', {
+    parse: parsers.token,
+    onInvalid: ctx => sendMangaNotFound(ctx),
+    handler: async ctx => {
+      const { bot, chatId, from, payload } = ctx;
+      const { mangaId, page } = payload;
+      logger.info('Processing chapter page PDF request', { chatId, mangaId, page });
+
+      const sourceName = payload.sourceName || getChatSourceName(chatId);
+      const details = await loadDetailsOrReply(ctx, mangaId, sourceName);
+      if (!details) return;
+
+      const chapters = details.chapters.slice(page * CHAPTERS_PER_PAGE, (page + 1) * CHAPTERS_PER_PAGE);
+      if (chapters.length === 0) {
+        logger.warn('No manga details found for chapter page PDF', { chatId, mangaId });
+        await sendMangaNotFound(ctx);
+        return;
+      }
+
+      await sendChapterRangePDF(bot, chatId, {
+        mangaTitle: details.title,
+        chapters,
+        source: sourceName,
+        metadata: mangaMetadata(details)
+      }, { userId: from.id });
+    }
+  });
+
+  // "Choose chapters" under the chapter keyboard: asks for a range, then a format
+  router.action('chrange', {
+    parse: parsers.token,
+    onInvalid: ctx => sendMangaNotFound(ctx),
+    handler: async ctx => {
+      const { chatId, from, message, payload } = ctx;
+      const sourceName = payload.sourceName || getChatSourceName(chatId);
+      const details = await loadDetailsOrReply(ctx, payload.mangaId, sourceName);
+      if (!details) return;
+      if (details.chapters.length === 0) {
+        await sendMangaNotFound(ctx);
+        return;
+      }
+
+      const numbers = details.chapters.map(c => parseFloat(c.chapter)).filter(Number.isFinite);
+      await conversations.start('pdfrange', { chat: message.chat, userId: from.id }, {
+        mangaId: payload.mangaId,
+        mangaTitle: details.title,
+        sourceName,
+        first: numbers.length > 0 ? Math.min(...numbers) : undefined,
+        last: numbers.length > 0 ? Math.max(...numbers) : undefined
+      });
+    }
+  });
+
+  // ✖ Cancel under a download status message
+  router.action('pdfcancel', {
+    parse: parsers.int('jobId'),
+    handler: async ({ bot, chatId, message, from, payload }) => {
+      const job = pdfQueue.get(payload.jobId);
+      if (!job || job.chatId !== chatId) {
+        await sendMessageWithAutoDeletion(bot, chatId, 'ℹ️ This download has already finished.', {}, DELETION_TIMEOUTS.TEMPORARY_INFO);
+        return;
+      }
+
+      // Anyone can see the button in a group; only the requester or an admin may use it
+      if (job.userId !== from.id && !(isGroupChat(message) && await isChatAdmin(bot, chatId, from.id))) {
+        await sendMessageWithAutoDeletion(bot, chatId, '⛔ Only the person who asked for this download or a group admin can cancel it.', {}, DELETION_TIMEOUTS.TEMPORARY_INFO);
+        logger.warn('Non-owner tried to cancel a download', { chatId, jobId: job.id, userId: from.id });
+        return;
+      }
+
+      pdfQueue.cancel(job.id);
+      logger.info('Cancelled download', { chatId, jobId: job.id, userId: from.id, requestedBy: job.userId, state: job.state });
+    }
+  });
+
+  // 🔁 Retry missing pages under a chapter PDF summary
+  router.action('pdfretry', {
+    parse: parsers.token,
+    onInvalid: ({ bot, chatId }) => sendMessageWithAutoDeletion(bot, chatId, '⌛ This retry has expired. Request the chapter again.', {}, DELETION_TIMEOUTS.TEMPORARY_INFO),
+    handler: async ({ bot, chatId, messageId, from, payload }) => {
+      // One rebuild per summary; a second press would only queue the same work again
+      try {
+        await bot.editMessageReplyMarkup({ inline_keyboard: [] }, { chat_id: chatId, message_id: messageId });
+      } catch (error) {
+        logger.warn('Could not remove retry button', { chatId, error: error.message });
+      }
+
+      logger.info('Retrying missing pages', { chatId, chapterId: payload.chapterId, pages: payload.retry.pages });
+      await sendChapterPDF(bot, chatId, payload, { userId: from.id });
+    }
+  });
+}
+
+module.exports = {
+  registerConversations,
+  registerCommands,
+  registerCallbacks,
+  sendChapterPDF,
+  sendChapterRangePDF
+};
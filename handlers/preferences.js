@@ -0,0 +1,117 @@
+const { isChatAdmin } = require('../utils/commands');
+const { parsers } = require('../utils/router');
+const { sendMessageWithAutoDeletion, safeEditOrSend, DELETION_TIMEOUTS } = require('../utils/deletion');
+const { logger, isGroupChat } = require('./common');
+
+// Selection message: the current choice, what the choices mean and a button per choice
+function createSelectionMessage(preference, current) {
+  const buttons = preference.options.map(option => ({
+    text: `${option.value === current ? '✅ ' : ''}${option.name}`,
+    callback_data: `${preference.name}_${option.value}`
+  }));
+  const rows = [];
+  for (let i = 0; i < buttons.length; i += preference.columns) {
+    rows.push(buttons.slice(i, i + preference.columns));
+  }
+
+  return {
+    text: `${preference.title}\n\n${preference.summary(preference.options.find(option => option.value === current))}\n\n${preference.help}`,
+    parse_mode: 'Markdown',
+    reply_markup: { inline_keyboard: rows }
+  };
+}
+
+/**
+ * Register a download setting: /<name> shows the current choice with a button
+ * per option, /<name> <option> and the buttons change it.
+ *
+ * A personal setting only ever changes for whoever sent the command or pressed
+ * the button. A chat-wide setting needs a group admin to change it in groups.
+ * @param {Object} services - Shared services ({ commands, router })
+ * @param {Object} preference
+ * @param {string} preference.name - Command name and callback_data prefix
+ * @param {string} preference.label - What is being set, for logs and refusals, e.g. 'download format'
+ * @param {string} preference.description - /help and command menu text
+ * @param {string} preference.title - Heading of the selection message
+ * @param {Array} preference.options - Choices in button order: { value, name } with value lowercase and free of '_'
+ * @param {Function} preference.summary - option => sentence stating the choice, shown in the message and when it changes
+ * @param {string} preference.help - What the choices do, shown under the summary
+ * @param {Function} preference.get - ({ chatId, userId }) => value of the current option
+ * @param {Function} preference.set - ({ chatId, userId }, value) => void
+ * @param {Function} [preference.parse] - Maps a typed argument to an option value (default: as typed)
+ * @param {boolean} [preference.chatWide] - Applies to the whole chat rather than the user
+ * @param {number} [preference.columns] - Buttons per row (default: all in one row)
+ */
+function registerPreference({ commands, router }, preference) {
+  preference = {
+    parse: text => text,
+    columns: preference.options.length,
+    ...preference
+  };
+  const { name, label, options, chatWide } = preference;
+  const values = options.map(option => option.value);
+
+  function change(context, value) {
+    preference.set(context, value);
+    logger.info(`Changed ${label}`, { ...context, [name]: value });
+  }
+
+  commands.command({
+    name,
+    args: `[${values.join('|')}]`,
+    description: preference.description,
+    section: 'downloads',
+    scope: chatWide ? ['private', 'admin'] : ['private', 'group'],
+    handler: async ({ bot, msg, chatId, args }) => {
+      const context = { chatId, userId: msg.from.id };
+
+      if (!args) {
+        await sendMessageWithAutoDeletion(bot, chatId, createSelectionMessage(preference, preference.get(context)), {
+          reply_to_message_id: msg.message_id
+        }, DELETION_TIMEOUTS.USER_INTERACTION);
+        return;
+      }
+
+      const value = preference.parse(args.toLowerCase());
+      const option = options.find(o => o.value === value);
+      if (!option) {
+        await sendMessageWithAutoDeletion(bot, chatId, `❌ Unknown ${name}: ${args}\n\nChoose one of: ${values.join(', ')}`, {}, DELETION_TIMEOUTS.ERROR_MESSAGE);
+        return;
+      }
+
+      change(context, value);
+      await sendMessageWithAutoDeletion(
+        bot,
+        chatId,
+        `✅ ${preference.summary(option)}`,
+        { parse_mode: 'Markdown', reply_to_message_id: msg.message_id },
+        DELETION_TIMEOUTS.TEMPORARY_INFO
+      );
+    }
+  });
+
+  router.action(name, {
+    parse: parsers.string('value'),
+    handler: async ({ bot, chatId, messageId, message, from, payload }) => {
+      if (chatWide && isGroupChat(message) && !await isChatAdmin(bot, chatId, from.id)) {
+        await sendMessageWithAutoDeletion(bot, chatId, `⛔ Only group admins can change ${label}.`, {}, DELETION_TIMEOUTS.TEMPORARY_INFO);
+        logger.warn(`Non-admin tried to change ${label}`, { chatId, userId: from.id });
+        return;
+      }
+
+      const context = { chatId, userId: from.id };
+      if (values.includes(payload.value)) change(context, payload.value);
+
+      const messageOptions = createSelectionMessage(preference, preference.get(context));
+      await safeEditOrSend(bot, chatId, messageId, {
+        text: messageOptions.text,
+        reply_markup: messageOptions.reply_markup,
+        parse_mode: messageOptions.parse_mode
+      }, false, DELETION_TIMEOUTS.USER_INTERACTION);
+    }
+  });
+}
+
+module.exports = {
+  registerPreference
+};
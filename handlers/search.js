@@ -0,0 +1,169 @@
+const { searchManga, createSearchResultsMessage } = require('../utils/search');
+const { storeSearchResults, getStoredSearchResults } = require('../utils/pagination');
+const { getChatSourceName } = require('../utils/sources');
+const { createCallbackData } = require('../utils/callbackTokens');
+const { parsers } = require('../utils/router');
+const { validators } = require('../utils/conversations');
+const {
+  sendMessageWithAutoDeletion,
+  safeEditOrSend,
+  DELETION_TIMEOUTS
+} = require('../utils/deletion');
+const { logger, sourceErrorText } = require('./common');
+
+/**
+ * Search for manga and send the first page of results
+ * @param {Object} bot - Telegram bot instance
+ * @param {Object} msg - Message the search was requested from
+ * @param {string} query - Search query
+ */
+async function handleSearch(bot, msg, query) {
+  const chatId = msg.chat.id;
+  logger.info('Starting search', { chatId, query, chatType: msg.chat.type });
+
+  const searchingMsg = await sendMessageWithAutoDeletion(
+    bot,
+    chatId,
+    `🔍 Searching for "${query}"...`,
+    {},
+    DELETION_TIMEOUTS.LOADING_MESSAGE
+  );
+
+  try {
+    const sourceName = getChatSourceName(chatId);
+    const results = await searchManga(query, sourceName);
+    const sessionId = storeSearchResults(chatId, msg.from.id, results, query, sourceName);
+    logger.info('Stored search results', { chatId, sessionId, resultCount: results.length });
+
+    const messageOptions = createSearchResultsMessage(results, 0, sessionId, sourceName);
+
+    await safeEditOrSend(bot, chatId, searchingMsg.message_id, {
+      text: messageOptions.text,
+      reply_markup: messageOptions.reply_markup,
+      parse_mode: messageOptions.parse_mode
+    }, false, DELETION_TIMEOUTS.SEARCH_RESULTS);
+
+    logger.info('Sent search results', { chatId, query });
+  } catch (error) {
+    logger.error('Search failed', { chatId, query, error: error.message });
+    await safeEditOrSend(bot, chatId, searchingMsg.message_id, {
+      text: sourceErrorText(error, '❌ Search failed. Please try again later.'),
+      reply_markup: {
+        inline_keyboard: [[{
+          text: '🔄 Try Again',
+          callback_data: createCallbackData('search_retry', { query })
+        }]]
+      }
+    }, false, DELETION_TIMEOUTS.ERROR_MESSAGE);
+  }
+}
+
+// Old results message whose stored results are gone
+async function sendSearchExpired({ bot, chatId, messageId }) {
+  await safeEditOrSend(bot, chatId, messageId, {
+    text: '⌛ These search results have expired (results are kept for 24 hours). Please search again.',
+    reply_markup: {
+      inline_keyboard: [[{
+        text: '🔍 New Search',
+        callback_data: 'quick_search'
+      }]]
+    }
+  }, false, DELETION_TIMEOUTS.ERROR_MESSAGE);
+}
+
+/**
+ * Define the conversation that asks for a search query
+ * @param {Object} conversations - Conversation manager
+ */
+function registerConversations(conversations) {
+  conversations.define('search', {
+    steps: {
+      query: {
+        prompt: '🔍 **Quick Search**\n\nSend me the name of any manga you want to search for!\n\nExample: `Naruto` or `One Piece`',
+        validate: validators.text({ min: 2, max: 100 })
+      }
+    },
+    onComplete: async ({ bot, msg, data }) => {
+      await handleSearch(bot, msg, data.query);
+    }
+  });
+}
+
+/**
+ * Register /search
+ * @param {Object} commands - Command registry
+ * @param {Object} services - Shared services ({ conversations })
+ */
+function registerCommands(commands, { conversations }) {
+  commands.command({
+    name: 'search',
+    args: '<query>',
+    description: 'Search for any manga',
+    section: 'discovery',
+    handler: async ({ bot, msg, args }) => {
+      if (!args) {
+        await conversations.start('search', { chat: msg.chat, userId: msg.from.id, replyToMessageId: msg.message_id });
+        return;
+      }
+      await handleSearch(bot, msg, args);
+      logger.info('Processed /search command', { chatId: msg.chat.id, query: args });
+    }
+  });
+}
+
+/**
+ * Register quick search and search result callbacks
+ * @param {Object} router - Callback router
+ * @param {Object} services - Shared services ({ conversations })
+ */
+function registerCallbacks(router, { conversations }) {
+  router.action('quick_search', {
+    handler: async ({ chatId, message, from, messageId }) => {
+      logger.info('Quick search callback triggered', { chatId });
+      await conversations.start('search', { chat: message.chat, userId: from.id, editMessageId: messageId });
+    }
+  });
+
+  router.action('search_page', {
+    parse: parsers.sessionPage,
+    // Buttons from before result sessions existed carry only the page
+    onInvalid: sendSearchExpired,
+    loading: ctx => `🔍 Loading search results page ${ctx.payload.page + 1}...`,
+    handler: async ctx => {
+      const { bot, chatId, messageId, payload } = ctx;
+      const { sessionId, page } = payload;
+      logger.info('Processing search page callback', { chatId, sessionId, page });
+
+      const searchData = getStoredSearchResults(chatId, sessionId);
+      if (!searchData) {
+        logger.warn('Search results expired', { chatId, sessionId });
+        await sendSearchExpired(ctx);
+        return;
+      }
+
+      const messageOptions = createSearchResultsMessage(searchData.results, page, sessionId, searchData.sourceName);
+      await safeEditOrSend(bot, chatId, messageId, {
+        text: messageOptions.text,
+        reply_markup: messageOptions.reply_markup,
+        parse_mode: messageOptions.parse_mode
+      }, false, DELETION_TIMEOUTS.SEARCH_RESULTS);
+      logger.info('Updated search results page', { chatId, sessionId, page });
+    }
+  });
+
+  router.action('search_retry', {
+    parse: parsers.token,
+    handler: async ({ bot, message, from, payload }) => {
+      logger.info('Retrying search', { chatId: message.chat.id, query: payload.query });
+      // The results belong to whoever pressed Try Again
+      await handleSearch(bot, { ...message, from }, payload.query);
+    }
+  });
+}
+
+module.exports = {
+  registerConversations,
+  registerCommands,
+  registerCallbacks,
+  handleSearch
+};
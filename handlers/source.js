@@ -0,0 +1,89 @@
+const { getSource, getChatSourceName, setChatSourceName, createSourceSelectionMessage } = require('../utils/sources');
+const { parsers } = require('../utils/router');
+const { isChatAdmin } = require('../utils/commands');
+const { sendMessageWithAutoDeletion, safeEditOrSend, DELETION_TIMEOUTS } = require('../utils/deletion');
+const { logger, isGroupChat } = require('./common');
+
+/**
+ * Register /source
+ * @param {Object} commands - Command registry
+ */
+function registerCommands(commands) {
+  // The source applies to the whole chat, so only admins may change it in groups
+  commands.command({
+    name: 'source',
+    args: '[name]',
+    description: 'Choose the manga source (duckydex, mangadex)',
+    scope: ['private', 'admin'],
+    handler: async ({ bot, chatId, args }) => {
+      const sourceName = args.toLowerCase();
+
+      if (!sourceName) {
+        const messageOptions = createSourceSelectionMessage(getChatSourceName(chatId));
+        await sendMessageWithAutoDeletion(bot, chatId, messageOptions, {}, DELETION_TIMEOUTS.USER_INTERACTION);
+        logger.info('Sent source selection', { chatId });
+        return;
+      }
+
+      if (!setChatSourceName(chatId, sourceName)) {
+        await sendMessageWithAutoDeletion(bot, chatId, {
+          text: `❌ Unknown source: ${sourceName}`,
+          reply_markup: {
+            inline_keyboard: [[{
+              text: '🌐 View All Sources',
+              callback_data: 'source_list'
+            }]]
+          }
+        }, {}, DELETION_TIMEOUTS.ERROR_MESSAGE);
+        logger.warn('Unknown source requested', { chatId, sourceName });
+        return;
+      }
+
+      await sendMessageWithAutoDeletion(
+        bot,
+        chatId,
+        `✅ This chat now uses *${getSource(sourceName).displayName}*.`,
+        { parse_mode: 'Markdown' },
+        DELETION_TIMEOUTS.TEMPORARY_INFO
+      );
+      logger.info('Changed chat source', { chatId, sourceName });
+    }
+  });
+}
+
+/**
+ * Register source selection callbacks
+ * @param {Object} router - Callback router
+ */
+function registerCallbacks(router) {
+  // 'source_list' only shows the list; any other name selects that source
+  router.action('source', {
+    parse: parsers.string('sourceName'),
+    handler: async ({ bot, chatId, messageId, message, from, payload }) => {
+      const { sourceName } = payload;
+
+      if (sourceName !== 'list') {
+        if (isGroupChat(message) && !await isChatAdmin(bot, chatId, from.id)) {
+          await sendMessageWithAutoDeletion(bot, chatId, '⛔ Only group admins can change the source.', {}, DELETION_TIMEOUTS.TEMPORARY_INFO);
+          logger.warn('Non-admin tried to change the source', { chatId, userId: from.id });
+          return;
+        }
+        if (setChatSourceName(chatId, sourceName)) {
+          logger.info('Changed chat source', { chatId, sourceName });
+        }
+      }
+
+      const messageOptions = createSourceSelectionMessage(getChatSourceName(chatId));
+      await safeEditOrSend(bot, chatId, messageId, {
+        text: messageOptions.text,
+        reply_markup: messageOptions.reply_markup,
+        parse_mode: messageOptions.parse_mode
+      }, false, DELETION_TIMEOUTS.USER_INTERACTION);
+    }
+  });
+}
+
+module.exports = {
+  registerCommands,
+  registerCallbacks
+};
@@ -0,0 +1,88 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { createMemoryBackend, createCache } = require('../utils/cache');
+
+// Loader that returns the next value each call and counts how often it ran
+function counter(values) {
+  const loader = async () => values[Math.min(loader.calls++, values.length - 1)];
+  loader.calls = 0;
+  return loader;
+}
+
+const FRESH = { ttl: 60 * 1000, staleTtl: 0 };
+// Entries are stale the moment they are stored, but may still be served for a minute
+const STALE = { ttl: 0, staleTtl: 60 * 1000 };
+const EXPIRED = { ttl: 0, staleTtl: 0 };
+
+describe('createCache', () => {
+  it('serves a fresh entry without calling the loader again', async () => {
+    const cache = createCache(createMemoryBackend());
+    const loader = counter(['a', 'b']);
+
+    assert.equal(await cache.wrap('details', 'k', FRESH, loader), 'a');
+    assert.equal(await cache.wrap('details', 'k', FRESH, loader), 'a');
+    assert.equal(loader.calls, 1);
+    assert.deepEqual(cache.stats(), { size: 1, endpoints: { details: { hits: 1, stale: 0, misses: 1 } } });
+  });
+
+  it('serves a stale entry at once and refreshes it in the background', async () => {
+    const cache = createCache(createMemoryBackend());
+    const loader = counter(['a', 'b']);
+
+    assert.equal(await cache.wrap('latest', 'k', STALE, loader), 'a');
+    assert.equal(await cache.wrap('latest', 'k', STALE, loader), 'a');
+    await new Promise(resolve => setImmediate(resolve));
+    assert.equal(loader.calls, 2);
+    assert.equal(await cache.wrap('latest', 'k', FRESH, loader), 'b');
+    assert.deepEqual(cache.stats().endpoints.latest, { hits: 1, stale: 1, misses: 1 });
+  });
+
+  it('waits for the loader once an entry is past its stale window', async () => {
+    const cache = createCache(createMemoryBackend());
+    const loader = counter(['a', 'b']);
+
+    await cache.wrap('genres', 'k', EXPIRED, loader);
+    assert.equal(await cache.wrap('genres', 'k', EXPIRED, loader), 'b');
+    assert.deepEqual(cache.stats().endpoints.genres, { hits: 0, stale: 0, misses: 2 });
+  });
+
+  it('runs one loader for callers that miss at the same time', async () => {
+    const cache = createCache(createMemoryBackend());
+    const loader = counter(['a']);
+
+    const values = await Promise.all([1, 2, 3].map(() => cache.wrap('details', 'k', FRESH, loader)));
+    assert.deepEqual(values, ['a', 'a', 'a']);
+    assert.equal(loader.calls, 1);
+  });
+
+  it('never stores empty results', async () => {
+    const cache = createCache(createMemoryBackend());
+    const loader = counter([[], null, ['x']]);
+
+    assert.deepEqual(await cache.wrap('latest', 'k', FRESH, loader), []);
+    assert.equal(await cache.wrap('latest', 'k', FRESH, loader), null);
+    assert.deepEqual(await cache.wrap('latest', 'k', FRESH, loader), ['x']);
+    assert.equal(cache.stats().size, 1);
+  });
+
+  it('does not cache a loader that fails', async () => {
+    const cache = createCache(createMemoryBackend());
+    await assert.rejects(cache.wrap('details', 'k', FRESH, async () => { throw new Error('down'); }), /down/);
+    assert.equal(await cache.wrap('details', 'k', FRESH, async () => 'a'), 'a');
+  });
+});
+
+describe('createMemoryBackend', () => {
+  it('evicts the least recently used entry past maxEntries', () => {
+    const backend = createMemoryBackend({ maxEntries: 2 });
+    backend.set('a', 1);
+    backend.set('b', 2);
+    backend.get('a');
+    backend.set('c', 3);
+
+    assert.equal(backend.size(), 2);
+    assert.equal(backend.get('b'), undefined);
+    assert.equal(backend.get('a'), 1);
+    assert.equal(backend.get('c'), 3);
+  });
+});
@@ -0,0 +1,67 @@
+const { describe, it, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Callback tokens are persisted; keep them out of the bot's own storage
+const storageDir = fs.mkdtempSync(path.join(os.tmpdir(), 'tokens-test-'));
+process.env.STORAGE_DIR = storageDir;
+const { createCallbackToken, resolveCallbackToken, createCallbackData } = require('../utils/callbackTokens');
+
+after(() => fs.rmSync(storageDir, { recursive: true, force: true }));
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+describe('createCallbackToken', () => {
+  it('resolves a token to its payload', () => {
+    const payload = { mangaId: 'a1b2c3d4-0000-4000-8000-000000000001', chapterId: 'c1', sourceName: 'mangadex' };
+    assert.deepEqual(resolveCallbackToken(createCallbackToken(payload)), payload);
+  });
+
+  it('hands a payload that has a live token the same token back', () => {
+    const first = createCallbackToken({ mangaId: 'one-piece', page: 2 });
+    const second = createCallbackToken({ mangaId: 'one-piece', page: 2 });
+    const other = createCallbackToken({ mangaId: 'one-piece', page: 3 });
+
+    assert.equal(second, first);
+    assert.notEqual(other, first);
+  });
+
+  it('stops resolving a token once its ttl has passed', async () => {
+    const token = createCallbackToken({ mangaId: 'naruto', page: 0 }, 5);
+    await sleep(20);
+    assert.equal(resolveCallbackToken(token), null);
+  });
+
+  it('mints a new token for a payload whose token has expired', async () => {
+    const payload = { mangaId: 'bleach', page: 1 };
+    const expired = createCallbackToken(payload, 5);
+    await sleep(20);
+
+    const token = createCallbackToken(payload);
+    assert.notEqual(token, expired);
+    assert.deepEqual(resolveCallbackToken(token), payload);
+  });
+
+  it('renews the expiry of a reused token', async () => {
+    const payload = { mangaId: 'berserk', page: 4 };
+    const token = createCallbackToken(payload, 30);
+    assert.equal(createCallbackToken(payload, 60 * 1000), token);
+    await sleep(50);
+
+    assert.deepEqual(resolveCallbackToken(token), payload);
+  });
+});
+
+describe('createCallbackData', () => {
+  it('puts the token after the action', () => {
+    const data = createCallbackData('det', { mangaId: 'vagabond' });
+    assert.match(data, /^det_[A-Za-z0-9]{10}$/);
+    assert.deepEqual(resolveCallbackToken(data.slice('det_'.length)), { mangaId: 'vagabond' });
+  });
+
+  it('refuses an action that would not fit in callback_data', () => {
+    assert.throws(() => createCallbackData('a'.repeat(60), { mangaId: 'vagabond' }), /too long/);
+  });
+});
@@ -0,0 +1,132 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { createConversationManager } = require('../utils/conversations');
+const { createCallbackRouter } = require('../utils/router');
+
+const TIMEOUT = 60 * 1000;
+const CHAT = { id: 100, type: 'private' };
+const USER = 7;
+
+// Records what the bot sends and edits; every sent message gets the next ID
+function createFakeBot() {
+  let nextId = 1;
+  const bot = {
+    sent: [],
+    edited: [],
+    async sendMessage(chatId, text, options) {
+      const message = { message_id: nextId++, chat: { id: chatId }, text };
+      bot.sent.push({ chatId, text, options, message });
+      return message;
+    },
+    async editMessageText(text, options) {
+      bot.edited.push({ text, ...options });
+      return true;
+    },
+    async deleteMessage() {
+      return true;
+    }
+  };
+  return bot;
+}
+
+// Lets the timeout handler's sends and edits settle after a timer fires
+const settle = () => new Promise(resolve => setImmediate(resolve));
+
+function reply(text, messageId = 1000) {
+  return { message_id: messageId, chat: CHAT, from: { id: USER }, text };
+}
+
+describe('conversations', () => {
+  let bot;
+  let conversations;
+  let completed;
+
+  beforeEach(() => {
+    // Prompts schedule their own deletion; fake timers keep those from holding the test open
+    mock.timers.enable({ apis: ['setTimeout'] });
+    bot = createFakeBot();
+    completed = [];
+    conversations = createConversationManager(bot, { timeoutMs: TIMEOUT });
+    conversations.define('range', {
+      steps: {
+        from: { prompt: 'First chapter?', next: 'to' },
+        to: { prompt: 'Last chapter?' }
+      },
+      onComplete: async ({ data }) => { completed.push(data); }
+    });
+  });
+
+  afterEach(() => mock.timers.reset());
+
+  it('walks the steps and hands the answers to onComplete', async () => {
+    await conversations.start('range', { chat: CHAT, userId: USER });
+    assert.equal(await conversations.handleMessage(reply('10')), true);
+    assert.equal(await conversations.handleMessage(reply('20')), true);
+
+    assert.deepEqual(completed, [{ from: '10', to: '20' }]);
+    assert.deepEqual(bot.sent.map(s => s.text), ['First chapter?', 'Last chapter?']);
+  });
+
+  it('ends a step that is not answered in time and says so on the prompt', async () => {
+    await conversations.start('range', { chat: CHAT, userId: USER });
+    const prompt = bot.sent[0].message;
+
+    mock.timers.tick(TIMEOUT);
+    await settle();
+
+    assert.equal(bot.edited.length, 1);
+    assert.equal(bot.edited[0].message_id, prompt.message_id);
+    assert.match(bot.edited[0].text, /timed out/);
+    assert.equal(await conversations.handleMessage(reply('10')), false);
+  });
+
+  it('gives every step the full time again', async () => {
+    await conversations.start('range', { chat: CHAT, userId: USER });
+    mock.timers.tick(TIMEOUT - 1);
+    await conversations.handleMessage(reply('10'));
+    mock.timers.tick(TIMEOUT - 1);
+    await settle();
+
+    assert.equal(bot.edited.length, 0);
+    assert.equal(await conversations.handleMessage(reply('20')), true);
+    assert.deepEqual(completed, [{ from: '10', to: '20' }]);
+  });
+
+  it('cancels an open conversation, which then neither takes replies nor times out', async () => {
+    await conversations.start('range', { chat: CHAT, userId: USER });
+
+    assert.equal(conversations.cancel(CHAT.id, USER), true);
+    assert.equal(conversations.cancel(CHAT.id, USER), false);
+    assert.equal(await conversations.handleMessage(reply('10')), false);
+
+    mock.timers.tick(TIMEOUT);
+    await settle();
+    assert.equal(bot.edited.length, 0);
+    assert.deepEqual(completed, []);
+  });
+
+  it('in groups, narrows the reply box to the user only when the prompt replies to their message', async () => {
+    const group = { id: -200, type: 'supergroup' };
+    await conversations.start('range', { chat: group, userId: USER, replyToMessageId: 55 });
+    await conversations.start('range', { chat: group, userId: USER + 1 });
+
+    const [fromCommand, fromButton] = bot.sent.map(s => s.options);
+    assert.equal(fromCommand.reply_to_message_id, 55);
+    assert.deepEqual(fromCommand.reply_markup, { force_reply: true, selective: true });
+    assert.deepEqual(fromButton.reply_markup, { force_reply: true, selective: false });
+  });
+
+  it('only lets the user a prompt belongs to cancel it with its button', async () => {
+    const router = createCallbackRouter(bot);
+    conversations.registerCallbacks(router);
+    await conversations.start('range', { chat: CHAT, userId: USER });
+    const prompt = { ...bot.sent[0].message, chat: CHAT };
+
+    await router.handle({ id: '1', data: 'conv_cancel', message: prompt, from: { id: USER + 1 } });
+    assert.match(bot.sent[bot.sent.length - 1].text, /belongs to someone else/);
+
+    await router.handle({ id: '2', data: 'conv_cancel', message: prompt, from: { id: USER } });
+    assert.equal(bot.edited[bot.edited.length - 1].text, '✖ Cancelled.');
+    assert.equal(await conversations.handleMessage(reply('10')), false);
+  });
+});
@@ -0,0 +1,40 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { wrapText } = require('../utils/coverPage');
+
+// At 104px a cover line holds 18 characters
+const SIZE = 104;
+
+describe('wrapText', () => {
+  it('keeps text that fits on one line', () => {
+    assert.deepEqual(wrapText('One Piece', SIZE, 3), ['One Piece']);
+  });
+
+  it('wraps greedily at word boundaries', () => {
+    assert.deepEqual(wrapText('The Apothecary Diaries of the Inner Court', SIZE, 3), [
+      'The Apothecary',
+      'Diaries of the',
+      'Inner Court'
+    ]);
+  });
+
+  it('collapses runs of whitespace', () => {
+    assert.deepEqual(wrapText('  Chainsaw \n  Man ', SIZE, 3), ['Chainsaw Man']);
+  });
+
+  it('cuts a word longer than a line with an ellipsis', () => {
+    assert.deepEqual(wrapText('Supercalifragilisticexpialidocious', SIZE, 3), ['Supercalifragilis…']);
+  });
+
+  it('ends the last kept line in an ellipsis when there are too many lines', () => {
+    const lines = wrapText('one two three four five six seven eight nine ten eleven twelve', SIZE, 2);
+    assert.equal(lines.length, 2);
+    assert.equal(lines[0], 'one two three four');
+    assert.ok(lines[1].endsWith('…'));
+    assert.ok(lines[1].length <= 18);
+  });
+
+  it('returns no lines for empty text', () => {
+    assert.deepEqual(wrapText('', SIZE, 3), []);
+  });
+});
@@ -0,0 +1,160 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { createHttpClient, isSourceUnavailable } = require('../utils/http');
+
+// Answers with the given statuses in turn, repeating the last one; every
+// request is counted. Each server has a port, and so a breaker, of its own
+function createScriptedServer(statuses) {
+  const server = http.createServer((req, res) => {
+    const status = statuses[Math.min(server.hits, statuses.length - 1)];
+    server.hits += 1;
+    res.statusCode = status;
+    res.setHeader('content-type', 'application/json');
+    res.end(JSON.stringify({ status }));
+  });
+  server.hits = 0;
+  return server;
+}
+
+function listen(server) {
+  return new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => resolve(`http://127.0.0.1:${server.address().port}`));
+  });
+}
+
+function close(server) {
+  return new Promise(resolve => server.close(resolve));
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// No waiting between attempts, and a breaker that opens after two failures
+const fast = { timeout: 2000, retries: 2, backoffBase: 1, backoffMax: 1, failureThreshold: 2, resetTimeout: 50 };
+
+describe('createHttpClient retries', () => {
+  it('retries 5xx responses until one succeeds', async () => {
+    const server = createScriptedServer([503, 500, 200]);
+    const client = createHttpClient({ ...fast, baseURL: await listen(server) });
+    try {
+      const response = await client.get('/manga');
+      assert.equal(response.status, 200);
+      assert.equal(server.hits, 3);
+    } finally {
+      await close(server);
+    }
+  });
+
+  it('does not retry a 4xx and passes it through as is', async () => {
+    const server = createScriptedServer([404]);
+    const client = createHttpClient({ ...fast, baseURL: await listen(server) });
+    try {
+      await assert.rejects(client.get('/manga/missing'), error => {
+        assert.equal(isSourceUnavailable(error), false);
+        assert.equal(error.response.status, 404);
+        return true;
+      });
+      assert.equal(server.hits, 1);
+    } finally {
+      await close(server);
+    }
+  });
+
+  it('gives up on a refused connection with SourceUnavailableError', async () => {
+    // A port that was just freed refuses connections
+    const server = createScriptedServer([200]);
+    const baseURL = await listen(server);
+    await close(server);
+
+    const client = createHttpClient({ ...fast, baseURL });
+    await assert.rejects(client.get('/manga'), error => isSourceUnavailable(error));
+  });
+});
+
+describe('createHttpClient circuit breaker', () => {
+  it('opens after the failure threshold and then fails fast', async () => {
+    const server = createScriptedServer([503]);
+    const client = createHttpClient({ ...fast, retries: 0, resetTimeout: 60000, baseURL: await listen(server) });
+    try {
+      await assert.rejects(client.get('/manga'), error => isSourceUnavailable(error));
+      await assert.rejects(client.get('/manga'), error => isSourceUnavailable(error));
+      assert.equal(server.hits, 2);
+
+      // Open: refused without asking the upstream
+      await assert.rejects(client.get('/manga'), error => isSourceUnavailable(error) && !error.cause);
+      assert.equal(server.hits, 2);
+    } finally {
+      await close(server);
+    }
+  });
+
+  it('does not count a 4xx as a failure', async () => {
+    const server = createScriptedServer([503, 404, 503, 200]);
+    const client = createHttpClient({ ...fast, retries: 0, resetTimeout: 60000, baseURL: await listen(server) });
+    try {
+      await assert.rejects(client.get('/manga'), error => isSourceUnavailable(error));
+      await assert.rejects(client.get('/manga'), error => error.response.status === 404);
+      await assert.rejects(client.get('/manga'), error => isSourceUnavailable(error));
+
+      // One failure since the 4xx, so the breaker is still closed
+      const response = await client.get('/manga');
+      assert.equal(response.status, 200);
+      assert.equal(server.hits, 4);
+    } finally {
+      await close(server);
+    }
+  });
+
+  describe('after the reset timeout', () => {
+    let server;
+    let client;
+
+    before(async () => {
+      server = createScriptedServer([503, 503, 503, 503, 200]);
+      client = createHttpClient({ ...fast, failureThreshold: 1, baseURL: await listen(server) });
+    });
+
+    after(() => close(server));
+
+    it('lets a single trial through and re-opens when it fails', async () => {
+      await assert.rejects(client.get('/manga'), error => isSourceUnavailable(error));
+      assert.equal(server.hits, 3);
+      await assert.rejects(client.get('/manga'), error => isSourceUnavailable(error) && !error.cause);
+
+      await sleep(fast.resetTimeout + 10);
+      // Half-open: the trial is not retried, and its failure opens the breaker again
+      await assert.rejects(client.get('/manga'), error => isSourceUnavailable(error) && Boolean(error.cause));
+      assert.equal(server.hits, 4);
+      await assert.rejects(client.get('/manga'), error => isSourceUnavailable(error) && !error.cause);
+      assert.equal(server.hits, 4);
+    });
+
+    it('closes when the trial succeeds', async () => {
+      await sleep(fast.resetTimeout + 10);
+      const response = await client.get('/manga');
+      assert.equal(response.status, 200);
+
+      await client.get('/manga');
+      assert.equal(server.hits, 6);
+    });
+  });
+
+  it('keeps a breaker per scope, so one kind of traffic cannot cut off another', async () => {
+    const server = createScriptedServer([503, 503, 200]);
+    const baseURL = await listen(server);
+    const pages = createHttpClient({ ...fast, retries: 0, resetTimeout: 60000, baseURL, breakerScope: 'pages' });
+    const api = createHttpClient({ ...fast, retries: 0, resetTimeout: 60000, baseURL });
+    try {
+      await assert.rejects(pages.get('/page.jpg'), error => isSourceUnavailable(error));
+      await assert.rejects(pages.get('/page.jpg'), error => isSourceUnavailable(error));
+      await assert.rejects(pages.get('/page.jpg'), error => isSourceUnavailable(error) && !error.cause);
+
+      // Same host, other scope: still closed
+      const response = await api.get('/manga');
+      assert.equal(response.status, 200);
+      assert.equal(server.hits, 3);
+    } finally {
+      await close(server);
+    }
+  });
+});
@@ -0,0 +1,139 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { createJobQueue, JOB_PRIORITIES, isQueueFull, isJobCancelled } = require('../utils/jobQueue');
+
+// A job whose run() waits until the test finishes it
+function deferredJob(userId, extra = {}) {
+  let finish;
+  const done = new Promise(resolve => { finish = resolve; });
+  const job = {
+    userId,
+    started: false,
+    signal: null,
+    run: async ({ signal }) => {
+      job.started = true;
+      job.signal = signal;
+      return await done;
+    },
+    ...extra
+  };
+  job.finish = finish;
+  return job;
+}
+
+// Let queued promise callbacks (job starts, finishes) run
+const settle = () => new Promise(resolve => setImmediate(resolve));
+
+describe('createJobQueue', () => {
+  it('runs at most `concurrency` jobs and starts the next when one finishes', async () => {
+    const queue = createJobQueue({ concurrency: 2, perUserConcurrency: 2 });
+    const jobs = [1, 2, 3].map(userId => deferredJob(userId));
+    const queued = jobs.map(job => queue.enqueue(job));
+    await settle();
+
+    assert.deepEqual(queued.map(q => q.position), [0, 0, 1]);
+    assert.deepEqual(jobs.map(job => job.started), [true, true, false]);
+    assert.deepEqual(queue.stats(), { running: 2, waiting: 1, concurrency: 2, perUserConcurrency: 2 });
+
+    jobs[0].finish('first');
+    assert.equal(await queued[0].promise, 'first');
+    await settle();
+    assert.equal(jobs[2].started, true);
+
+    jobs[1].finish();
+    jobs[2].finish();
+    await Promise.all(queued.map(q => q.promise));
+    assert.equal(queue.stats().running, 0);
+  });
+
+  it('lets other users pass a user who is at their per-user cap', async () => {
+    const queue = createJobQueue({ concurrency: 2, perUserConcurrency: 1 });
+    const first = deferredJob(1);
+    const second = deferredJob(1);
+    const other = deferredJob(2);
+    queue.enqueue(first);
+    queue.enqueue(second);
+    queue.enqueue(other);
+    await settle();
+
+    assert.equal(first.started, true);
+    assert.equal(second.started, false);
+    assert.equal(other.started, true);
+    assert.deepEqual(queue.jobsFor(1).map(job => job.state), ['running', 'waiting']);
+
+    for (const job of [first, second, other]) job.finish();
+  });
+
+  it('refuses jobs beyond maxPerUser', () => {
+    const queue = createJobQueue({ concurrency: 1, perUserConcurrency: 1, maxPerUser: 2 });
+    queue.enqueue(deferredJob(1));
+    queue.enqueue(deferredJob(1));
+
+    assert.throws(() => queue.enqueue(deferredJob(1)), error => isQueueFull(error) && error.limit === 2);
+    assert.doesNotThrow(() => queue.enqueue(deferredJob(2)));
+  });
+
+  it('queues higher priority jobs ahead of normal ones', async () => {
+    const queue = createJobQueue({ concurrency: 1, perUserConcurrency: 1 });
+    const running = deferredJob(1);
+    queue.enqueue(running);
+    const normal = queue.enqueue(deferredJob(2));
+    const high = queue.enqueue(deferredJob(3, { priority: JOB_PRIORITIES.HIGH }));
+
+    assert.equal(high.position, 1);
+    assert.equal(queue.get(normal.id).position, 2);
+    running.finish();
+  });
+
+  it('drops a cancelled waiting job and rejects its promise', async () => {
+    const queue = createJobQueue({ concurrency: 1, perUserConcurrency: 1 });
+    const running = deferredJob(1);
+    queue.enqueue(running);
+    const waiting = deferredJob(2);
+    const queued = queue.enqueue(waiting);
+
+    assert.equal(queue.cancel(queued.id), true);
+    await assert.rejects(queued.promise, isJobCancelled);
+    assert.equal(queued.signal.aborted, true);
+    assert.equal(queue.get(queued.id), null);
+
+    running.finish();
+    await settle();
+    assert.equal(waiting.started, false);
+    assert.equal(queue.cancel(queued.id), false);
+  });
+
+  it('aborts a running job and frees its slot once run() gives up', async () => {
+    const queue = createJobQueue({ concurrency: 1, perUserConcurrency: 1 });
+    const job = {
+      userId: 1,
+      run: ({ signal }) => new Promise((resolve, reject) => {
+        signal.addEventListener('abort', () => reject(signal.reason));
+      })
+    };
+    const queued = queue.enqueue(job);
+    const next = deferredJob(2);
+    queue.enqueue(next);
+    await settle();
+
+    queue.cancel(queued.id);
+    await assert.rejects(queued.promise, isJobCancelled);
+    await settle();
+    assert.equal(next.started, true);
+    next.finish();
+  });
+
+  it('tells waiting jobs when their position changes', async () => {
+    const queue = createJobQueue({ concurrency: 1, perUserConcurrency: 1 });
+    const running = deferredJob(1);
+    queue.enqueue(running);
+    queue.enqueue(deferredJob(2));
+    const positions = [];
+    const last = deferredJob(3, { onUpdate: info => positions.push(info.position) });
+    queue.enqueue(last);
+
+    running.finish();
+    await settle();
+    assert.deepEqual(positions, [1]);
+  });
+});
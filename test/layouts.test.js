@@ -0,0 +1,72 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { planSheets, isSpread } = require('../utils/layouts');
+
+const PAGE = { width: 100, height: 150 };
+const SPREAD = { width: 300, height: 150 };
+
+// Which images each sheet draws, in drawing order
+const drawn = ({ sheets }) => sheets.map(sheet => sheet.draws.map(draw => draw.image));
+
+describe('isSpread', () => {
+  it('treats pages clearly wider than tall as spreads', () => {
+    assert.equal(isSpread(300, 150), true);
+    assert.equal(isSpread(100, 150), false);
+    assert.equal(isSpread(105, 100), false);
+  });
+});
+
+describe('planSheets', () => {
+  it('puts every image on its own sheet for single pages', () => {
+    const plan = planSheets([PAGE, SPREAD, PAGE], 'single');
+    assert.deepEqual(drawn(plan), [[0], [1], [2]]);
+    assert.deepEqual(plan.sheetOf, [0, 1, 2]);
+    assert.deepEqual(plan.sheets[1], { width: 300, height: 150, draws: [{ image: 1, x: 0, width: 300, height: 150 }] });
+  });
+
+  it('falls back to single pages for an unknown layout', () => {
+    assert.deepEqual(drawn(planSheets([PAGE, PAGE], 'sideways')), [[0], [1]]);
+  });
+
+  it('splits a spread into right and left halves for right to left', () => {
+    // Cover alone, so the halves land on sheets 1 and 2, which two-page viewers pair
+    const plan = planSheets([PAGE, SPREAD], 'rtl');
+    assert.deepEqual(plan.sheetOf, [0, 1]);
+    assert.deepEqual(plan.sheets.slice(1), [
+      { width: 150, height: 150, draws: [{ image: 1, x: -150, width: 300, height: 150 }] },
+      { width: 150, height: 150, draws: [{ image: 1, x: 0, width: 300, height: 150 }] }
+    ]);
+  });
+
+  it('adds a blank sheet before a spread that would start on the left of a pair', () => {
+    const plan = planSheets([PAGE, PAGE, SPREAD], 'rtl');
+    assert.deepEqual(drawn(plan), [[0], [1], [], [2], [2]]);
+    assert.deepEqual(plan.sheetOf, [0, 1, 3]);
+  });
+
+  it('joins pages into right-to-left pairs after a lone cover', () => {
+    const plan = planSheets([PAGE, PAGE, PAGE, PAGE, PAGE], 'spreads');
+    assert.deepEqual(drawn(plan), [[0], [2, 1], [4, 3]]);
+    assert.deepEqual(plan.sheetOf, [0, 1, 1, 2, 2]);
+    assert.deepEqual(plan.sheets[1], {
+      width: 200,
+      height: 150,
+      draws: [{ image: 2, x: 0, width: 100, height: 150 }, { image: 1, x: 100, width: 100, height: 150 }]
+    });
+  });
+
+  it('pairs from the first page without a cover', () => {
+    assert.deepEqual(drawn(planSheets([PAGE, PAGE, PAGE], 'spreads', { cover: false })), [[1, 0], [2]]);
+  });
+
+  it('keeps spreads alone and never pairs across a break', () => {
+    const plan = planSheets([PAGE, PAGE, SPREAD, PAGE, PAGE, PAGE], 'spreads', { breaks: [4] });
+    assert.deepEqual(drawn(plan), [[0], [1], [2], [3], [5, 4]]);
+  });
+
+  it('scales the left page of a pair to the height of the right one', () => {
+    const plan = planSheets([PAGE, { width: 200, height: 300 }], 'spreads', { cover: false });
+    assert.deepEqual(plan.sheets[0].draws[0], { image: 1, x: 0, width: 100, height: 150 });
+    assert.equal(plan.sheets[0].width, 200);
+  });
+});
@@ -0,0 +1,149 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { createStandIn } = require('./support/standIn');
+
+// A failed request should fail the test at once, not after backoff
+process.env.HTTP_RETRIES = '0';
+const { createMangaDexSource } = require('../utils/sources/mangadex');
+
+const MANGA_ID = 'a1c7c817-4e59-43b7-9365-09675a149a6f';
+const CHAPTER_ID = 'e8a1d6f0-1c2b-4d3e-9f40-5a6b7c8d9e01';
+
+const standIn = createStandIn(path.join(__dirname, 'fixtures', 'mangadex'), [
+  { path: /^\/manga$/, when: query => query.has('title'), fixture: 'search.json' },
+  { path: /^\/manga$/, fixture: 'list.json' },
+  { path: /^\/manga\/tag$/, fixture: 'tags.json' },
+  { path: /^\/manga\/[\w-]+\/feed$/, fixture: 'feed.json' },
+  { path: new RegExp(`^/manga/${MANGA_ID}$`), fixture: 'manga.json' },
+  { path: new RegExp(`^/statistics/manga/${MANGA_ID}$`), fixture: 'statistics.json' },
+  { path: /^\/at-home\/server\/[\w-]+$/, fixture: 'at-home.json' },
+  { path: /^\/chapter$/, fixture: 'latest.json' }
+]);
+
+let source;
+
+before(async () => {
+  const baseUrl = await standIn.start();
+  source = createMangaDexSource({
+    baseUrl,
+    uploadsUrl: 'https://uploads.example',
+    siteUrl: 'https://reader.example',
+    language: 'en'
+  });
+});
+
+after(() => standIn.stop());
+
+function lastRequest(pathname) {
+  return standIn.requests.filter(r => r.path === pathname).pop();
+}
+
+describe('MangaDex adapter', () => {
+  it('maps search results and asks for authors', async () => {
+    const results = await source.search('one piece');
+
+    assert.deepEqual(results.map(r => r.title), ['One Piece', 'One Piece Party (Official)']);
+    assert.equal(results[0].id, MANGA_ID);
+    // Author and artist are the same person here and are listed once
+    assert.equal(results[0].authors, 'Oda Eiichiro');
+    assert.equal(results[0].updatedAt, 'May 12, 2024');
+
+    const { query } = lastRequest('/manga');
+    assert.equal(query.get('title'), 'one piece');
+    assert.deepEqual(query.getAll('includes[]'), ['author', 'artist']);
+  });
+
+  it('maps details with genres, statistics, cover and a deduplicated chapter list', async () => {
+    const details = await source.details(MANGA_ID);
+
+    assert.equal(details.title, 'One Piece');
+    assert.equal(details.status, 'Ongoing');
+    assert.deepEqual(details.genres, ['Action', 'Adventure']);
+    assert.equal(details.rating, '9.07');
+    assert.equal(details.votes, 7000);
+    assert.equal(details.summary, 'Gol D. Roger was known as the Pirate King.');
+    assert.equal(details.imageUrl, `https://uploads.example/covers/${MANGA_ID}/c1a2b3d4.jpg`);
+
+    // The second upload of chapter 1112 is dropped; chapters without a number are oneshots, each kept
+    assert.deepEqual(details.chapters.map(c => [c.id, c.chapter]), [
+      [CHAPTER_ID, '1112'],
+      ['e8a1d6f0-1c2b-4d3e-9f40-5a6b7c8d9e03', '1111'],
+      ['e8a1d6f0-1c2b-4d3e-9f40-5a6b7c8d9e04', 'Oneshot'],
+      ['e8a1d6f0-1c2b-4d3e-9f40-5a6b7c8d9e05', 'Oneshot']
+    ]);
+    assert.equal(lastRequest(`/manga/${MANGA_ID}/feed`).query.get('translatedLanguage[]'), 'en');
+  });
+
+  it('keeps details when statistics are unavailable', async () => {
+    const other = 'b2b2b2b2-0000-4000-8000-00000000000b';
+    await assert.rejects(source.details(other));
+
+    // Statistics alone failing is decoration only
+    const stats = createStandIn(path.join(__dirname, 'fixtures', 'mangadex'), [
+      { path: /^\/manga\/[\w-]+\/feed$/, fixture: 'feed.json' },
+      { path: /^\/manga\/[\w-]+$/, fixture: 'manga.json' },
+      { path: /^\/statistics\//, fixture: 'statistics.json', status: 404 }
+    ]);
+    const baseUrl = await stats.start();
+    try {
+      const details = await createMangaDexSource({ baseUrl, uploadsUrl: '', siteUrl: '' }).details(MANGA_ID);
+      assert.equal(details.rating, 'N/A');
+      assert.equal(details.votes, 'N/A');
+    } finally {
+      await stats.stop();
+    }
+  });
+
+  it('lists chapter pages on the at-home node with host-independent image keys', async () => {
+    const pages = await source.pages(CHAPTER_ID);
+
+    assert.equal(pages.length, 3);
+    assert.deepEqual(pages.map(p => p.page), [1, 2, 3]);
+    assert.match(pages[0].imageUrl, /^https:\/\/cmdxd98sb0x3yprd\.mangadex\.network\/data\/3303dd03ac8d27452cce3f2a882e94b2\/1-/);
+
+    // The same page on another node (with a token path) keeps its key
+    const moved = pages[0].imageUrl.replace('https://cmdxd98sb0x3yprd.mangadex.network', 'https://other.mangadex.network:443/token123');
+    assert.equal(source.imageKey(moved), source.imageKey(pages[0].imageUrl));
+    assert.match(source.imageKey(pages[0].imageUrl), /^\/data\/3303dd03ac8d27452cce3f2a882e94b2\/1-/);
+  });
+
+  it('groups the latest chapters by manga', async () => {
+    const latest = await source.latest();
+
+    // The chapter whose manga came without attributes is skipped
+    assert.deepEqual(latest.map(m => m.title), ['One Piece', 'Kaiju No. 8']);
+    assert.deepEqual(latest[0].latestChapters.map(c => c.chapter), ['1112', '1111']);
+    assert.equal(latest[1].latestChapters[0].chapter, 'Oneshot');
+    assert.equal(latest[0].latestChapters[0].releaseDate, 'Apr 14, 2024');
+  });
+
+  it('lists genre tags by name', async () => {
+    assert.deepEqual(await source.genres(), {
+      Action: '391b0423-d847-456f-aff0-8b0cfc03066b',
+      Adventure: '87cc87cd-a395-47af-b27a-93258283bbc6',
+      Romance: 'b9af3a63-f058-46de-a9a0-e0c13906197a'
+    });
+  });
+
+  it('pages through categories and genres', async () => {
+    const list = await source.mangaList('hot-manga', 2);
+
+    assert.equal(list.currentPage, 2);
+    assert.equal(list.totalPages, 3);
+    assert.equal(list.totalstories, 50);
+    assert.deepEqual(list.mangas.map(m => [m.title, m.chapter]), [['One Piece', 'N/A'], ['Kaiju No. 8', '129']]);
+    assert.equal(lastRequest('/manga').query.get('offset'), '24');
+    assert.equal(lastRequest('/manga').query.get('order[followedCount]'), 'desc');
+
+    await source.mangaByGenre('391b0423-d847-456f-aff0-8b0cfc03066b');
+    assert.deepEqual(lastRequest('/manga').query.getAll('includedTags[]'), ['391b0423-d847-456f-aff0-8b0cfc03066b']);
+
+    await assert.rejects(source.mangaList('unknown-manga'), /Unknown category/);
+  });
+
+  it('links to the reader site', () => {
+    assert.equal(source.mangaUrl(MANGA_ID), `https://reader.example/title/${MANGA_ID}`);
+    assert.equal(source.readUrl(CHAPTER_ID), `https://reader.example/chapter/${CHAPTER_ID}`);
+  });
+});
@@ -0,0 +1,97 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const sharp = require('sharp');
+const { findContentBox, findFillerPages } = require('../utils/pageCleanup');
+
+const WIDTH = 200;
+const HEIGHT = 300;
+
+// A grey page of soft waves shaped by the seed, so pages with other seeds look nothing alike
+function artwork(seed, width = WIDTH, height = HEIGHT) {
+  const pixels = Buffer.alloc(width * height);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const wave = Math.sin(x / (20 + seed * 4) + seed) * Math.cos(y / (30 + seed * 6) + seed * 2);
+      pixels[y * width + x] = Math.round(128 + 120 * wave);
+    }
+  }
+  return sharp(pixels, { raw: { width, height, channels: 1 } });
+}
+
+function blankPage(background = 255) {
+  return sharp({ create: { width: WIDTH, height: HEIGHT, channels: 3, background: { r: background, g: background, b: background } } })
+    .png()
+    .toBuffer();
+}
+
+// A white page with artwork pasted at the given spot
+async function framedPage({ left, top, width, height }) {
+  const art = await artwork(3, width, height).png().toBuffer();
+  return sharp({ create: { width: WIDTH, height: HEIGHT, channels: 3, background: { r: 255, g: 255, b: 255 } } })
+    .composite([{ input: art, left, top }])
+    .png()
+    .toBuffer();
+}
+
+describe('findFillerPages', () => {
+  it('leaves out blank pages, white or black', async () => {
+    const pages = [
+      { pageNumber: 1, input: await artwork(1).png().toBuffer() },
+      { pageNumber: 2, input: await blankPage(255) },
+      { pageNumber: 3, input: await artwork(2).png().toBuffer() },
+      { pageNumber: 4, input: await blankPage(0) }
+    ];
+    assert.deepEqual(await findFillerPages(pages), [
+      { page: 2, reason: 'blank' },
+      { page: 4, reason: 'blank' }
+    ]);
+  });
+
+  it('leaves out a repeat of an earlier page, even re-encoded', async () => {
+    const pages = [
+      { pageNumber: 1, input: await artwork(1).png().toBuffer() },
+      { pageNumber: 2, input: await artwork(2).png().toBuffer() },
+      { pageNumber: 3, input: await artwork(1).jpeg({ quality: 80 }).toBuffer() }
+    ];
+    assert.deepEqual(await findFillerPages(pages), [{ page: 3, reason: 'duplicate', of: 1 }]);
+  });
+
+  it('keeps distinct pages', async () => {
+    const pages = await Promise.all([1, 2, 3, 4].map(async seed => ({
+      pageNumber: seed,
+      input: await artwork(seed).png().toBuffer()
+    })));
+    assert.deepEqual(await findFillerPages(pages), []);
+  });
+
+  it('never leaves out pages it is told to keep', async () => {
+    const pages = [
+      { pageNumber: 1, input: await artwork(1).png().toBuffer() },
+      { pageNumber: 2, input: await blankPage() }
+    ];
+    assert.deepEqual(await findFillerPages(pages, { keep: [2] }), []);
+  });
+
+  it('keeps one page of a chapter that is all blank', async () => {
+    const pages = [
+      { pageNumber: 1, input: await blankPage() },
+      { pageNumber: 2, input: await blankPage() }
+    ];
+    assert.deepEqual(await findFillerPages(pages), [{ page: 2, reason: 'blank' }]);
+  });
+});
+
+describe('findContentBox', () => {
+  it('finds the artwork inside flat margins, with a pixel of slack', async () => {
+    const box = await findContentBox(await framedPage({ left: 40, top: 60, width: 120, height: 180 }));
+    assert.deepEqual(box, { left: 39, top: 59, width: 122, height: 182 });
+  });
+
+  it('leaves a page without margins alone', async () => {
+    assert.equal(await findContentBox(await artwork(1).png().toBuffer()), null);
+  });
+
+  it('leaves a near-empty page alone rather than cropping it to a speck', async () => {
+    assert.equal(await findContentBox(await framedPage({ left: 90, top: 140, width: 20, height: 20 })), null);
+  });
+});
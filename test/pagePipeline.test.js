@@ -0,0 +1,127 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const sharp = require('sharp');
+
+// Kept caches are persisted; keep them out of the bot's own storage. Retries without the wait
+const storageDir = fs.mkdtempSync(path.join(os.tmpdir(), 'pipeline-test-'));
+process.env.STORAGE_DIR = storageDir;
+process.env.PAGE_RETRIES = '2';
+process.env.PAGE_RETRY_DELAY_MS = '1';
+const { createPageCache } = require('../utils/pagePipeline');
+const { isSourceUnavailable } = require('../utils/http');
+
+after(() => fs.rmSync(storageDir, { recursive: true, force: true }));
+
+let image;
+
+before(async () => {
+  image = await sharp({ create: { width: 60, height: 90, channels: 3, background: { r: 40, g: 90, b: 160 } } }).png().toBuffer();
+});
+
+// Serves page images at /data/chapter/<n>.png; failures maps a page number to how many requests
+// fail with a 500 first (Infinity: always). Each server has a port, and so an image breaker, of its own
+async function startImageServer(failures = {}) {
+  const hits = {};
+  const server = http.createServer((req, res) => {
+    const page = Number(path.basename(req.url, '.png'));
+    hits[page] = (hits[page] || 0) + 1;
+    if (hits[page] <= (failures[page] || 0)) {
+      res.statusCode = 500;
+      res.end();
+      return;
+    }
+    res.setHeader('content-type', 'image/png');
+    res.end(image);
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+  const base = `http://127.0.0.1:${server.address().port}`;
+  return {
+    hits,
+    failures,
+    pages: count => Array.from({ length: count }, (_, i) => ({ page: i + 1, imageUrl: `${base}/data/chapter/${i + 1}.png` })),
+    stop: () => new Promise(resolve => server.close(resolve))
+  };
+}
+
+describe('createPageCache download', () => {
+  it('retries a failing page until it arrives', async () => {
+    const server = await startImageServer({ 2: 2 });
+    const cache = createPageCache(server.pages(3), 'mangadex');
+    try {
+      assert.deepEqual(await cache.download(), []);
+      assert.deepEqual(server.hits, { 1: 1, 2: 3, 3: 1 });
+      assert.deepEqual(fs.readFileSync(cache.originals()[1].path), image);
+    } finally {
+      cache.dispose();
+      await server.stop();
+    }
+  });
+
+  it('gives up on a page after the configured retries', async () => {
+    const server = await startImageServer({ 3: Infinity });
+    const cache = createPageCache(server.pages(3), 'mangadex');
+    try {
+      assert.deepEqual(await cache.download(), [3]);
+      assert.equal(server.hits[3], 3);
+      assert.equal(fs.existsSync(cache.originals()[2].path), false);
+    } finally {
+      cache.dispose();
+      await server.stop();
+    }
+  });
+
+  it('stands a placeholder the size of the other pages in for a page that keeps failing', async () => {
+    const server = await startImageServer({ 3: Infinity });
+    const cache = createPageCache(server.pages(3), 'mangadex');
+    try {
+      assert.deepEqual(await cache.download({ placeholders: true }), [3]);
+
+      const placeholder = cache.originals()[2].path;
+      assert.notDeepEqual(fs.readFileSync(placeholder), image);
+      const { width, height } = await sharp(placeholder).metadata();
+      assert.deepEqual({ width, height }, { width: 60, height: 90 });
+    } finally {
+      cache.dispose();
+      await server.stop();
+    }
+  });
+
+  it('fails, with the source down, when no page at all could be fetched', async () => {
+    const server = await startImageServer({ 1: Infinity, 2: Infinity });
+    const cache = createPageCache(server.pages(2), 'mangadex');
+    try {
+      await assert.rejects(cache.download({ placeholders: true }), error => isSourceUnavailable(error));
+    } finally {
+      cache.dispose();
+      await server.stop();
+    }
+  });
+
+  it('fetches only the missing pages again from a kept cache', async () => {
+    const server = await startImageServer({ 2: Infinity });
+    const pages = server.pages(3);
+    const first = createPageCache(pages, 'mangadex');
+    let retry;
+    try {
+      assert.deepEqual(await first.download({ placeholders: true }), [2]);
+      first.keep();
+
+      server.failures[2] = 0;
+      const earlier = { ...server.hits };
+      retry = createPageCache(pages, 'mangadex', { id: first.id });
+      assert.equal(retry.id, first.id);
+      assert.deepEqual(await retry.download({ only: [2], placeholders: true }), []);
+
+      assert.deepEqual(server.hits, { ...earlier, 2: earlier[2] + 1 });
+      assert.deepEqual(fs.readFileSync(retry.originals()[1].path), image);
+    } finally {
+      (retry || first).dispose();
+      await server.stop();
+    }
+  });
+});
@@ -0,0 +1,71 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const sharp = require('sharp');
+const { getReadingProfile, encodePage, DEFAULT_PROFILE } = require('../utils/profiles');
+
+// A page with a colour gradient, so encoders have something to work on
+function page(width, height, format = 'png') {
+  const pixels = Buffer.alloc(width * height * 3);
+  for (let i = 0; i < width * height; i++) {
+    pixels[i * 3] = (i % width) * 255 / width;
+    pixels[i * 3 + 1] = Math.floor(i / width) * 255 / height;
+    pixels[i * 3 + 2] = 128;
+  }
+  return sharp(pixels, { raw: { width, height, channels: 3 } }).toFormat(format).toBuffer();
+}
+
+describe('getReadingProfile', () => {
+  it('returns a known profile with its key', () => {
+    const profile = getReadingProfile('phone');
+    assert.equal(profile.key, 'phone');
+    assert.equal(profile.maxWidth, 720);
+  });
+
+  it('falls back to the default profile for unknown and missing keys', () => {
+    assert.equal(getReadingProfile('kindle').key, DEFAULT_PROFILE);
+    assert.equal(getReadingProfile().key, DEFAULT_PROFILE);
+    assert.equal(getReadingProfile('toString').key, DEFAULT_PROFILE);
+  });
+});
+
+describe('encodePage', () => {
+  it('shrinks JPEG profile pages to the profile width, keeping the aspect ratio', async () => {
+    const input = await page(2400, 3600);
+    for (const [key, width] of [['standard', 1200], ['phone', 720], ['tablet', 1600]]) {
+      const encoded = await encodePage(input, getReadingProfile(key), 80);
+      assert.equal(encoded.format, 'jpeg');
+      assert.deepEqual([encoded.width, encoded.height], [width, width * 1.5]);
+    }
+  });
+
+  it('never enlarges a small page', async () => {
+    const encoded = await encodePage(await page(600, 900), getReadingProfile('standard'));
+    assert.deepEqual([encoded.width, encoded.height], [600, 900]);
+  });
+
+  it('fits e-ink pages inside the screen as grayscale PNG', async () => {
+    const encoded = await encodePage(await page(2400, 2400), getReadingProfile('eink'));
+    assert.equal(encoded.format, 'png');
+    assert.deepEqual([encoded.width, encoded.height], [1072, 1072]);
+
+    const { data, info } = await sharp(encoded.buffer).raw().toBuffer({ resolveWithObject: true });
+    for (let i = 0; i < data.length; i += info.channels) {
+      assert.ok(data[i] === data[i + 1] && data[i] === data[i + 2], 'every pixel is grey');
+    }
+  });
+
+  it('keeps archival JPEG and PNG pages byte for byte', async () => {
+    for (const format of ['jpeg', 'png']) {
+      const input = await page(300, 450, format);
+      const encoded = await encodePage(input, getReadingProfile('archival'));
+      assert.equal(encoded.format, format);
+      assert.ok(encoded.buffer.equals(input));
+    }
+  });
+
+  it('turns other archival formats into lossless PNG at full size', async () => {
+    const encoded = await encodePage(await page(300, 450, 'webp'), getReadingProfile('archival'));
+    assert.equal(encoded.format, 'png');
+    assert.deepEqual([encoded.width, encoded.height], [300, 450]);
+  });
+});
@@ -0,0 +1,81 @@
+const { describe, it, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Callback tokens are persisted; keep them out of the bot's own storage
+const storageDir = fs.mkdtempSync(path.join(os.tmpdir(), 'router-test-'));
+process.env.STORAGE_DIR = storageDir;
+const { createCallbackRouter, parsers } = require('../utils/router');
+const { createCallbackToken } = require('../utils/callbackTokens');
+
+after(() => fs.rmSync(storageDir, { recursive: true, force: true }));
+
+describe('parsers.slugAndPage', () => {
+  const parse = parsers.slugAndPage('genre');
+
+  it('takes only the last segment as the page', () => {
+    assert.deepEqual(parse('slice_of_life_2'), { genre: 'slice_of_life', page: 2 });
+    assert.deepEqual(parse('action_12'), { genre: 'action', page: 12 });
+  });
+
+  it('defaults to the first page', () => {
+    assert.deepEqual(parse('slice_of_life'), { genre: 'slice_of_life', page: 1 });
+    assert.deepEqual(parse('action'), { genre: 'action', page: 1 });
+  });
+
+  it('rejects empty data', () => {
+    assert.equal(parse(''), null);
+  });
+});
+
+describe('parsers.sessionPage', () => {
+  it('splits the session ID from the page', () => {
+    assert.deepEqual(parsers.sessionPage('Ab3dE9xZ_2'), { sessionId: 'Ab3dE9xZ', page: 2 });
+    assert.deepEqual(parsers.sessionPage('Ab3dE9xZ_0'), { sessionId: 'Ab3dE9xZ', page: 0 });
+  });
+
+  it('rejects buttons from before result sessions, which carry only the page', () => {
+    assert.equal(parsers.sessionPage('2'), null);
+    assert.equal(parsers.sessionPage('Ab3dE9xZ'), null);
+    assert.equal(parsers.sessionPage('Ab3_dE9xZ_2'), null);
+  });
+});
+
+describe('parsers.tokenOr', () => {
+  const parse = parsers.tokenOr('chapterId');
+
+  it('resolves a registered token to its payload', () => {
+    const payload = { chapterId: 'one-piece-chapter-1112', mangaTitle: 'One Piece', chapterNumber: '1112' };
+    assert.deepEqual(parse(createCallbackToken(payload)), payload);
+  });
+
+  it('falls back to the raw value for buttons from before tokens', () => {
+    assert.deepEqual(parse('one-piece-chapter-1112'), { chapterId: 'one-piece-chapter-1112' });
+  });
+
+  it('rejects empty data', () => {
+    assert.equal(parse(''), null);
+  });
+});
+
+describe('parsers.int', () => {
+  it('accepts only non-negative integers', () => {
+    const parse = parsers.int('page');
+    assert.deepEqual(parse('3'), { page: 3 });
+    assert.equal(parse('-1'), null);
+    assert.equal(parse('3a'), null);
+  });
+});
+
+describe('router.handle', () => {
+  it('settles for a query without a message, such as one on an inline-mode message', async () => {
+    const router = createCallbackRouter({});
+    let handled = false;
+    router.action('det', { handler: () => { handled = true; } });
+
+    await router.handle({ id: '1', data: 'det', inline_message_id: 'abc', from: { id: 7 } });
+    assert.equal(handled, false);
+  });
+});
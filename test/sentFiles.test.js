@@ -0,0 +1,63 @@
+const { describe, it, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Uploaded files are persisted; keep them out of the bot's own storage
+const storageDir = fs.mkdtempSync(path.join(os.tmpdir(), 'sent-files-test-'));
+process.env.STORAGE_DIR = storageDir;
+const { pagesFingerprint, getSentFile, rememberSentFile } = require('../utils/sentFiles');
+
+after(() => fs.rmSync(storageDir, { recursive: true, force: true }));
+
+const HASH = '3303dd03ac8d27452cce3f2a882e94b2';
+
+// MangaDex at-home page list served by one node (and optional token)
+function atHomePages(node, files = ['1-a.png', '2-b.png']) {
+  return files.map((file, i) => ({ page: i + 1, imageUrl: `${node}/data/${HASH}/${file}` }));
+}
+
+describe('pagesFingerprint', () => {
+  it('ignores the host and token, which change between requests', () => {
+    assert.equal(
+      pagesFingerprint(atHomePages('https://abc.mangadex.network'), 'mangadex'),
+      pagesFingerprint(atHomePages('https://xyz.mangadex.network:443/token123'), 'mangadex')
+    );
+  });
+
+  it('changes when a page image is replaced', () => {
+    assert.notEqual(
+      pagesFingerprint(atHomePages('https://abc.mangadex.network'), 'mangadex'),
+      pagesFingerprint(atHomePages('https://abc.mangadex.network', ['1-a.png', '2-c.png']), 'mangadex')
+    );
+  });
+
+  it('changes when pages are reordered or dropped', () => {
+    const pages = atHomePages('https://abc.mangadex.network');
+    const fingerprint = pagesFingerprint(pages, 'mangadex');
+    assert.notEqual(pagesFingerprint([{ ...pages[1], page: 1 }, { ...pages[0], page: 2 }], 'mangadex'), fingerprint);
+    assert.notEqual(pagesFingerprint(pages.slice(0, 1), 'mangadex'), fingerprint);
+  });
+
+  it('keys DuckyDex proxy URLs by the upstream image', () => {
+    const proxied = proxy => [{ page: 1, imageUrl: `${proxy}/image?url=${encodeURIComponent('https://cdn.example/ch1/001.jpg')}` }];
+    assert.equal(
+      pagesFingerprint(proxied('https://proxy-a.example'), 'duckydex'),
+      pagesFingerprint(proxied('https://proxy-b.example'), 'duckydex')
+    );
+  });
+});
+
+describe('getSentFile', () => {
+  it('returns a stored upload only for the same settings and pages', () => {
+    const settings = { format: 'pdf', maxWidth: 1200, maxMB: 50 };
+    const fingerprint = pagesFingerprint(atHomePages('https://abc.mangadex.network'), 'mangadex');
+    rememberSentFile('mangadex', 'chapter-1', settings, fingerprint, { fileId: 'file-1', filename: 'Ch 1.pdf', totalPages: 2, size: 1.5 });
+
+    assert.equal(getSentFile('mangadex', 'chapter-1', { maxMB: 50, format: 'pdf', maxWidth: 1200 }, fingerprint).fileId, 'file-1');
+    assert.equal(getSentFile('mangadex', 'chapter-1', { ...settings, format: 'cbz' }, fingerprint), null);
+    assert.equal(getSentFile('mangadex', 'chapter-1', settings, 'other-pages'), null);
+    assert.equal(getSentFile('duckydex', 'chapter-1', settings, fingerprint), null);
+  });
+});
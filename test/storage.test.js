@@ -0,0 +1,70 @@
+const { describe, it, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const storageDir = fs.mkdtempSync(path.join(os.tmpdir(), 'storage-test-'));
+process.env.STORAGE_DIR = storageDir;
+const { getStore, flushAllStores } = require('../utils/storage');
+
+after(() => fs.rmSync(storageDir, { recursive: true, force: true }));
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+function saved(namespace) {
+  return JSON.parse(fs.readFileSync(path.join(storageDir, `${namespace}.json`), 'utf8'));
+}
+
+describe('getStore', () => {
+  it('keeps at most maxEntries, dropping the least recently stored', () => {
+    const store = getStore('capped', { maxEntries: 2 });
+    store.set('a', 1);
+    store.set('b', 2);
+    store.set('a', 10);
+    store.set('c', 3);
+
+    assert.equal(store.get('b'), null);
+    assert.deepEqual(store.entries(), [['a', 10], ['c', 3]]);
+  });
+
+  it('forgets entries once their ttl has passed', async () => {
+    const store = getStore('expiring');
+    store.set('short', 'gone', 5);
+    store.set('long', 'kept', 60 * 1000);
+    store.set('forever', 'kept');
+    await sleep(20);
+
+    assert.equal(store.get('short'), null);
+    assert.equal(store.get('long'), 'kept');
+    assert.equal(store.get('forever'), 'kept');
+  });
+
+  it('prunes expired entries on cleanup', async () => {
+    const store = getStore('cleanup');
+    store.set('a', 1, 5);
+    store.set('b', 2, 5);
+    store.set('c', 3);
+    await sleep(20);
+
+    assert.equal(store.cleanup(), 2);
+    assert.deepEqual(store.entries(), [['c', 3]]);
+  });
+
+  it('writes live entries to disk on flush and leaves expired ones out', async () => {
+    const store = getStore('flushed');
+    store.set('expired', 0, 5);
+    await sleep(20);
+    for (const key of ['a', 'b', 'c']) store.set(key, key.toUpperCase());
+    store.delete('b');
+    await flushAllStores();
+
+    const file = saved('flushed');
+    assert.deepEqual(Object.keys(file), ['a', 'c']);
+    assert.deepEqual(file.c, { value: 'C', expiresAt: null });
+  });
+
+  it('returns the same store for a namespace', () => {
+    assert.equal(getStore('capped'), getStore('capped'));
+  });
+});
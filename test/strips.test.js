@@ -0,0 +1,51 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { isStrip, findCuts } = require('../utils/strips');
+
+// Per-row spreads of a strip with no flat rows, with optional gutters: [from, to) row ranges
+function strip(height, gutters = []) {
+  const spreads = new Uint8Array(height).fill(200);
+  for (const [from, to] of gutters) spreads.fill(0, from, to);
+  return spreads;
+}
+
+describe('isStrip', () => {
+  it('only treats images more than three times taller than wide as strips', () => {
+    assert.equal(isStrip(800, 12000), true);
+    assert.equal(isStrip(800, 2400), false);
+    assert.equal(isStrip(800, 1200), false);
+  });
+});
+
+describe('findCuts', () => {
+  it('leaves a strip that fits in one slice whole', () => {
+    assert.deepEqual(findCuts(strip(125), 100), []);
+  });
+
+  it('cuts at the target height when there is no gutter', () => {
+    assert.deepEqual(findCuts(strip(1000), 100), [100, 200, 300, 400, 500, 600, 700, 800, 900]);
+  });
+
+  it('moves a cut to the middle of a nearby gutter', () => {
+    assert.deepEqual(findCuts(strip(300, [[110, 120]]), 100), [115, 208]);
+  });
+
+  it('prefers the widest gutter in the window', () => {
+    const [first] = findCuts(strip(300, [[80, 83], [120, 125]]), 100);
+    assert.equal(first, 122);
+  });
+
+  it('prefers the gutter closest to the target when they are as wide', () => {
+    const [first] = findCuts(strip(300, [[80, 84], [104, 108]]), 100);
+    assert.equal(first, 106);
+  });
+
+  it('ignores gutters outside the window', () => {
+    const [first] = findCuts(strip(300, [[40, 60]]), 100);
+    assert.equal(first, 100);
+  });
+
+  it('shares the rest between the last two slices instead of ending on a sliver', () => {
+    assert.deepEqual(findCuts(strip(180), 100), [90]);
+  });
+});
@@ -0,0 +1,51 @@
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Local HTTP stand-in for an upstream API. Each route maps a path pattern
+ * (and optionally a check on the query) to a recorded fixture, so adapters
+ * can be tested without the network. Every request is kept in `requests`
+ * so tests can check what was asked for.
+ * @param {string} fixturesDir - Folder holding the recorded JSON responses
+ * @param {Array} routes - { path: RegExp, fixture, when?(query), status? } in match order
+ * @returns {Object} - { start() resolving to the base URL, stop(), requests }
+ */
+function createStandIn(fixturesDir, routes) {
+  const requests = [];
+
+  const server = http.createServer((req, res) => {
+    const url = new URL(req.url, 'http://stand-in');
+    requests.push({ method: req.method, path: url.pathname, query: url.searchParams });
+
+    const route = routes.find(r => r.path.test(url.pathname) && (!r.when || r.when(url.searchParams)));
+    if (!route) {
+      res.statusCode = 404;
+      res.setHeader('content-type', 'application/json');
+      res.end(JSON.stringify({ result: 'error', errors: [{ status: 404, title: 'Not found' }] }));
+      return;
+    }
+
+    res.statusCode = route.status || 200;
+    res.setHeader('content-type', 'application/json');
+    res.end(fs.readFileSync(path.join(fixturesDir, route.fixture)));
+  });
+
+  return {
+    requests,
+
+    start() {
+      return new Promise(resolve => {
+        server.listen(0, '127.0.0.1', () => resolve(`http://127.0.0.1:${server.address().port}`));
+      });
+    },
+
+    stop() {
+      return new Promise(resolve => server.close(resolve));
+    }
+  };
+}
+
+module.exports = {
+  createStandIn
+};
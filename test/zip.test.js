@@ -0,0 +1,81 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { writeZip } = require('../utils/zip');
+
+let dir;
+
+before(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'zip-test-'));
+});
+
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+// Read an archive back through its central directory, the way readers open it
+function readZip(file) {
+  const zip = fs.readFileSync(file);
+  const end = zip.length - 22;
+  assert.equal(zip.readUInt32LE(end), 0x06054b50, 'end of central directory record');
+  const count = zip.readUInt16LE(end + 10);
+  const centralSize = zip.readUInt32LE(end + 12);
+  const centralOffset = zip.readUInt32LE(end + 16);
+  assert.equal(centralOffset + centralSize, end);
+
+  const entries = [];
+  let at = centralOffset;
+  for (let i = 0; i < count; i++) {
+    assert.equal(zip.readUInt32LE(at), 0x02014b50, 'central directory header');
+    const crc = zip.readUInt32LE(at + 16);
+    const size = zip.readUInt32LE(at + 20);
+    const nameLength = zip.readUInt16LE(at + 28);
+    const localOffset = zip.readUInt32LE(at + 42);
+    const name = zip.toString('utf8', at + 46, at + 46 + nameLength);
+
+    assert.equal(zip.readUInt32LE(localOffset), 0x04034b50, 'local header');
+    assert.equal(zip.readUInt16LE(localOffset + 8), 0, 'stored, not compressed');
+    assert.equal(zip.readUInt32LE(localOffset + 14), crc, 'local and central CRC agree');
+    const dataStart = localOffset + 30 + zip.readUInt16LE(localOffset + 26);
+    entries.push({ name, crc, data: zip.subarray(dataStart, dataStart + size), flags: zip.readUInt16LE(at + 8) });
+    at += 46 + nameLength;
+  }
+  return { size: zip.length, entries };
+}
+
+describe('writeZip', () => {
+  it('writes stored entries in order with their CRC-32 in both headers', async () => {
+    const file = path.join(dir, 'strings.zip');
+    const size = await writeZip(file, [
+      { name: 'mimetype', data: 'application/epub+zip' },
+      { name: 'hello.txt', data: 'hello' },
+      { name: 'empty.txt', data: '' }
+    ]);
+
+    const zip = readZip(file);
+    assert.equal(size, zip.size);
+    assert.deepEqual(zip.entries.map(e => [e.name, e.data.toString()]), [
+      ['mimetype', 'application/epub+zip'],
+      ['hello.txt', 'hello'],
+      ['empty.txt', '']
+    ]);
+    assert.equal(zip.entries[1].crc, 0x3610a686);
+    assert.equal(zip.entries[2].crc, 0);
+  });
+
+  it('reads path entries from disk and keeps UTF-8 names', async () => {
+    const page = path.join(dir, 'page.bin');
+    fs.writeFileSync(page, Buffer.from([0, 1, 2, 255]));
+    const file = path.join(dir, 'pages.zip');
+    await writeZip(file, [
+      { name: 'ComicInfo.xml', data: Buffer.from('<ComicInfo/>') },
+      { name: 'Kapitel/Seite ü.bin', path: page }
+    ]);
+
+    const [info, entry] = readZip(file).entries;
+    assert.equal(info.data.toString(), '<ComicInfo/>');
+    assert.equal(entry.name, 'Kapitel/Seite ü.bin');
+    assert.equal(entry.flags & 0x0800, 0x0800, 'UTF-8 name flag');
+    assert.deepEqual([...entry.data], [0, 1, 2, 255]);
+  });
+});
@@ -0,0 +1,253 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+/**
+ * In-memory LRU backend. Map keeps insertion order, so re-inserting on read
+ * moves an entry to the back and the first key is always the least recent.
+ * @param {Object} [options]
+ * @param {number} [options.maxEntries] - Entries kept before evicting
+ * @returns {Object} - Backend with get/set/delete/size
+ */
+function createMemoryBackend({ maxEntries = 500 } = {}) {
+  const entries = new Map();
+
+  return {
+    get(key) {
+      const entry = entries.get(key);
+      if (entry === undefined) return undefined;
+      entries.delete(key);
+      entries.set(key, entry);
+      return entry;
+    },
+    set(key, entry) {
+      entries.delete(key);
+      entries.set(key, entry);
+      while (entries.size > maxEntries) {
+        entries.delete(entries.keys().next().value);
+      }
+    },
+    delete(key) {
+      entries.delete(key);
+    },
+    size() {
+      return entries.size;
+    }
+  };
+}
+
+/**
+ * On-disk backend: one JSON file per key, survives restarts. An in-memory
+ * index of the files (least recently used first) keeps size() cheap and
+ * caps the folder at `maxEntries`; entries older than `maxAge` are swept
+ * every 10 minutes, since the cache would never serve them again.
+ * @param {Object} options
+ * @param {string} options.dir - Directory to keep cache files in
+ * @param {number} [options.maxEntries] - Entries kept before evicting
+ * @param {number} [options.maxAge] - Milliseconds after which an entry is swept (default: never)
+ * @returns {Object} - Backend with get/set/delete/size/sweep
+ */
+function createDiskBackend({ dir, maxEntries = 500, maxAge = Infinity }) {
+  if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+
+  const fileFor = key => `${crypto.createHash('sha1').update(key).digest('hex')}.json`;
+  // File name -> time written; Map order is least recently used first
+  const index = new Map();
+
+  function remove(file) {
+    index.delete(file);
+    try {
+      fs.unlinkSync(path.join(dir, file));
+    } catch (error) {
+      // Already gone
+    }
+  }
+
+  // Files left by an earlier run, oldest first
+  fs.readdirSync(dir)
+    .filter(file => file.endsWith('.json'))
+    .map(file => {
+      try {
+        return [file, fs.statSync(path.join(dir, file)).mtimeMs];
+      } catch (error) {
+        return null;
+      }
+    })
+    .filter(Boolean)
+    .sort((a, b) => a[1] - b[1])
+    .forEach(([file, writtenAt]) => index.set(file, writtenAt));
+
+  const backend = {
+    get(key) {
+      const file = fileFor(key);
+      try {
+        const entry = JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8'));
+        const writtenAt = index.has(file) ? index.get(file) : Date.now();
+        index.delete(file);
+        index.set(file, writtenAt);
+        return entry;
+      } catch (error) {
+        index.delete(file);
+        return undefined;
+      }
+    },
+    set(key, entry) {
+      const file = fileFor(key);
+      try {
+        fs.writeFileSync(path.join(dir, file), JSON.stringify(entry));
+        index.delete(file);
+        index.set(file, Date.now());
+      } catch (error) {
+        console.error('Error writing cache entry:', error.message);
+      }
+      while (index.size > maxEntries) {
+        remove(index.keys().next().value);
+      }
+    },
+    delete(key) {
+      remove(fileFor(key));
+    },
+    size() {
+      return index.size;
+    },
+
+    /**
+     * Remove entries written more than maxAge ago
+     * @returns {number} - Number of entries removed
+     */
+    sweep() {
+      const cutoff = Date.now() - maxAge;
+      let removed = 0;
+      for (const [file, writtenAt] of index) {
+        if (writtenAt < cutoff) {
+          remove(file);
+          removed++;
+        }
+      }
+      return removed;
+    }
+  };
+
+  while (index.size > maxEntries) {
+    remove(index.keys().next().value);
+  }
+  backend.sweep();
+  if (Number.isFinite(maxAge)) {
+    setInterval(() => backend.sweep(), 10 * 60 * 1000).unref();
+  }
+
+  return backend;
+}
+
+/**
+ * Create a response cache with per-call TTL and stale-while-revalidate.
+ *
+ * Within `ttl` a cached value is returned as-is. Between `ttl` and
+ * `ttl + staleTtl` the stale value is returned immediately and refreshed in
+ * the background. Past that the loader runs and the caller waits for it.
+ * Empty results (null, undefined, []) are never stored.
+ * @param {Object} backend - Memory or disk backend
+ * @returns {Object} - Cache with wrap(), invalidate() and stats()
+ */
+function createCache(backend) {
+  const counters = {};
+  const inFlight = new Map();
+
+  function count(name, field) {
+    if (!counters[name]) counters[name] = { hits: 0, stale: 0, misses: 0 };
+    counters[name][field] += 1;
+  }
+
+  function isEmpty(value) {
+    return value === null || value === undefined || (Array.isArray(value) && value.length === 0);
+  }
+
+  // Run the loader once per key even when several callers miss at the same time
+  function load(key, loader) {
+    if (!inFlight.has(key)) {
+      const promise = Promise.resolve()
+        .then(loader)
+        .then(value => {
+          if (!isEmpty(value)) backend.set(key, { value, storedAt: Date.now() });
+          return value;
+        })
+        .finally(() => inFlight.delete(key));
+      inFlight.set(key, promise);
+    }
+    return inFlight.get(key);
+  }
+
+  return {
+    /**
+     * Return a cached value or load and cache it
+     * @param {string} name - Endpoint name, used for the hit/miss counters
+     * @param {string} key - Cache key
+     * @param {Object} policy - { ttl, staleTtl } in ms
+     * @param {Function} loader - Async function producing the value
+     * @returns {Promise<*>} - Cached or freshly loaded value
+     */
+    async wrap(name, key, { ttl, staleTtl = 0 }, loader) {
+      const entry = backend.get(key);
+      const age = entry ? Date.now() - entry.storedAt : Infinity;
+
+      if (age < ttl) {
+        count(name, 'hits');
+        return entry.value;
+      }
+
+      if (age < ttl + staleTtl) {
+        count(name, 'stale');
+        load(key, loader).catch(error => {
+          console.error(`Background refresh failed for ${key}:`, error.message);
+        });
+        return entry.value;
+      }
+
+      count(name, 'misses');
+      return await load(key, loader);
+    },
+
+    /**
+     * Drop a cached value
+     * @param {string} key - Cache key
+     */
+    invalidate(key) {
+      backend.delete(key);
+    },
+
+    /**
+     * Hit/miss counters per endpoint and the number of stored entries
+     * @returns {Object} - { size, endpoints: { name: { hits, stale, misses } } }
+     */
+    stats() {
+      return {
+        size: backend.size(),
+        endpoints: JSON.parse(JSON.stringify(counters))
+      };
+    }
+  };
+}
+
+/**
+ * Format cache statistics for display
+ * @param {Object} stats - Result of cache.stats()
+ * @returns {string} - Formatted message
+ */
+function formatCacheStats(stats) {
+  const lines = Object.entries(stats.endpoints).map(([name, c]) => {
+    const total = c.hits + c.stale + c.misses;
+    const ratio = total > 0 ? Math.round(((c.hits + c.stale) / total) * 100) : 0;
+    return `• *${name}*: ${c.hits} hits, ${c.stale} stale, ${c.misses} misses (${ratio}%)`;
+  });
+
+  return `🗄️ *Response Cache*\n` +
+    `📦 Entries: ${stats.size}\n\n` +
+    (lines.length > 0 ? lines.join('\n') : '_No cached requests yet._');
+}
+
+module.exports = {
+  createMemoryBackend,
+  createDiskBackend,
+  createCache,
+  formatCacheStats
+};
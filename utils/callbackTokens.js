@@ -0,0 +1,106 @@
+const crypto = require('crypto');
+const { getStore } = require('./storage');
+const config = require('./config');
+
+// Telegram rejects callback_data longer than 64 bytes
+const MAX_CALLBACK_BYTES = 64;
+const TOKEN_LENGTH = 10;
+const TOKEN_TTL = 7 * 24 * 60 * 60 * 1000;
+// Alphanumeric only, so tokens never contain the '_' separator
+const ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789';
+
+/**
+ * Tokens map short random strings to full callback payloads (manga ID,
+ * chapter ID, page, ...) so callback_data never has to carry truncated IDs.
+ * They are persisted, so keyboards keep working across restarts. A payload
+ * that already has a live token gets that token back, so re-rendering the
+ * same keyboard does not mint new ones.
+ */
+const tokenStore = getStore('callback-tokens', { maxEntries: config.callbackTokenMaxEntries });
+// Payload hash -> token; rebuilt from the store when dropped tokens pile up in it
+const tokenIndex = new Map();
+
+function payloadKey(payload) {
+  return crypto.createHash('sha1').update(JSON.stringify(payload)).digest('base64');
+}
+
+function indexTokens() {
+  tokenIndex.clear();
+  for (const [token, payload] of tokenStore.entries()) {
+    tokenIndex.set(payloadKey(payload), token);
+  }
+}
+
+indexTokens();
+
+/**
+ * Random alphanumeric token, safe to put between '_' separators in callback_data
+ * @param {number} [length] - Characters (default: 10)
+ * @returns {string} - Token
+ */
+function generateToken(length = TOKEN_LENGTH) {
+  const bytes = crypto.randomBytes(length);
+  let token = '';
+  for (const byte of bytes) {
+    token += ALPHABET[byte % ALPHABET.length];
+  }
+  return token;
+}
+
+/**
+ * Register a payload and get a token for it; a payload registered before
+ * gets its live token back with the expiry renewed
+ * @param {Object} payload - Any JSON-serializable payload
+ * @param {number} [ttl] - Milliseconds the token works (default: 7 days)
+ * @returns {string} - Token
+ */
+function createCallbackToken(payload, ttl = TOKEN_TTL) {
+  const key = payloadKey(payload);
+  const existing = tokenIndex.get(key);
+  const stored = existing && tokenStore.get(existing);
+  // A dropped token's string may since have been handed to another payload
+  if (stored && payloadKey(stored) === key) {
+    tokenStore.set(existing, payload, ttl);
+    return existing;
+  }
+
+  let token = generateToken();
+  while (tokenStore.get(token)) {
+    token = generateToken();
+  }
+  tokenStore.set(token, payload, ttl);
+  tokenIndex.set(key, token);
+  if (tokenIndex.size > config.callbackTokenMaxEntries * 2) indexTokens();
+  return token;
+}
+
+/**
+ * Look up the payload registered for a token
+ * @param {string} token - Token
+ * @returns {Object|null} - Payload or null when unknown or expired
+ */
+function resolveCallbackToken(token) {
+  return tokenStore.get(token);
+}
+
+/**
+ * Build callback_data for an action with a tokenized payload
+ * @param {string} action - Action prefix, e.g. 'det' or 'ch'
+ * @param {Object} payload - Payload to register
+ * @param {number} [ttl] - Milliseconds the button works (default: 7 days)
+ * @returns {string} - callback_data such as 'det_Ab3dE9xZq1'
+ */
+function createCallbackData(action, payload, ttl) {
+  const data = `${action}_${createCallbackToken(payload, ttl)}`;
+  if (Buffer.byteLength(data) > MAX_CALLBACK_BYTES) {
+    throw new Error(`Callback data too long for action ${action}`);
+  }
+  return data;
+}
+
+module.exports = {
+  generateToken,
+  createCallbackToken,
+  resolveCallbackToken,
+  createCallbackData
+};
@@ -1,12 +1,16 @@
+const { createCallbackData } = require('./callbackTokens');
+const { getSource } = require('./sources');
+
 /**
  * Create chapter list message with detailed information
  * @param {Array} chapters - Array of chapters
  * @param {string} mangaTitle - Manga title
  * @param {string} mangaId - Manga ID for pagination callbacks
  * @param {number} page - Current page
+ * @param {string} [sourceName] - Manga source the chapters came from, for the reader links
  * @returns {Object} - Message options with detailed chapter list
  */
-function createChapterListMessage(chapters, mangaTitle, mangaId, page = 0) {
+function createChapterListMessage(chapters, mangaTitle, mangaId, page = 0, sourceName) {
   if (!chapters || chapters.length === 0) {
     return {
       text: '❌ No chapters found for this manga.',
@@ -20,8 +24,9 @@ function createChapterListMessage(chapters, mangaTitle, mangaId, page = 0) {
   const endIndex = Math.min(startIndex + chaptersPerPage, chapters.length);
   const pageChapters = chapters.slice(startIndex, endIndex);
 
+  const source = getSource(sourceName);
   let message = `📚 *${mangaTitle}*\n\n`;
-  message += `Read Online: [DuckyDex](https://duckydex.samirb.com.np/manga/${mangaId})\n\n`;
+  message += `Read Online: [${source.displayName}](${source.mangaUrl(mangaId)})\n\n`;
   message += `📃 *Chapter List (${startIndex + 1}-${endIndex} of ${chapters.length}):*\n\n`;
 
   pageChapters.forEach((chapter, index) => {
@@ -29,12 +34,11 @@ function createChapterListMessage(chapters, mangaTitle, mangaId, page = 0) {
     message += `*${globalIndex}. Chapter ${chapter.chapter}*\n`;
     message += `🆔 ID: \`${chapter.id}\`\n`;
     message += `👀 Views: ${chapter.views}\n`;
-    message += `🔗 Link: 🦆 [DuckyDex](https://duckydex.samirb.com.np/read/${chapter.id})\n`;
+    message += `🔗 Link: [${source.displayName}](${source.readUrl(chapter.id)})\n`;
     message += `📅 Uploaded: ${chapter.uploadedAt}\n\n`;
   });
 
-  const shortMangaId = mangaId.length > 20 ? mangaId.substring(0, 20) : mangaId;
-  const keyboard = createChapterListPagination(chapters.length, page, shortMangaId);
+  const keyboard = createChapterListPagination(chapters.length, page, mangaId, sourceName);
 
   return {
     text: message,
@@ -47,10 +51,11 @@ function createChapterListMessage(chapters, mangaTitle, mangaId, page = 0) {
  * Create pagination keyboard for chapter list
  * @param {number} totalChapters - Total number of chapters
  * @param {number} currentPage - Current page
- * @param {string} shortMangaId - Shortened manga ID for callbacks
+ * @param {string} mangaId - Manga ID for callbacks
+ * @param {string} [sourceName] - Manga source the chapters came from; every button keeps it
  * @returns {Object} - Inline keyboard markup
  */
-function createChapterListPagination(totalChapters, currentPage, shortMangaId) {
+function createChapterListPagination(totalChapters, currentPage, mangaId, sourceName) {
   const chaptersPerPage = 10;
   const totalPages = Math.ceil(totalChapters / chaptersPerPage);
   
@@ -62,21 +67,21 @@ function createChapterListPagination(totalChapters, currentPage, shortMangaId) {
   const navRow = [];
   
   if (currentPage > 0) {
-    navRow.push({ text: '⏮️ First', callback_data: `chlist_${shortMangaId}_0` });
+    navRow.push({ text: '⏮️ First', callback_data: createCallbackData('chlist', { mangaId, sourceName, page: 0 }) });
   }
   
   if (currentPage > 0) {
-    navRow.push({ text: '⬅️ Previous', callback_data: `chlist_${shortMangaId}_${currentPage - 1}` });
+    navRow.push({ text: '⬅️ Previous', callback_data: createCallbackData('chlist', { mangaId, sourceName, page: currentPage - 1 }) });
   }
   
   navRow.push({ text: `${currentPage + 1}/${totalPages}`, callback_data: 'page_info' });
   
   if (currentPage < totalPages - 1) {
-    navRow.push({ text: 'Next ➡️', callback_data: `chlist_${shortMangaId}_${currentPage + 1}` });
+    navRow.push({ text: 'Next ➡️', callback_data: createCallbackData('chlist', { mangaId, sourceName, page: currentPage + 1 }) });
   }
   
   if (currentPage < totalPages - 1) {
-    navRow.push({ text: 'Last ⏭️', callback_data: `chlist_${shortMangaId}_${totalPages - 1}` });
+    navRow.push({ text: 'Last ⏭️', callback_data: createCallbackData('chlist', { mangaId, sourceName, page: totalPages - 1 }) });
   }
   
   keyboard.push(navRow);
@@ -1,33 +1,78 @@
-// Store manga data temporarily for callback handling
-const mangaDataCache = new Map();
+const fs = require('fs');
+const path = require('path');
+const config = require('./config');
+const { createDiskBackend } = require('./cache');
+const { createCallbackData } = require('./callbackTokens');
+
+const MANGA_DATA_TTL = 24 * 60 * 60 * 1000;
+
+// Store manga data persistently for callback handling, so chapter buttons
+// keep working across restarts. Full chapter lists run to hundreds of KB, so
+// each manga gets a file of its own and storing one never rewrites the rest
+const mangaDataStore = createDiskBackend({
+  dir: path.join(config.storageDir, 'manga-data'),
+  maxEntries: config.mangaDataMaxEntries,
+  maxAge: MANGA_DATA_TTL
+});
+// Left by versions that kept all manga data in one file
+fs.rmSync(path.join(config.storageDir, 'manga-data.json'), { force: true });
+
+// Chapters per keyboard page, shared by the page buttons and "download this page"
+const CHAPTERS_PER_PAGE = 20;
+
+// Manga IDs are only unique within a source
+function mangaDataKey(mangaId, sourceName = config.defaultSource) {
+  return `${sourceName}:${mangaId}`;
+}
 
 /**
  * Store manga data for callback handling
  * @param {string} mangaId - Manga ID
  * @param {Object} mangaData - Manga data including chapters
+ * @param {string} [sourceName] - Manga source the data came from (defaults to the configured source)
  */
-function storeMangaData(mangaId, mangaData) {
-  mangaDataCache.set(mangaId, {
+function storeMangaData(mangaId, mangaData, sourceName) {
+  mangaDataStore.set(mangaDataKey(mangaId, sourceName), {
     ...mangaData,
     timestamp: Date.now()
   });
-  
-  // Clean up old data (older than 2 hours)
-  const twoHoursAgo = Date.now() - 2 * 60 * 60 * 1000;
-  for (const [key, value] of mangaDataCache.entries()) {
-    if (value.timestamp < twoHoursAgo) {
-      mangaDataCache.delete(key);
-    }
-  }
 }
 
 /**
  * Get stored manga data
  * @param {string} mangaId - Manga ID
+ * @param {string} [sourceName] - Manga source the data came from (defaults to the configured source)
  * @returns {Object|null} - Stored manga data or null
  */
-function getStoredMangaData(mangaId) {
-  return mangaDataCache.get(mangaId) || null;
+function getStoredMangaData(mangaId, sourceName) {
+  const key = mangaDataKey(mangaId, sourceName);
+  const stored = mangaDataStore.get(key);
+  if (!stored) return null;
+  // Expired entries are swept every few minutes; one read in between is not served
+  if (stored.timestamp + MANGA_DATA_TTL <= Date.now()) {
+    mangaDataStore.delete(key);
+    return null;
+  }
+  return stored;
+}
+
+/**
+ * Put chapters in reading order, oldest first. Chapters are sorted by number
+ * when every label is one; a label like "Extra" or "Oneshot" has no number to
+ * sort by, so then the source's own list order is kept (turned around when its
+ * numbered chapters run newest first, as most sources list them).
+ * @param {Array} chapters - Chapters as the source lists them
+ * @returns {Array} - A new array in reading order
+ */
+function readingOrder(chapters) {
+  const numbers = chapters.map(c => parseFloat(c.chapter));
+  if (numbers.every(Number.isFinite)) {
+    return [...chapters].sort((a, b) => parseFloat(a.chapter) - parseFloat(b.chapter));
+  }
+
+  const numbered = numbers.filter(Number.isFinite);
+  const newestFirst = numbered.length > 1 && numbered[0] > numbered[numbered.length - 1];
+  return newestFirst ? [...chapters].reverse() : [...chapters];
 }
 
 /**
@@ -35,35 +80,31 @@ function getStoredMangaData(mangaId) {
  * @param {Array} chapters - Array of chapters
  * @param {string} mangaId - Manga ID
  * @param {number} page - Current page
+ * @param {string} [sourceName] - Manga source the chapters came from; every button keeps it
  * @returns {Object} - Inline keyboard markup
  */
-function createChapterKeyboard(chapters, mangaId, page = 0) {
+function createChapterKeyboard(chapters, mangaId, page = 0, sourceName) {
   if (!chapters || chapters.length === 0) {
     return {
       inline_keyboard: []
     };
   }
 
-  const chaptersPerPage = 20;
-  const totalPages = Math.ceil(chapters.length / chaptersPerPage);
-  const startIndex = page * chaptersPerPage;
-  const endIndex = Math.min(startIndex + chaptersPerPage, chapters.length);
+  const totalPages = Math.ceil(chapters.length / CHAPTERS_PER_PAGE);
+  const startIndex = page * CHAPTERS_PER_PAGE;
+  const endIndex = Math.min(startIndex + CHAPTERS_PER_PAGE, chapters.length);
   const pageChapters = chapters.slice(startIndex, endIndex);
 
   const keyboard = [];
   
-  // Create a short hash for mangaId to avoid callback data length issues
-  const shortMangaId = mangaId.length > 10 ? mangaId.substring(0, 10) : mangaId;
-  
   // Create rows of chapter buttons (4 per row)
   for (let i = 0; i < pageChapters.length; i += 4) {
     const row = [];
     for (let j = i; j < i + 4 && j < pageChapters.length; j++) {
-      const chapterIndex = startIndex + j;
       const chapter = pageChapters[j];
       row.push({
         text: `Ch. ${chapter.chapter}`,
-        callback_data: `ch_${chapterIndex}_${shortMangaId}`
+        callback_data: createCallbackData('ch', { mangaId, sourceName, chapterId: chapter.id })
       });
     }
     keyboard.push(row);
@@ -76,7 +117,7 @@ function createChapterKeyboard(chapters, mangaId, page = 0) {
     if (page > 0) {
       paginationRow.push({
         text: '⬅️ Previous',
-        callback_data: `chp_${shortMangaId}_${page - 1}`
+        callback_data: createCallbackData('chp', { mangaId, sourceName, page: page - 1 })
       });
     }
     
@@ -88,13 +129,26 @@ function createChapterKeyboard(chapters, mangaId, page = 0) {
     if (page < totalPages - 1) {
       paginationRow.push({
         text: 'Next ➡️',
-        callback_data: `chp_${shortMangaId}_${page + 1}`
+        callback_data: createCallbackData('chp', { mangaId, sourceName, page: page + 1 })
       });
     }
     
     keyboard.push(paginationRow);
   }
 
+  // The page's chapters as a range, whichever order the source lists them in
+  const numbers = readingOrder(pageChapters).map(c => c.chapter);
+  const first = numbers[0];
+  const last = numbers[numbers.length - 1];
+  keyboard.push([{
+    text: pageChapters.length > 1 ? `📦 Download Ch. ${first}-${last}` : `📦 Download Ch. ${first}`,
+    callback_data: createCallbackData('chpdf', { mangaId, sourceName, page })
+  }]);
+  keyboard.push([{
+    text: '🎯 Choose chapters and format',
+    callback_data: createCallbackData('chrange', { mangaId, sourceName })
+  }]);
+
   // Remove back to details button as requested
 
   return {
@@ -110,10 +164,9 @@ function createChapterKeyboard(chapters, mangaId, page = 0) {
  * @returns {string} - Chapter list message
  */
 function getChapterListMessage(chapters, mangaTitle, page = 0) {
-  const chaptersPerPage = 20;
-  const totalPages = Math.ceil(chapters.length / chaptersPerPage);
-  const startIndex = page * chaptersPerPage;
-  const endIndex = Math.min(startIndex + chaptersPerPage, chapters.length);
+  const totalPages = Math.ceil(chapters.length / CHAPTERS_PER_PAGE);
+  const startIndex = page * CHAPTERS_PER_PAGE;
+  const endIndex = Math.min(startIndex + CHAPTERS_PER_PAGE, chapters.length);
   
   return `
 📚 *${mangaTitle}*
@@ -125,6 +178,8 @@ Select a chapter to read:
 }
 
 module.exports = {
+  CHAPTERS_PER_PAGE,
+  readingOrder,
   createChapterKeyboard,
   getChapterListMessage,
   storeMangaData,
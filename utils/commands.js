@@ -0,0 +1,190 @@
+const { logger } = require('./deletion');
+
+/**
+ * Scopes a command can be available in. 'admin' means group chat
+ * administrators; a command with ['private', 'admin'] works for everyone in
+ * private chats but only for admins in groups.
+ */
+const SCOPES = ['private', 'group', 'admin'];
+
+// Telegram BotCommandScope for each scope, used by setMyCommands
+const TELEGRAM_SCOPES = {
+  private: { type: 'all_private_chats' },
+  group: { type: 'all_group_chats' },
+  admin: { type: 'all_chat_administrators' }
+};
+
+// Help sections, in the order they are shown
+const SECTIONS = [
+  { id: 'discovery', title: '🔍 **Search & Discovery:**' },
+  { id: 'info', title: '📖 **Manga Information:**' },
+  { id: 'downloads', title: '📄 **Downloads:**' },
+  { id: 'general', title: '🎆 **General:**' }
+];
+
+/**
+ * Check whether a user administers a chat
+ * @param {Object} bot - Telegram bot instance
+ * @param {number} chatId - Chat ID
+ * @param {number} userId - User ID
+ * @returns {Promise<boolean>} - True for the chat creator and administrators
+ */
+async function isChatAdmin(bot, chatId, userId) {
+  try {
+    const member = await bot.getChatMember(chatId, userId);
+    return member.status === 'creator' || member.status === 'administrator';
+  } catch (error) {
+    logger.warn('Failed to check chat admin status', { chatId, userId, error: error.message });
+    return false;
+  }
+}
+
+function isGroup(msg) {
+  return msg.chat.type === 'group' || msg.chat.type === 'supergroup';
+}
+
+/**
+ * Create a command registry.
+ *
+ * Each command declares its name, arguments, description, scope and handler.
+ * The registry registers one bot.onText per command, does the '@botname'
+ * check for groups, enforces scopes, generates the /help command list and
+ * publishes the command menus with setMyCommands.
+ * @param {Object} bot - Telegram bot instance
+ * @returns {Object} - Registry with command(), list(), createHelpText() and publish()
+ */
+function createCommandRegistry(bot) {
+  const commands = new Map();
+  let botUsername = null;
+
+  async function getUsername() {
+    if (!botUsername) {
+      try {
+        const botInfo = await bot.getMe();
+        botUsername = botInfo.username || 'duckdex_bot';
+      } catch (error) {
+        logger.error('Failed to get bot username', { error: error.message });
+        return 'duckdex_bot';
+      }
+    }
+    return botUsername;
+  }
+
+  async function isAllowed(command, msg) {
+    if (!isGroup(msg)) return command.scope.includes('private');
+    if (command.scope.includes('group')) return true;
+    return command.scope.includes('admin') && await isChatAdmin(bot, msg.chat.id, msg.from.id);
+  }
+
+  async function run(command, msg, match) {
+    const chatId = msg.chat.id;
+    const username = await getUsername();
+    // In groups, '/cmd@otherbot' is meant for another bot
+    if (isGroup(msg) && match[1] && match[1].toLowerCase() !== `@${username}`.toLowerCase()) return;
+
+    if (!await isAllowed(command, msg)) {
+      logger.warn('Command not allowed in this chat', { chatId, command: command.name, chatType: msg.chat.type });
+      await bot.sendMessage(chatId, isGroup(msg)
+        ? `⛔ /${command.name} can only be used by group admins.`
+        : `⛔ /${command.name} only works in groups.`);
+      return;
+    }
+
+    const args = match[2] ? match[2].trim() : '';
+    if (command.argsRequired && !args) {
+      await bot.sendMessage(chatId, `ℹ️ Usage: \`/${command.name} ${command.args}\`\n${command.description}`, { parse_mode: 'Markdown' });
+      return;
+    }
+
+    try {
+      await command.handler({ bot, msg, chatId, args, botUsername: username });
+    } catch (error) {
+      logger.error('Command handler failed', { chatId, command: command.name, error: error.message });
+    }
+  }
+
+  const registry = {
+    /**
+     * Register a command
+     * @param {Object} options - Command definition
+     * @param {string} options.name - Command name without '/'
+     * @param {string} [options.args] - Argument usage, e.g. '<query>' or '[category]'
+     * @param {boolean} [options.argsRequired] - Reply with usage when arguments are missing
+     * @param {string} options.description - Short description for /help and the command menu
+     * @param {string[]} [options.scope] - Any of 'private', 'group', 'admin' (default: private and group)
+     * @param {string} [options.section] - Help section ID (default: 'general')
+     * @param {Function} options.handler - async ({ bot, msg, chatId, args, botUsername }) => void
+     */
+    command({ name, args = '', argsRequired = false, description, scope = ['private', 'group'], section = 'general', handler }) {
+      if (commands.has(name)) {
+        throw new Error(`Command already registered: ${name}`);
+      }
+      const unknownScope = scope.find(s => !SCOPES.includes(s));
+      if (unknownScope) {
+        throw new Error(`Unknown scope for /${name}: ${unknownScope}`);
+      }
+
+      const command = { name, args, argsRequired, description, scope, section, handler };
+      commands.set(name, command);
+      bot.onText(new RegExp(`^\\/${name}(@\\w+)?(?:\\s+([\\s\\S]+))?$`, 'i'), (msg, match) => run(command, msg, match));
+      return registry;
+    },
+
+    /**
+     * List registered commands, optionally only those available in a scope
+     * @param {string} [scope] - 'private', 'group' or 'admin'
+     * @returns {Array} - Command definitions
+     */
+    list(scope) {
+      const all = [...commands.values()];
+      if (!scope) return all;
+      // Admins can also use every group command
+      if (scope === 'admin') return all.filter(c => c.scope.includes('admin') || c.scope.includes('group'));
+      return all.filter(c => c.scope.includes(scope));
+    },
+
+    /**
+     * Generate the command list for the help message
+     * @param {boolean} inGroup - Whether the help is shown in a group
+     * @returns {string} - Markdown command list grouped by section
+     */
+    createHelpText(inGroup) {
+      const available = registry.list(inGroup ? 'admin' : 'private');
+      return SECTIONS
+        .map(section => {
+          const lines = available
+            .filter(c => c.section === section.id)
+            .map(c => {
+              const usage = c.args ? `/${c.name} ${c.args}` : `/${c.name}`;
+              const adminOnly = inGroup && !c.scope.includes('group') ? ' _(admins)_' : '';
+              return `• \`${usage}\` - ${c.description}${adminOnly}`;
+            });
+          return lines.length > 0 ? `${section.title}\n${lines.join('\n')}` : null;
+        })
+        .filter(Boolean)
+        .join('\n\n');
+    },
+
+    /**
+     * Publish the command menus for every scope with setMyCommands
+     */
+    async publish() {
+      for (const scope of SCOPES) {
+        const list = registry.list(scope).map(c => ({ command: c.name, description: c.description }));
+        try {
+          await bot.setMyCommands(list, { scope: TELEGRAM_SCOPES[scope] });
+          logger.info('Published bot commands', { scope, count: list.length });
+        } catch (error) {
+          logger.error('Failed to publish bot commands', { scope, error: error.message });
+        }
+      }
+    }
+  };
+
+  return registry;
+}
+
+module.exports = {
+  createCommandRegistry,
+  isChatAdmin
+};
@@ -0,0 +1,86 @@
+/**
+ * Central bot configuration read from the environment.
+ * main.js loads .env/.env.local before any util is required, so these
+ * values are already populated when this module is first evaluated.
+ */
+const path = require('path');
+
+// Read a duration in seconds from the environment, returning milliseconds
+function seconds(name, fallback) {
+  const value = parseInt(process.env[name], 10);
+  return (Number.isNaN(value) ? fallback : value) * 1000;
+}
+
+const config = {
+  // Name of the manga source adapter used when a chat has not chosen one
+  defaultSource: process.env.MANGA_SOURCE || 'duckydex',
+
+  // Base URL of the DuckyDex API (point this at a mirror or a local stand-in)
+  duckydexApiUrl: (process.env.DUCKYDEX_API_URL || 'https://api.samirb.com.np').replace(/\/+$/, ''),
+  // DuckyDex reader site that "Read Online" links point at
+  duckydexSiteUrl: (process.env.DUCKYDEX_SITE_URL || 'https://duckydex.samirb.com.np').replace(/\/+$/, ''),
+
+  // MangaDex API and cover host (both can point at a local stand-in serving recorded fixtures)
+  mangadexApiUrl: (process.env.MANGADEX_API_URL || 'https://api.mangadex.org').replace(/\/+$/, ''),
+  mangadexUploadsUrl: (process.env.MANGADEX_UPLOADS_URL || 'https://uploads.mangadex.org').replace(/\/+$/, ''),
+  // MangaDex reader site that "Read Online" links point at
+  mangadexSiteUrl: (process.env.MANGADEX_SITE_URL || 'https://mangadex.org').replace(/\/+$/, ''),
+
+  // Translated language MangaDex chapters are listed in
+  mangadexLanguage: process.env.MANGADEX_LANGUAGE || 'en',
+
+  // Upstream HTTP requests: per-attempt timeout and retries on 5xx/network errors
+  httpTimeout: parseInt(process.env.HTTP_TIMEOUT_MS, 10) || 15000,
+  httpRetries: process.env.HTTP_RETRIES !== undefined ? parseInt(process.env.HTTP_RETRIES, 10) : 3,
+
+  // Persistent storage for sessions, stored results and preferences
+  storageDir: process.env.STORAGE_DIR || path.join(__dirname, '..', '.data'),
+  // Manga details kept for chapter buttons, a file each since each holds a full chapter list
+  mangaDataMaxEntries: parseInt(process.env.MANGA_DATA_MAX_ENTRIES, 10) || 500,
+  // Search and latest result lists kept for paging, per store; older lists show as expired
+  resultsMaxEntries: parseInt(process.env.RESULTS_MAX_ENTRIES, 10) || 1000,
+  // Callback tokens kept for inline buttons; a keyboard whose tokens were dropped shows "not found"
+  callbackTokenMaxEntries: parseInt(process.env.CALLBACK_TOKEN_MAX_ENTRIES, 10) || 5000,
+
+  // How long a user has to answer each step of a multi-step prompt
+  conversationTimeout: seconds('CONVERSATION_TIMEOUT', 300),
+
+  // PDF jobs: how many build at once overall and per user, and how many a user may have queued
+  pdfConcurrency: parseInt(process.env.PDF_CONCURRENCY, 10) || 2,
+  pdfUserConcurrency: parseInt(process.env.PDF_USER_CONCURRENCY, 10) || 1,
+  pdfQueueLimit: parseInt(process.env.PDF_QUEUE_LIMIT, 10) || 5,
+
+  // Page images a PDF job downloads or encodes at once
+  pdfPageConcurrency: parseInt(process.env.PDF_PAGE_CONCURRENCY, 10) || 4,
+
+  // Extra tries for a page image that fails, and the first backoff step between them (doubled each try)
+  pageRetries: process.env.PAGE_RETRIES !== undefined ? parseInt(process.env.PAGE_RETRIES, 10) : 2,
+  pageRetryDelay: parseInt(process.env.PAGE_RETRY_DELAY_MS, 10) || 1000,
+  // How long the pages of a download with missing pages stay on disk for its "Retry missing pages" button
+  retryCacheTtl: seconds('RETRY_CACHE_TTL', 24 * 60 * 60),
+
+  // Most chapters one range export may bundle
+  pdfRangeLimit: parseInt(process.env.PDF_RANGE_LIMIT, 10) || 50,
+
+  // How long the Telegram file_id of an uploaded PDF is reused before it is rebuilt
+  sentFileTtl: seconds('SENT_FILE_TTL', 30 * 24 * 60 * 60),
+
+  // Least time between two progress edits of a PDF status message
+  progressInterval: seconds('PROGRESS_INTERVAL', 3),
+
+  // Response cache: 'memory' (LRU) or 'disk'
+  cacheBackend: process.env.CACHE_BACKEND || 'memory',
+  cacheDir: process.env.CACHE_DIR || path.join(__dirname, '..', '.cache', 'responses'),
+  cacheMaxEntries: parseInt(process.env.CACHE_MAX_ENTRIES, 10) || 500,
+
+  // Per-endpoint freshness (ttl) and how long a stale value may still be served while it refreshes
+  cachePolicies: {
+    details: { ttl: seconds('CACHE_TTL_DETAILS', 600), staleTtl: seconds('CACHE_STALE_DETAILS', 3600) },
+    genres: { ttl: seconds('CACHE_TTL_GENRES', 86400), staleTtl: seconds('CACHE_STALE_GENRES', 604800) },
+    mangaList: { ttl: seconds('CACHE_TTL_CATEGORIES', 300), staleTtl: seconds('CACHE_STALE_CATEGORIES', 1800) },
+    mangaByGenre: { ttl: seconds('CACHE_TTL_CATEGORIES', 300), staleTtl: seconds('CACHE_STALE_CATEGORIES', 1800) },
+    latest: { ttl: seconds('CACHE_TTL_LATEST', 120), staleTtl: seconds('CACHE_STALE_LATEST', 600) }
+  }
+};
+
+module.exports = config;
@@ -0,0 +1,330 @@
+const config = require('./config');
+const {
+  sendMessageWithAutoDeletion,
+  safeEditOrSend,
+  DELETION_TIMEOUTS,
+  logger
+} = require('./deletion');
+
+/**
+ * Input validators for conversation steps. Each returns
+ * (text, data) => ({ value }) on success or ({ error }) with a message for the user.
+ */
+const validators = {
+  // Free text within a length range
+  text: ({ min = 1, max = 200 } = {}) => text => {
+    const value = text.trim();
+    if (value.length < min) return { error: `Please send at least ${min} characters.` };
+    if (value.length > max) return { error: `Please keep it under ${max} characters.` };
+    return { value };
+  },
+
+  // Whole number within bounds
+  integer: ({ min = -Infinity, max = Infinity } = {}) => text => {
+    const value = parseInt(text.trim(), 10);
+    if (!/^-?\d+$/.test(text.trim())) return { error: 'Please send a whole number.' };
+    if (value < min || value > max) return { error: `Please send a number between ${min} and ${max}.` };
+    return { value };
+  },
+
+  // Chapter range such as '10-20', '10 to 20' or a single '10'; chapter numbers may have decimals
+  range: ({ min = 0, max = Infinity } = {}) => text => {
+    const match = text.trim().match(/^(\d+(?:\.\d+)?)(?:\s*(?:-|–|to)\s*(\d+(?:\.\d+)?))?$/i);
+    if (!match) return { error: 'Please send a range like `10-20` or a single number.' };
+    const from = parseFloat(match[1]);
+    const to = match[2] !== undefined ? parseFloat(match[2]) : from;
+    if (from > to) return { error: 'The range start must not be after its end.' };
+    if (from < min || to > max) return { error: `Please stay between ${min} and ${max}.` };
+    return { value: { from, to } };
+  },
+
+  // One of a fixed set of options, matched case-insensitively on value or label
+  choice: options => text => {
+    const answer = text.trim().toLowerCase();
+    const option = options.find(o => String(o.value).toLowerCase() === answer || o.text.toLowerCase() === answer);
+    return option ? { value: option.value } : { error: `Please pick one of: ${options.map(o => o.text).join(', ')}` };
+  }
+};
+
+function isGroup(chat) {
+  return chat.type === 'group' || chat.type === 'supergroup';
+}
+
+function sessionKey(chatId, userId) {
+  return `${chatId}:${userId}`;
+}
+
+/**
+ * Create a conversation manager.
+ *
+ * A conversation is a small state machine: named steps, each with a prompt,
+ * an optional set of answer buttons, a validator and the next step. Sessions
+ * are kept per chat and user, so in groups every member's reply goes to their
+ * own conversation. Sessions live in memory; a restart simply ends open prompts.
+ * @param {Object} bot - Telegram bot instance
+ * @param {Object} [options]
+ * @param {number} [options.timeoutMs] - Default time a user has to answer a step
+ * @returns {Object} - Manager with define(), start(), handleMessage(), cancel() and registerCallbacks()
+ */
+function createConversationManager(bot, { timeoutMs = config.conversationTimeout } = {}) {
+  const definitions = new Map();
+  const sessions = new Map();
+
+  function endSession(session) {
+    clearTimeout(session.timer);
+    sessions.delete(sessionKey(session.chatId, session.userId));
+  }
+
+  function armTimeout(session) {
+    clearTimeout(session.timer);
+    const definition = definitions.get(session.name);
+    session.timer = setTimeout(async () => {
+      if (sessions.get(sessionKey(session.chatId, session.userId)) !== session) return;
+      endSession(session);
+      logger.info('Conversation timed out', { chatId: session.chatId, userId: session.userId, name: session.name });
+      try {
+        await safeEditOrSend(bot, session.chatId, session.promptMessageId, {
+          text: '⌛ This prompt timed out. Start again whenever you are ready.'
+        }, false, DELETION_TIMEOUTS.TEMPORARY_INFO);
+      } catch (error) {
+        logger.warn('Failed to report conversation timeout', { chatId: session.chatId, error: error.message });
+      }
+    }, definition.timeoutMs || timeoutMs);
+    if (session.timer.unref) session.timer.unref();
+  }
+
+  async function sendPrompt(session, errorText) {
+    const definition = definitions.get(session.name);
+    const step = definition.steps[session.step];
+    const prompt = typeof step.prompt === 'function' ? step.prompt(session.data) : step.prompt;
+    const options = typeof step.options === 'function' ? step.options(session.data) : step.options;
+    const text = `${errorText ? `⚠️ ${errorText}\n\n` : ''}${prompt}`;
+
+    let messageOptions;
+    if (options || !session.inGroup) {
+      // Answer buttons (and Cancel) work everywhere; typed answers in private chats need no reply
+      const rows = [];
+      for (let i = 0; i < (options || []).length; i += 2) {
+        rows.push(options.slice(i, i + 2).map((option, j) => ({ text: option.text, callback_data: `conv_opt_${i + j}` })));
+      }
+      rows.push([{ text: '✖ Cancel', callback_data: 'conv_cancel' }]);
+      messageOptions = { text, parse_mode: 'Markdown', reply_markup: { inline_keyboard: rows } };
+    } else {
+      // Groups only deliver replies to the bot, so ask for one. Selective shows the reply box only to
+      // the sender of the message the prompt replies to; a prompt started from a button has none
+      messageOptions = {
+        text: `${text}\n\n_Reply to this message, or send /cancel to stop._`,
+        parse_mode: 'Markdown',
+        reply_markup: { force_reply: true, selective: Boolean(session.replyToMessageId) }
+      };
+    }
+
+    let sent;
+    if (session.editMessageId && !messageOptions.reply_markup.force_reply) {
+      sent = await safeEditOrSend(bot, session.chatId, session.editMessageId, messageOptions, false, DELETION_TIMEOUTS.USER_INTERACTION);
+    } else {
+      sent = await sendMessageWithAutoDeletion(bot, session.chatId, messageOptions, {
+        reply_to_message_id: session.replyToMessageId
+      }, DELETION_TIMEOUTS.USER_INTERACTION);
+    }
+    session.editMessageId = null;
+    session.promptMessageId = sent.message_id;
+    armTimeout(session);
+  }
+
+  // Store an accepted answer and move to the next step or finish
+  async function advance(session, value, msg, buttonLabel) {
+    const definition = definitions.get(session.name);
+    const step = definition.steps[session.step];
+    session.data[step.store || session.step] = value;
+
+    const next = typeof step.next === 'function' ? step.next(session.data) : step.next;
+    if (next) {
+      session.step = next;
+      await sendPrompt(session);
+      return;
+    }
+
+    endSession(session);
+    logger.info('Conversation completed', { chatId: session.chatId, userId: session.userId, name: session.name });
+    if (session.editMessageId) {
+      // Answered with a button: leave the chosen answer in place of the prompt
+      await safeEditOrSend(bot, session.chatId, session.editMessageId, { text: `✅ ${buttonLabel}` }, false, DELETION_TIMEOUTS.TEMPORARY_INFO);
+    }
+    try {
+      await definition.onComplete({
+        bot,
+        chatId: session.chatId,
+        userId: session.userId,
+        msg,
+        data: session.data
+      });
+    } catch (error) {
+      logger.error('Conversation completion failed', { chatId: session.chatId, name: session.name, error: error.message });
+    }
+  }
+
+  const manager = {
+    /**
+     * Define a conversation
+     * @param {string} name - Conversation name
+     * @param {Object} definition - Conversation definition
+     * @param {Object} definition.steps - Steps by name: { prompt, options?, validate?, store?, next? }
+     * @param {string} [definition.initial] - First step (default: the first step defined)
+     * @param {number} [definition.timeoutMs] - Time to answer each step
+     * @param {Function} definition.onComplete - async ({ bot, chatId, userId, msg, data }) => void,
+     *   where msg is the user's last reply (or the prompt message when the last answer was a button)
+     */
+    define(name, definition) {
+      if (definitions.has(name)) {
+        throw new Error(`Conversation already defined: ${name}`);
+      }
+      definitions.set(name, { initial: Object.keys(definition.steps)[0], ...definition });
+      return manager;
+    },
+
+    /**
+     * Start a conversation for a user, replacing any conversation they have open in that chat
+     * @param {string} name - Conversation name
+     * @param {Object} target - Where to ask
+     * @param {Object} target.chat - Telegram chat
+     * @param {number} target.userId - User the conversation belongs to
+     * @param {number} [target.replyToMessageId] - The user's own message the first prompt replies to
+     * @param {number} [target.editMessageId] - Message the first prompt replaces
+     * @param {Object} [data] - Initial conversation data
+     */
+    async start(name, { chat, userId, replyToMessageId, editMessageId }, data = {}) {
+      const definition = definitions.get(name);
+      if (!definition) {
+        throw new Error(`Unknown conversation: ${name}`);
+      }
+
+      const existing = sessions.get(sessionKey(chat.id, userId));
+      if (existing) endSession(existing);
+
+      const session = {
+        name,
+        chatId: chat.id,
+        userId,
+        inGroup: isGroup(chat),
+        step: definition.initial,
+        data: { ...data },
+        replyToMessageId,
+        editMessageId,
+        promptMessageId: null,
+        timer: null
+      };
+      sessions.set(sessionKey(chat.id, userId), session);
+      logger.info('Conversation started', { chatId: chat.id, userId, name });
+      await sendPrompt(session);
+    },
+
+    /**
+     * Feed a plain message to the sender's open conversation
+     * @param {Object} msg - Telegram message
+     * @returns {Promise<boolean>} - True when a conversation consumed the message
+     */
+    async handleMessage(msg) {
+      if (!msg.text || msg.text.startsWith('/') || !msg.from) return false;
+
+      const session = sessions.get(sessionKey(msg.chat.id, msg.from.id));
+      if (!session) return false;
+
+      // In groups only replies to the prompt count, so normal chatter is left alone
+      if (session.inGroup && (!msg.reply_to_message || msg.reply_to_message.message_id !== session.promptMessageId)) {
+        return false;
+      }
+
+      const definition = definitions.get(session.name);
+      const step = definition.steps[session.step];
+      const options = typeof step.options === 'function' ? step.options(session.data) : step.options;
+      const validate = step.validate || (options ? validators.choice(options) : validators.text());
+      const result = validate(msg.text, session.data);
+
+      session.replyToMessageId = msg.message_id;
+      try {
+        if (result.error) {
+          await sendPrompt(session, result.error);
+        } else {
+          await advance(session, result.value, msg);
+        }
+      } catch (error) {
+        logger.error('Conversation step failed', { chatId: session.chatId, name: session.name, error: error.message });
+      }
+      return true;
+    },
+
+    /**
+     * Cancel a user's open conversation
+     * @param {number} chatId - Chat ID
+     * @param {number} userId - User ID
+     * @returns {boolean} - True when there was a conversation to cancel
+     */
+    cancel(chatId, userId) {
+      const session = sessions.get(sessionKey(chatId, userId));
+      if (!session) return false;
+      endSession(session);
+      logger.info('Conversation cancelled', { chatId, userId, name: session.name });
+      return true;
+    },
+
+    /**
+     * Register the answer and cancel buttons with the callback router
+     * @param {Object} router - Callback router
+     */
+    registerCallbacks(router) {
+      // Buttons only act for the user the prompt belongs to
+      const ownSession = ctx => {
+        const session = sessions.get(sessionKey(ctx.chatId, ctx.from.id));
+        return session && session.promptMessageId === ctx.messageId ? session : null;
+      };
+
+      const notYours = async ctx => {
+        await sendMessageWithAutoDeletion(
+          bot,
+          ctx.chatId,
+          '⛔ This prompt belongs to someone else, or it has expired.',
+          {},
+          DELETION_TIMEOUTS.TEMPORARY_INFO
+        );
+      };
+
+      router.action('conv_cancel', {
+        handler: async ctx => {
+          const session = ownSession(ctx);
+          if (!session) {
+            await notYours(ctx);
+            return;
+          }
+          manager.cancel(ctx.chatId, ctx.from.id);
+          await safeEditOrSend(bot, ctx.chatId, ctx.messageId, { text: '✖ Cancelled.' }, false, DELETION_TIMEOUTS.TEMPORARY_INFO);
+        }
+      });
+
+      router.action('conv_opt', {
+        parse: rest => (/^\d+$/.test(rest) ? { index: parseInt(rest, 10) } : null),
+        handler: async ctx => {
+          const session = ownSession(ctx);
+          if (!session) {
+            await notYours(ctx);
+            return;
+          }
+          const step = definitions.get(session.name).steps[session.step];
+          const options = typeof step.options === 'function' ? step.options(session.data) : step.options;
+          const option = options && options[ctx.payload.index];
+          if (!option) return;
+
+          session.editMessageId = ctx.messageId;
+          await advance(session, option.value, ctx.message, option.text);
+        }
+      });
+    }
+  };
+
+  return manager;
+}
+
+module.exports = {
+  createConversationManager,
+  validators
+};
@@ -0,0 +1,105 @@
+const sharp = require('sharp');
+const { escapeXml } = require('./xml');
+
+/**
+ * Generated cover pages for PDFs: the manga's cover art above its title, the
+ * chapters in the file and the author, so a downloaded file says what it is
+ * on its first page. Pages are rendered large and encoded like any other page
+ * of the reading profile.
+ */
+
+const COVER_WIDTH = 1200;
+const COVER_HEIGHT = 1700;
+const MARGIN = 80;
+
+// Share of the page height the cover art may take; the text goes underneath
+const ART_SHARE = 0.66;
+
+// Average glyph width of the sans-serif face as a share of the font size, for wrapping
+const GLYPH_WIDTH = 0.55;
+
+const BACKGROUND = '#ffffff';
+const INK = '#111111';
+const MUTED = '#666666';
+
+// Greedy word wrap by the average glyph width; text past maxLines ends in an ellipsis
+function wrapText(text, fontSize, maxLines) {
+  const perLine = Math.floor((COVER_WIDTH - 2 * MARGIN) / (fontSize * GLYPH_WIDTH));
+  const lines = [];
+  let line = '';
+
+  for (const word of String(text).split(/\s+/).filter(Boolean)) {
+    const candidate = line ? `${line} ${word}` : word;
+    if (candidate.length <= perLine) {
+      line = candidate;
+    } else {
+      if (line) lines.push(line);
+      line = word.length > perLine ? `${word.slice(0, perLine - 1)}…` : word;
+    }
+  }
+  if (line) lines.push(line);
+
+  if (lines.length > maxLines) {
+    const kept = lines.slice(0, maxLines);
+    kept[maxLines - 1] = `${kept[maxLines - 1].slice(0, perLine - 1)}…`;
+    return kept;
+  }
+  return lines;
+}
+
+// Resize the cover art to fit above the text; art that does not decode is left out
+async function fitArt(art) {
+  try {
+    const { data, info } = await sharp(art)
+      .resize({ width: COVER_WIDTH - 2 * MARGIN, height: Math.round(COVER_HEIGHT * ART_SHARE) - MARGIN, fit: 'inside' })
+      .png()
+      .toBuffer({ resolveWithObject: true });
+    return { buffer: data, width: info.width, height: info.height };
+  } catch (error) {
+    console.warn(`⚠️ Cover art could not be used: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Render a cover page
+ * @param {Object} info
+ * @param {string} info.title - Manga title
+ * @param {string} info.subtitle - What the file holds, e.g. 'Chapter 12' or 'Chapters 1-20'
+ * @param {string} [info.author] - Author
+ * @param {Array<string>} [info.genres] - Genres, shown under the author
+ * @param {Buffer} [info.art] - Cover image bytes; the text is centred on the page without it
+ * @returns {Promise<Buffer>} - PNG image
+ */
+async function renderCoverPage({ title, subtitle, author, genres = [], art }) {
+  const fitted = art ? await fitArt(art) : null;
+
+  const rows = [
+    ...wrapText(title, 72, 3).map(text => ({ text, size: 72, color: INK, weight: 'bold' })),
+    { text: subtitle, size: 52, color: INK, gap: 24 },
+    author ? { text: author, size: 40, color: MUTED, gap: 40 } : null,
+    ...(genres.length > 0 ? wrapText(genres.join(' • '), 30, 2) : [])
+      .map((text, i) => ({ text, size: 30, color: MUTED, gap: i === 0 ? 24 : 0 }))
+  ].filter(Boolean);
+  const textHeight = rows.reduce((sum, row) => sum + (row.gap || 0) + row.size * 1.3, 0);
+
+  let y = fitted ? MARGIN + fitted.height + 70 : Math.round((COVER_HEIGHT - textHeight) / 2);
+  const text = rows.map(row => {
+    y += (row.gap || 0) + row.size * 1.3;
+    return `<text x="50%" y="${Math.round(y - row.size * 0.3)}" font-family="sans-serif" font-size="${row.size}" ` +
+      `font-weight="${row.weight || 'normal'}" text-anchor="middle" fill="${row.color}">${escapeXml(row.text)}</text>`;
+  }).join('');
+
+  const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="${COVER_WIDTH}" height="${COVER_HEIGHT}">` +
+    `<rect width="100%" height="100%" fill="${BACKGROUND}"/>${text}</svg>`;
+
+  const layers = fitted
+    ? [{ input: fitted.buffer, left: Math.round((COVER_WIDTH - fitted.width) / 2), top: MARGIN }]
+    : [];
+  return sharp(Buffer.from(svg)).composite(layers).png().toBuffer();
+}
+
+module.exports = {
+  renderCoverPage,
+  wrapText
+};
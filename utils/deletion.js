@@ -1,4 +1,5 @@
 const winston = require('winston');
+const { sourceErrorText } = require('./http');
 
 // Configure logger
 const logger = winston.createLogger({
@@ -231,7 +232,7 @@ async function handleCallbackWithLoading(bot, callbackQuery, handler, loadingTex
       chatId,
       msg.message_id,
       {
-        text: '❌ Something went wrong. Please try again.',
+        text: sourceErrorText(error, '❌ Something went wrong. Please try again.'),
         reply_markup: {
           inline_keyboard: [[{
             text: '🔄 Retry',
@@ -287,7 +288,7 @@ function cleanupScheduledDeletions() {
 }
 
 // Run cleanup every hour
-setInterval(cleanupScheduledDeletions, 3600000);
+setInterval(cleanupScheduledDeletions, 3600000).unref();
 
 /**
  * Get message deletion timeouts for different message types
@@ -1,27 +1,54 @@
-const axios = require('axios');
-const { createChapterKeyboard } = require('./chapters');
+const { getSource } = require('./sources');
+const { logger } = require('./deletion');
+const { isSourceUnavailable } = require('./http');
+const { createChapterKeyboard, storeMangaData, getStoredMangaData, CHAPTERS_PER_PAGE } = require('./chapters');
 
 /**
  * Get manga details from the API
  * @param {string} mangaId - The ID of the manga
+ * @param {string} [sourceName] - Manga source (defaults to the configured source)
  * @returns {Promise<Object>} - Manga details
+ * @throws {SourceUnavailableError} - When the source is down
  */
-async function getMangaDetails(mangaId) {
+async function getMangaDetails(mangaId, sourceName) {
   try {
-    const response = await axios.get(`https://api.samirb.com.np/manga/details/${mangaId}`);
-    return response.data;
+    return await getSource(sourceName).details(mangaId);
   } catch (error) {
+    if (isSourceUnavailable(error)) throw error;
     console.error('Error getting manga details:', error.message);
     return null;
   }
 }
 
+/**
+ * Get stored manga details, fetching them again once they have expired
+ * @param {string} mangaId - The ID of the manga
+ * @param {string} [sourceName] - Manga source (defaults to the configured source)
+ * @returns {Promise<Object|null>} - Manga details or null
+ * @throws {SourceUnavailableError} - When the source is down
+ */
+async function loadMangaDetails(mangaId, sourceName) {
+  const stored = getStoredMangaData(mangaId, sourceName);
+  if (stored) return stored;
+
+  try {
+    const details = await getMangaDetails(mangaId, sourceName);
+    if (details) storeMangaData(mangaId, details, sourceName);
+    return details;
+  } catch (error) {
+    if (isSourceUnavailable(error)) throw error;
+    logger.error('Error reloading manga details', { mangaId, source: sourceName, error: error.message });
+    return null;
+  }
+}
+
 /**
  * Create the manga details message
  * @param {Object} details - Manga details
+ * @param {string} [sourceName] - Manga source the details came from
  * @returns {Object} - Message options with photo, caption, and inline keyboard
  */
-function createMangaDetailsMessage(details) {
+function createMangaDetailsMessage(details, sourceName) {
   if (!details) {
     return {
       text: '❌ Error fetching manga details. Please try again later.',
@@ -29,10 +56,11 @@ function createMangaDetailsMessage(details) {
     };
   }
 
+  const source = getSource(sourceName);
+
   // Calculate chapter pagination info for first page
-  const chaptersPerPage = 20;
   const totalChapters = details.chapters.length;
-  const endIndex = Math.min(chaptersPerPage, totalChapters);
+  const endIndex = Math.min(CHAPTERS_PER_PAGE, totalChapters);
   
   // Telegram captions max length 1024 chars. If summary pushes it over, truncate summary.
   const baseCaptionTop = `*${details.title}*\n\n` +
@@ -43,7 +71,7 @@ function createMangaDetailsMessage(details) {
     `*Genres:* ${details.genres.join(', ')}\n` +
     `*Rating:* ${details.rating}\n` +
     `*Votes:* ${details.votes}\n\n` +
-    `*Read Online:* [DuckyDex](https://duckydex.samirb.com.np/manga/${details.id})\n\n` +
+    `*Read Online:* [${source.displayName}](${source.mangaUrl(details.id)})\n\n` +
     `*Summary:*\n`;
   let summary = details.summary || '';
   const baseBottom = `\n\n📃 *Chapters (1-${endIndex} of ${totalChapters}):*`;
@@ -57,9 +85,18 @@ function createMangaDetailsMessage(details) {
     caption = baseCaptionTop + summary + baseBottom;
   }
 
-  const imageUrl = `https://api.samirb.com.np/manga/img?url=${encodeURIComponent(details.imageUrl)}`;
+  const chapterKeyboard = createChapterKeyboard(details.chapters, details.id, 0, sourceName);
+
+  // Some sources have no cover for a title; fall back to a plain text message
+  if (!details.imageUrl) {
+    return {
+      text: caption,
+      parse_mode: 'Markdown',
+      reply_markup: chapterKeyboard
+    };
+  }
 
-  const chapterKeyboard = createChapterKeyboard(details.chapters, details.id, 0);
+  const imageUrl = source.imageUrl(details.imageUrl);
 
   return {
     photo: imageUrl,
@@ -71,5 +108,6 @@ function createMangaDetailsMessage(details) {
 
 module.exports = {
   getMangaDetails,
+  loadMangaDetails,
   createMangaDetailsMessage
 };
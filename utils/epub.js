@@ -0,0 +1,158 @@
+const crypto = require('crypto');
+const { writeZip } = require('./zip');
+const { escapeXml } = require('./xml');
+
+/**
+ * EPUB 3 fixed-layout packaging. Every page is its own spine item: an XHTML
+ * page whose viewport matches the image, so e-readers show one full page per
+ * screen instead of reflowing. The image pipeline lives in utils/pdf.js.
+ */
+
+const MEDIA_TYPES = { jpeg: 'image/jpeg', png: 'image/png' };
+
+// File extension of an encoded page; pages without a format are JPEG
+function imageExtension(image) {
+  return image.format === 'png' ? 'png' : 'jpg';
+}
+
+// The same chapters always get the same identifier, so readers treat a re-download as the same book
+function bookIdentifier(seed) {
+  const hex = crypto.createHash('sha1').update(seed).digest('hex');
+  return `urn:uuid:${hex.slice(0, 8)}-${hex.slice(8, 12)}-5${hex.slice(13, 16)}-a${hex.slice(17, 20)}-${hex.slice(20, 32)}`;
+}
+
+function pageDocument(title, image) {
+  return '<?xml version="1.0" encoding="UTF-8"?>\n' +
+    '<!DOCTYPE html>\n' +
+    '<html xmlns="http://www.w3.org/1999/xhtml" xmlns:epub="http://www.idpf.org/2007/ops">\n' +
+    '<head>\n' +
+    `  <title>${escapeXml(title)}</title>\n` +
+    `  <meta name="viewport" content="width=${image.width}, height=${image.height}"/>\n` +
+    '  <style>html, body { margin: 0; padding: 0; } img { display: block; width: 100%; height: 100%; }</style>\n' +
+    '</head>\n' +
+    '<body>\n' +
+    `  <img src="../images/${image.file}" alt="${escapeXml(title)}" width="${image.width}" height="${image.height}"/>\n` +
+    '</body>\n' +
+    '</html>\n';
+}
+
+function navDocument(title, entries) {
+  const items = entries
+    .map(entry => `      <li><a href="${entry.href}">${escapeXml(entry.title)}</a></li>`)
+    .join('\n');
+
+  return '<?xml version="1.0" encoding="UTF-8"?>\n' +
+    '<!DOCTYPE html>\n' +
+    '<html xmlns="http://www.w3.org/1999/xhtml" xmlns:epub="http://www.idpf.org/2007/ops">\n' +
+    `<head><title>${escapeXml(title)}</title></head>\n` +
+    '<body>\n' +
+    '  <nav epub:type="toc" id="toc">\n' +
+    `    <h1>${escapeXml(title)}</h1>\n` +
+    '    <ol>\n' +
+    `${items}\n` +
+    '    </ol>\n' +
+    '  </nav>\n' +
+    '</body>\n' +
+    '</html>\n';
+}
+
+const CONTAINER_XML = '<?xml version="1.0" encoding="UTF-8"?>\n' +
+  '<container version="1.0" xmlns="urn:oasis:names:tc:opendocument:xmlns:container">\n' +
+  '  <rootfiles>\n' +
+  '    <rootfile full-path="OEBPS/content.opf" media-type="application/oebps-package+xml"/>\n' +
+  '  </rootfiles>\n' +
+  '</container>\n';
+
+/**
+ * Write a fixed-layout EPUB 3 book
+ * @param {Object} book - Book contents
+ * @param {string} book.title - Book title
+ * @param {string} [book.author] - Author
+ * @param {Array<string>} [book.genres] - Genres, written as subjects
+ * @param {string} [book.summary] - Description
+ * @param {string} [book.language] - BCP 47 language tag (default: 'en')
+ * @param {string} book.identifierSeed - Stable seed for the book identifier (e.g. the chapter IDs)
+ * @param {Object} [book.profile] - Reading profile the pages were encoded for ({ key, name }), recorded in the metadata
+ * @param {Object} [book.cover] - Cover image: { buffer, width, height, format }
+ * @param {Array} book.chapters - Chapters in reading order: { title, images: [{ buffer, width, height, format }] }
+ *   with format 'jpeg' (the default) or 'png'; an image may give a `path` to read it from instead of a buffer
+ * @param {string} file - Where to write the EPUB; pages are copied in one at a time
+ * @returns {Promise<number>} - Size of the EPUB in bytes
+ */
+async function writeEpub({ title, author, genres = [], summary, language = 'en', identifierSeed, profile, cover, chapters }, file) {
+  const files = [];
+  const manifest = [];
+  const spine = [];
+  const navEntries = [];
+
+  if (cover) {
+    const image = { ...cover, file: `cover.${imageExtension(cover)}` };
+    files.push({ name: `OEBPS/images/${image.file}`, data: cover.buffer });
+    files.push({ name: 'OEBPS/pages/cover.xhtml', data: pageDocument(title, image) });
+    manifest.push(`<item id="cover-image" href="images/${image.file}" media-type="${MEDIA_TYPES[cover.format || 'jpeg']}" properties="cover-image"/>`);
+    manifest.push('<item id="cover" href="pages/cover.xhtml" media-type="application/xhtml+xml"/>');
+    spine.push('<itemref idref="cover"/>');
+  }
+
+  let pageNumber = 0;
+  for (const chapter of chapters) {
+    chapter.images.forEach((source, i) => {
+      pageNumber++;
+      const id = String(pageNumber).padStart(4, '0');
+      const image = { ...source, file: `i${id}.${imageExtension(source)}` };
+      const pageTitle = `${chapter.title} - Page ${i + 1}`;
+
+      files.push(source.path
+        ? { name: `OEBPS/images/${image.file}`, path: source.path }
+        : { name: `OEBPS/images/${image.file}`, data: source.buffer });
+      files.push({ name: `OEBPS/pages/p${id}.xhtml`, data: pageDocument(pageTitle, image) });
+      manifest.push(`<item id="i${id}" href="images/${image.file}" media-type="${MEDIA_TYPES[source.format || 'jpeg']}"/>`);
+      manifest.push(`<item id="p${id}" href="pages/p${id}.xhtml" media-type="application/xhtml+xml"/>`);
+      spine.push(`<itemref idref="p${id}"/>`);
+      if (i === 0) navEntries.push({ title: chapter.title, href: `pages/p${id}.xhtml` });
+    });
+  }
+
+  const modified = new Date().toISOString().replace(/\.\d{3}Z$/, 'Z');
+  const metadata = [
+    `<dc:identifier id="book-id">${bookIdentifier(identifierSeed)}</dc:identifier>`,
+    `<dc:title>${escapeXml(title)}</dc:title>`,
+    author ? `<dc:creator>${escapeXml(author)}</dc:creator>` : null,
+    `<dc:language>${escapeXml(language)}</dc:language>`,
+    ...genres.map(genre => `<dc:subject>${escapeXml(genre)}</dc:subject>`),
+    summary ? `<dc:description>${escapeXml(summary)}</dc:description>` : null,
+    `<meta property="dcterms:modified">${modified}</meta>`,
+    '<meta property="rendition:layout">pre-paginated</meta>',
+    '<meta property="rendition:orientation">auto</meta>',
+    '<meta property="rendition:spread">none</meta>',
+    cover ? '<meta name="cover" content="cover-image"/>' : null,
+    profile ? `<meta name="duckdex:reading-profile" content="${escapeXml(profile.key)}"/>` : null
+  ].filter(Boolean);
+
+  const opf = '<?xml version="1.0" encoding="UTF-8"?>\n' +
+    '<package xmlns="http://www.idpf.org/2007/opf" version="3.0" unique-identifier="book-id" prefix="rendition: http://www.idpf.org/vocab/rendition/#">\n' +
+    '  <metadata xmlns:dc="http://purl.org/dc/elements/1.1/">\n' +
+    metadata.map(line => `    ${line}\n`).join('') +
+    '  </metadata>\n' +
+    '  <manifest>\n' +
+    '    <item id="nav" href="nav.xhtml" media-type="application/xhtml+xml" properties="nav"/>\n' +
+    manifest.map(line => `    ${line}\n`).join('') +
+    '  </manifest>\n' +
+    '  <spine>\n' +
+    spine.map(line => `    ${line}\n`).join('') +
+    '  </spine>\n' +
+    '</package>\n';
+
+  // The mimetype entry must come first and stay uncompressed
+  return await writeZip(file, [
+    { name: 'mimetype', data: 'application/epub+zip' },
+    { name: 'META-INF/container.xml', data: CONTAINER_XML },
+    { name: 'OEBPS/content.opf', data: opf },
+    { name: 'OEBPS/nav.xhtml', data: navDocument(title, navEntries) },
+    ...files
+  ]);
+}
+
+module.exports = {
+  writeEpub
+};
@@ -1,14 +1,18 @@
-const axios = require('axios');
+const { getSource } = require('./sources');
+const { isSourceUnavailable } = require('./http');
+const { createCallbackData } = require('./callbackTokens');
 
 /**
  * Fetch all available genres from the API
+ * @param {string} [sourceName] - Manga source (defaults to the configured source)
  * @returns {Promise<Object>} - Genres object with display name as key and slug as value
+ * @throws {SourceUnavailableError} - When the source is down
  */
-async function fetchGenres() {
+async function fetchGenres(sourceName) {
   try {
-    const response = await axios.get('https://api.samirb.com.np/manga/genre');
-    return response.data;
+    return await getSource(sourceName).genres();
   } catch (error) {
+    if (isSourceUnavailable(error)) throw error;
     console.error('Error fetching genres:', error.message);
     return null;
   }
@@ -18,13 +22,15 @@ async function fetchGenres() {
  * Fetch manga list by genre from the API
  * @param {string} genre - Genre slug (e.g., 'action', 'comedy')
  * @param {number} page - Page number (default: 1)
+ * @param {string} [sourceName] - Manga source (defaults to the configured source)
  * @returns {Promise<Object>} - API response with manga list
+ * @throws {SourceUnavailableError} - When the source is down
  */
-async function fetchMangaByGenre(genre, page = 1) {
+async function fetchMangaByGenre(genre, page = 1, sourceName) {
   try {
-    const response = await axios.get(`https://api.samirb.com.np/manga/genre/${genre}?page=${page}`);
-    return response.data;
+    return await getSource(sourceName).mangaByGenre(genre, page);
   } catch (error) {
+    if (isSourceUnavailable(error)) throw error;
     console.error('Error fetching manga by genre:', error.message);
     return null;
   }
@@ -120,9 +126,10 @@ function createGenreSelectionMessage(genres, page = 0) {
  * @param {string} genre - Genre slug
  * @param {string} genreDisplayName - Genre display name
  * @param {number} currentPage - Current page number
+ * @param {string} [sourceName] - Source the list came from, kept in the detail buttons
  * @returns {Object} - Message options with inline keyboard
  */
-function createGenreMangaListMessage(data, genre, genreDisplayName, currentPage) {
+function createGenreMangaListMessage(data, genre, genreDisplayName, currentPage, sourceName) {
   if (!data || !data.mangas || data.mangas.length === 0) {
     return {
       text: `❌ No manga found in ${genreDisplayName} genre.`,
@@ -138,6 +145,7 @@ function createGenreMangaListMessage(data, genre, genreDisplayName, currentPage)
   let message = `🎭 *${genreDisplayName} Manga*\n`;
   message += `📄 Page ${data.currentPage} of ${data.totalPages} (${data.totalstories} total)\n\n`;
 
+  const source = getSource(sourceName);
   const keyboard = [];
 
   data.mangas.forEach((manga, index) => {
@@ -147,21 +155,21 @@ function createGenreMangaListMessage(data, genre, genreDisplayName, currentPage)
     message += `🆔 ID: \`${manga.id}\`\n`;
     message += `📖 Chapters: ${manga.chapter}\n`;
     message += `👀 Views: ${manga.views.toLocaleString()}\n`;
-    message += `📖 Read Online: [DuckDex](https://duckdx.samirb.com.np/manga/${manga.id})\n\n`;
+    message += `📖 Read Online: [${source.displayName}](${source.mangaUrl(manga.id)})\n\n`;
     
-    // Create shorter callback data to avoid 64-byte limit
-    const shortId = manga.id.length > 20 ? manga.id.substring(0, 20) : manga.id;
+    // The full ID travels in a callback token to stay under the 64-byte limit
+    const callbackData = createCallbackData('det', { mangaId: manga.id, sourceName });
     
     // Add button for each manga (2 buttons per row)
     if (index % 2 === 0) {
       keyboard.push([{
         text: `${globalIndex}. ${manga.title.length > 15 ? manga.title.substring(0, 15) + '...' : manga.title}`,
-        callback_data: `det_${shortId}`
+        callback_data: callbackData
       }]);
     } else {
       keyboard[keyboard.length - 1].push({
         text: `${globalIndex}. ${manga.title.length > 15 ? manga.title.substring(0, 15) + '...' : manga.title}`,
-        callback_data: `det_${shortId}`
+        callback_data: callbackData
       });
     }
   });
@@ -0,0 +1,178 @@
+const axios = require('axios');
+const config = require('./config');
+
+/**
+ * Thrown when an upstream is down: retries were exhausted on 5xx/network
+ * errors, or the host's circuit breaker is open. Handlers use it to tell
+ * "nothing found" apart from "upstream is broken".
+ */
+class SourceUnavailableError extends Error {
+  constructor(host, cause) {
+    super(`Source unavailable: ${host}${cause ? ` (${cause.message})` : ''}`);
+    this.name = 'SourceUnavailableError';
+    this.host = host;
+    this.cause = cause;
+  }
+}
+
+/**
+ * Check whether an error means the upstream is unavailable
+ * @param {Error} error - Any error
+ * @returns {boolean} - Whether it is a SourceUnavailableError
+ */
+function isSourceUnavailable(error) {
+  return error instanceof SourceUnavailableError;
+}
+
+// What users are told while the source is down
+const SOURCE_UNAVAILABLE_TEXT = '⚠️ The manga source is currently unavailable. Please try again in a few minutes.';
+
+/**
+ * Pick the error text, telling an unavailable source apart from other failures
+ * @param {Error} error - Any error
+ * @param {string} fallbackText - Text for any other failure
+ * @returns {string} - Text to show the user
+ */
+function sourceErrorText(error, fallbackText) {
+  return isSourceUnavailable(error) ? SOURCE_UNAVAILABLE_TEXT : fallbackText;
+}
+
+// Circuit breaker state per upstream host, shared by every client
+const breakers = new Map();
+
+function getBreaker(host) {
+  if (!breakers.has(host)) {
+    breakers.set(host, { state: 'closed', failures: 0, openedAt: 0 });
+  }
+  return breakers.get(host);
+}
+
+/**
+ * Whether a request may go through the breaker right now.
+ * An open breaker lets a single trial request through once the reset
+ * timeout has passed (half-open); its outcome closes or re-opens it.
+ */
+function breakerAllows(breaker, resetTimeout) {
+  if (breaker.state === 'closed') return true;
+  if (breaker.state === 'open' && Date.now() - breaker.openedAt >= resetTimeout) {
+    breaker.state = 'half-open';
+    return true;
+  }
+  return false;
+}
+
+function recordSuccess(breaker) {
+  breaker.state = 'closed';
+  breaker.failures = 0;
+}
+
+function recordFailure(breaker, host, failureThreshold) {
+  breaker.failures += 1;
+  if (breaker.state === 'half-open' || breaker.failures >= failureThreshold) {
+    if (breaker.state !== 'open') {
+      console.warn(`🔌 Circuit opened for ${host} after ${breaker.failures} failures`);
+    }
+    breaker.state = 'open';
+    breaker.openedAt = Date.now();
+  }
+}
+
+/**
+ * Retry on network errors, timeouts, 429 and 5xx responses only
+ * @param {Error} error - Axios error
+ * @returns {boolean} - Whether the request may succeed when repeated
+ */
+function isRetryable(error) {
+  if (!error.response) return true;
+  const { status } = error.response;
+  return status === 429 || status >= 500;
+}
+
+// Exponential backoff with full jitter
+function backoffDelay(attempt, base, max) {
+  return Math.round(Math.random() * Math.min(max, base * 2 ** attempt));
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Create an HTTP client with per-request timeouts, retries and a circuit breaker
+ * @param {Object} [options] - Client options
+ * @param {string} [options.baseURL] - Base URL for relative request URLs
+ * @param {Object} [options.headers] - Default headers
+ * @param {number} [options.timeout] - Per-request timeout in ms
+ * @param {number} [options.retries] - Retries after the first attempt
+ * @param {number} [options.backoffBase] - First backoff step in ms
+ * @param {number} [options.backoffMax] - Backoff ceiling in ms
+ * @param {number} [options.failureThreshold] - Consecutive failures that open the breaker
+ * @param {number} [options.resetTimeout] - How long the breaker stays open in ms
+ * @param {string} [options.breakerScope] - Keeps a breaker of its own per host, so failures of this
+ *   client's traffic (e.g. page images) do not cut off other requests to the same host
+ * @returns {Object} - Client with get(url, config) and request(config)
+ */
+function createHttpClient(options = {}) {
+  const settings = {
+    timeout: config.httpTimeout,
+    retries: config.httpRetries,
+    backoffBase: 500,
+    backoffMax: 8000,
+    failureThreshold: 5,
+    resetTimeout: 30000,
+    ...options
+  };
+
+  const instance = axios.create({
+    baseURL: settings.baseURL,
+    headers: settings.headers,
+    timeout: settings.timeout
+  });
+
+  async function request(requestConfig) {
+    const host = new URL(instance.getUri(requestConfig)).host;
+    const breakerKey = settings.breakerScope ? `${settings.breakerScope}:${host}` : host;
+    const breaker = getBreaker(breakerKey);
+
+    if (!breakerAllows(breaker, settings.resetTimeout)) {
+      throw new SourceUnavailableError(host);
+    }
+
+    for (let attempt = 0; ; attempt++) {
+      try {
+        const response = await instance.request(requestConfig);
+        recordSuccess(breaker);
+        return response;
+      } catch (error) {
+        // Caller-initiated aborts are not upstream failures
+        if (axios.isCancel(error)) throw error;
+
+        if (!isRetryable(error)) {
+          // The upstream answered; it is up even if the answer is a 4xx
+          recordSuccess(breaker);
+          throw error;
+        }
+
+        if (attempt >= settings.retries || breaker.state === 'half-open') {
+          recordFailure(breaker, breakerKey, settings.failureThreshold);
+          throw new SourceUnavailableError(host, error);
+        }
+
+        const delay = backoffDelay(attempt, settings.backoffBase, settings.backoffMax);
+        console.warn(`🔁 Retrying ${requestConfig.url} in ${delay}ms (attempt ${attempt + 1}/${settings.retries}): ${error.message}`);
+        await sleep(delay);
+      }
+    }
+  }
+
+  return {
+    request,
+    get: (url, requestConfig = {}) => request({ ...requestConfig, method: 'get', url })
+  };
+}
+
+module.exports = {
+  createHttpClient,
+  SourceUnavailableError,
+  isSourceUnavailable,
+  SOURCE_UNAVAILABLE_TEXT,
+  sourceErrorText
+};
@@ -0,0 +1,268 @@
+const { logger } = require('./deletion');
+
+// Higher runs first; jobs with equal priority run in the order they were queued
+const JOB_PRIORITIES = {
+  HIGH: 2,
+  NORMAL: 1,
+  LOW: 0
+};
+
+/**
+ * Thrown by enqueue() when a user already has as many jobs as they may queue
+ */
+class QueueFullError extends Error {
+  constructor(limit) {
+    super(`Queue limit reached (${limit} jobs)`);
+    this.name = 'QueueFullError';
+    this.limit = limit;
+  }
+}
+
+/**
+ * Reason a cancelled job's signal is aborted with, and what a cancelled
+ * waiting job's promise rejects with
+ */
+class JobCancelledError extends Error {
+  constructor() {
+    super('Job cancelled');
+    this.name = 'JobCancelledError';
+  }
+}
+
+/**
+ * Check whether an error means the user's queue is full
+ * @param {Error} error - Any error
+ * @returns {boolean} - Whether it is a QueueFullError
+ */
+function isQueueFull(error) {
+  return error instanceof QueueFullError;
+}
+
+/**
+ * Check whether an error means the job was cancelled
+ * @param {Error} error - Any error
+ * @returns {boolean} - Whether it is a JobCancelledError
+ */
+function isJobCancelled(error) {
+  return error instanceof JobCancelledError;
+}
+
+/**
+ * Create a job queue.
+ *
+ * Jobs run with at most `concurrency` at once overall and `perUserConcurrency`
+ * at once per user. A waiting job whose user is at their cap is skipped, so
+ * other users' jobs behind it can start. Jobs live in memory; a restart drops
+ * anything still queued. Every job carries an AbortSignal; cancel() drops a
+ * waiting job at once and aborts a running one, whose slot frees up as soon
+ * as its run() gives up.
+ * @param {Object} options
+ * @param {number} options.concurrency - Jobs running at once overall
+ * @param {number} options.perUserConcurrency - Jobs running at once per user
+ * @param {number} [options.maxPerUser] - Jobs a user may have queued or running (default: unlimited)
+ * @returns {Object} - Queue with enqueue(), cancel(), get(), jobsFor() and stats()
+ */
+function createJobQueue({ concurrency, perUserConcurrency, maxPerUser = Infinity }) {
+  const waiting = [];
+  const running = new Set();
+  let nextId = 1;
+
+  function runningFor(userId) {
+    let count = 0;
+    for (const job of running) {
+      if (job.userId === userId) count++;
+    }
+    return count;
+  }
+
+  // Waiting jobs ahead of this one (0 = next to start), counting every user's jobs
+  function positionOf(job) {
+    return waiting.indexOf(job);
+  }
+
+  function notify(job) {
+    if (!job.onUpdate) return;
+    Promise.resolve()
+      .then(() => job.onUpdate(describe(job)))
+      .catch(error => logger.warn('Job update callback failed', { jobId: job.id, error: error.message }));
+  }
+
+  function describe(job) {
+    return {
+      id: job.id,
+      userId: job.userId,
+      chatId: job.chatId,
+      label: job.label,
+      priority: job.priority,
+      state: job.state,
+      position: job.state === 'waiting' ? positionOf(job) + 1 : 0,
+      queuedAt: job.queuedAt,
+      startedAt: job.startedAt
+    };
+  }
+
+  function start(job) {
+    waiting.splice(waiting.indexOf(job), 1);
+    running.add(job);
+    job.state = 'running';
+    job.startedAt = Date.now();
+    logger.info('Job started', { jobId: job.id, userId: job.userId, label: job.label, running: running.size });
+
+    Promise.resolve()
+      .then(() => job.run({ ...describe(job), signal: job.controller.signal }))
+      .then(job.resolve, job.reject)
+      .finally(() => {
+        running.delete(job);
+        logger.info('Job finished', {
+          jobId: job.id,
+          userId: job.userId,
+          durationMs: Date.now() - job.startedAt,
+          waiting: waiting.length
+        });
+        drain();
+      });
+  }
+
+  // Start whatever fits under both caps, then tell the rest where they stand
+  function drain() {
+    for (let i = 0; i < waiting.length && running.size < concurrency;) {
+      const job = waiting[i];
+      if (runningFor(job.userId) < perUserConcurrency) {
+        start(job);
+      } else {
+        i++;
+      }
+    }
+
+    for (const job of waiting) {
+      const position = positionOf(job) + 1;
+      if (position !== job.lastPosition) {
+        job.lastPosition = position;
+        notify(job);
+      }
+    }
+  }
+
+  return {
+    /**
+     * Queue a job
+     * @param {Object} job - Job definition
+     * @param {number} job.userId - User the job counts against
+     * @param {number} [job.chatId] - Chat the job was requested in
+     * @param {string} [job.label] - Short description for listings
+     * @param {number} [job.priority] - One of JOB_PRIORITIES (default: NORMAL)
+     * @param {Function} job.run - async (info) => result, the work itself; info.signal aborts on cancel()
+     * @param {Function} [job.onUpdate] - (info) => void, called when a waiting job's position changes
+     * @returns {Object} - { id, position, promise, signal }, position 0 when it started at once;
+     *   promise settles with the result of run(), or rejects with a JobCancelledError when
+     *   the job is cancelled before it starts
+     * @throws {QueueFullError} - When the user is at maxPerUser
+     */
+    enqueue({ userId, chatId, label = 'Job', priority = JOB_PRIORITIES.NORMAL, run, onUpdate }) {
+      const owned = waiting.filter(j => j.userId === userId).length + runningFor(userId);
+      if (owned >= maxPerUser) {
+        throw new QueueFullError(maxPerUser);
+      }
+
+      const job = {
+        id: nextId++,
+        userId,
+        chatId,
+        label,
+        priority,
+        run,
+        onUpdate,
+        state: 'waiting',
+        queuedAt: Date.now(),
+        startedAt: null,
+        lastPosition: null,
+        controller: new AbortController()
+      };
+      const promise = new Promise((resolve, reject) => {
+        job.resolve = resolve;
+        job.reject = reject;
+      });
+
+      // Behind every job of the same or higher priority
+      const index = waiting.findIndex(j => j.priority < priority);
+      waiting.splice(index === -1 ? waiting.length : index, 0, job);
+      logger.info('Job queued', { jobId: job.id, userId, label, priority, waiting: waiting.length });
+
+      // The caller learns the starting position from the return value, later moves through onUpdate
+      job.lastPosition = positionOf(job) + 1;
+      drain();
+
+      return {
+        id: job.id,
+        position: job.state === 'waiting' ? positionOf(job) + 1 : 0,
+        promise,
+        signal: job.controller.signal
+      };
+    },
+
+    /**
+     * Cancel a job: a waiting job leaves the queue, a running one has its signal aborted
+     * @param {number} jobId - Job ID
+     * @returns {boolean} - False when no such job is waiting or running
+     */
+    cancel(jobId) {
+      const job = [...running, ...waiting].find(j => j.id === jobId);
+      if (!job) return false;
+
+      if (!job.controller.signal.aborted) {
+        job.controller.abort(new JobCancelledError());
+        logger.info('Job cancelled', { jobId, userId: job.userId, state: job.state });
+      }
+      if (job.state === 'waiting') {
+        waiting.splice(waiting.indexOf(job), 1);
+        job.state = 'cancelled';
+        job.reject(new JobCancelledError());
+        drain();
+      }
+      return true;
+    },
+
+    /**
+     * Look up a waiting or running job
+     * @param {number} jobId - Job ID
+     * @returns {Object|null} - Job description, or null when it is finished or unknown
+     */
+    get(jobId) {
+      const job = [...running, ...waiting].find(j => j.id === jobId);
+      return job ? describe(job) : null;
+    },
+
+    /**
+     * List a user's running and waiting jobs
+     * @param {number} userId - User ID
+     * @returns {Array} - Job descriptions, running jobs first
+     */
+    jobsFor(userId) {
+      return [...running, ...waiting]
+        .filter(job => job.userId === userId)
+        .map(describe);
+    },
+
+    /**
+     * Get queue totals
+     * @returns {Object} - { running, waiting, concurrency, perUserConcurrency }
+     */
+    stats() {
+      return {
+        running: running.size,
+        waiting: waiting.length,
+        concurrency,
+        perUserConcurrency
+      };
+    }
+  };
+}
+
+module.exports = {
+  createJobQueue,
+  JOB_PRIORITIES,
+  QueueFullError,
+  isQueueFull,
+  JobCancelledError,
+  isJobCancelled
+};
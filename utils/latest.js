@@ -1,15 +1,19 @@
-const axios = require('axios');
+const { getSource } = require('./sources');
+const { isSourceUnavailable } = require('./http');
 const { createPaginationButtons } = require('./pagination');
+const { createCallbackData } = require('./callbackTokens');
 
 /**
  * Fetch latest manga list
+ * @param {string} [sourceName] - Manga source (defaults to the configured source)
  * @returns {Promise<Array>} array of latest manga objects
+ * @throws {SourceUnavailableError} - When the source is down
  */
-async function fetchLatest() {
+async function fetchLatest(sourceName) {
   try {
-    const res = await axios.get('https://api.samirb.com.np/manga/latest');
-    return Array.isArray(res.data) ? res.data : (res.data.data || []);
+    return await getSource(sourceName).latest();
   } catch (err) {
+    if (isSourceUnavailable(err)) throw err;
     console.error('Error fetching latest list:', err.message);
     return [];
   }
@@ -20,11 +24,13 @@ async function fetchLatest() {
  * Shows only first (latest) chapter for each manga
  * @param {Array} list
  * @param {number} page
+ * @param {string} sessionId - Session the list is stored under
+ * @param {string} [sourceName] - Manga source the list came from, for the reader links
  * @returns {{text:string, reply_markup:{inline_keyboard:Array}, parse_mode:string}}
  */
 function mdEscape(text){return text.replace(/[_*`\[\]()~>#+=|{}.!-]/g,'\\$&');}
 
-function createLatestMessage(list, page = 0) {
+function createLatestMessage(list, page = 0, sessionId, sourceName) {
   if (!list || list.length === 0) {
     return { text: '❌ No latest chapters found right now.', reply_markup: null };
   }
@@ -33,6 +39,7 @@ function createLatestMessage(list, page = 0) {
   const endIndex = Math.min(startIndex + itemsPerPage, list.length);
   const pageItems = list.slice(startIndex, endIndex);
 
+  const source = getSource(sourceName);
   let message = `🆕 Latest Releases (${startIndex + 1}-${endIndex} of ${list.length}):\n\n`;
   const keyboard = [];
 
@@ -43,14 +50,19 @@ function createLatestMessage(list, page = 0) {
 
     message += `${globalIdx}. *${item.title}*\n`;
     message += `🆔 ID: \`${item.id}\`\n`;
-    message += `📄 Chapter: [${latestChapter.chapter}](https://duckydex.samirb.com.np/read/${item.id}/${latestChapter.chapter})\n`;
-    message += `📖 Details: [DuckyDex](https://duckydex.samirb.com.np/manga/${item.id})\n`;
+    message += `📄 Chapter: [${latestChapter.chapter}](${source.readUrl(latestChapter.id)})\n`;
+    message += `📖 Details: [${source.displayName}](${source.mangaUrl(item.id)})\n`;
     message += `⏰ Release: ${latestChapter.releaseDate}\n\n`;
 
     keyboard.push([
       {
         text: `${globalIdx}. ${item.title} ch ${latestChapter.chapter}`,
-        callback_data: `latpdf_${latestChapter.id.length > 50 ? latestChapter.id.substring(0,50) : latestChapter.id}`
+        callback_data: createCallbackData('latpdf', {
+          chapterId: latestChapter.id,
+          mangaTitle: item.title,
+          chapterNumber: latestChapter.chapter,
+          sourceName
+        })
       }
     ]);
   });
@@ -59,12 +71,12 @@ function createLatestMessage(list, page = 0) {
   const totalPages = Math.ceil(list.length / itemsPerPage);
   if (totalPages > 1) {
     const row = [];
-    if (page > 0) row.push({ text: '⬅️ Previous', callback_data: `latest_page_${page - 1}` });
+    if (page > 0) row.push({ text: '⬅️ Previous', callback_data: `latest_page_${sessionId}_${page - 1}` });
     row.push({ text: `${page + 1}/${totalPages}`, callback_data: 'page_info' });
-    if (page < totalPages - 1) row.push({ text: 'Next ➡️', callback_data: `latest_page_${page + 1}` });
+    if (page < totalPages - 1) row.push({ text: 'Next ➡️', callback_data: `latest_page_${sessionId}_${page + 1}` });
     // add first / last buttons
-    if(page>1) row.unshift({text:'⏮️ First',callback_data:`latest_page_0`});
-    if(page<totalPages-2) row.push({text:'Last ⏭️',callback_data:`latest_page_${totalPages-1}`});
+    if(page>1) row.unshift({text:'⏮️ First',callback_data:`latest_page_${sessionId}_0`});
+    if(page<totalPages-2) row.push({text:'Last ⏭️',callback_data:`latest_page_${sessionId}_${totalPages-1}`});
     keyboard.push(row);
   }
 
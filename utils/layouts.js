@@ -0,0 +1,106 @@
+/**
+ * PDF page layouts. Manga reads right to left, but PDF viewers open files
+ * left to right one page at a time. The right-to-left layout asks viewers for
+ * a two-page display read from the right, and splits double-page spreads so
+ * their halves meet in the middle; the spreads layout joins pages into
+ * right-to-left spreads for viewers that ignore those preferences.
+ */
+
+// A page this much wider than tall is a double-page spread
+const SPREAD_RATIO = 1.1;
+
+const PDF_LAYOUTS = {
+  single: {
+    name: 'Single pages',
+    description: 'One page at a time, as most viewers open PDFs'
+  },
+  rtl: {
+    name: 'Right to left',
+    description: 'Two pages side by side, read from the right; double-page spreads are split so their halves meet',
+    twoPage: true
+  },
+  spreads: {
+    name: 'Spreads',
+    description: 'Pages joined in pairs, right page first, for viewers that ignore reading direction',
+    pairPages: true
+  }
+};
+
+const DEFAULT_LAYOUT = 'single';
+
+/**
+ * Whether a page is a double-page spread
+ * @param {number} width - Page width
+ * @param {number} height - Page height
+ * @returns {boolean}
+ */
+function isSpread(width, height) {
+  return width / height > SPREAD_RATIO;
+}
+
+/**
+ * Plan the PDF pages ("sheets") for a layout. A sheet draws one or more
+ * images; an image drawn wider than its sheet is clipped to it, which is how
+ * a split spread shows one half per sheet.
+ * @param {Array} images - Pages in reading order ({ width, height })
+ * @param {string} [layout] - A key of PDF_LAYOUTS
+ * @param {Object} [options]
+ * @param {boolean} [options.cover] - The first page is a cover and stays on its own, as two-page viewers show it
+ * @param {Array<number>} [options.breaks] - Image indexes that must start a new sheet, such as chapter starts
+ * @returns {Object} - { sheets: [{ width, height, draws: [{ image, x, width, height }] }], sheetOf } with
+ *   sheetOf[i] the sheet that shows the start of image i
+ */
+function planSheets(images, layout = DEFAULT_LAYOUT, { cover = true, breaks = [] } = {}) {
+  const { twoPage, pairPages } = PDF_LAYOUTS[layout] || PDF_LAYOUTS[DEFAULT_LAYOUT];
+  const sheets = [];
+  const sheetOf = [];
+  const whole = (image, { width, height }) => ({ width, height, draws: [{ image, x: 0, width, height }] });
+
+  for (let i = 0; i < images.length; i++) {
+    const { width, height } = images[i];
+    const spread = isSpread(width, height);
+    sheetOf[i] = sheets.length;
+
+    if (twoPage && spread) {
+      // After the lone first sheet, viewers pair sheets 2-3, 4-5, ...: the right half
+      // goes first in a pair, with a blank sheet before it when it would land second
+      const half = width / 2;
+      if (sheets.length % 2 === 0) {
+        sheets.push({ width: half, height, draws: [] });
+        sheetOf[i] = sheets.length;
+      }
+      sheets.push({ width: half, height, draws: [{ image: i, x: -half, width, height }] });
+      sheets.push({ width: half, height, draws: [{ image: i, x: 0, width, height }] });
+      continue;
+    }
+
+    const next = images[i + 1];
+    const canPair = pairPages && !spread && next && !isSpread(next.width, next.height) &&
+      !(cover && i === 0) && !breaks.includes(i + 1);
+    if (!canPair) {
+      sheets.push(whole(i, images[i]));
+      continue;
+    }
+
+    // Read right to left: this page on the right, the next one on the left at the same height
+    const leftWidth = next.width * height / next.height;
+    sheets.push({
+      width: leftWidth + width,
+      height,
+      draws: [
+        { image: i + 1, x: 0, width: leftWidth, height },
+        { image: i, x: leftWidth, width, height }
+      ]
+    });
+    sheetOf[++i] = sheets.length - 1;
+  }
+
+  return { sheets, sheetOf };
+}
+
+module.exports = {
+  PDF_LAYOUTS,
+  DEFAULT_LAYOUT,
+  isSpread,
+  planSheets
+};
@@ -1,16 +1,20 @@
-const axios = require('axios');
+const { getSource } = require('./sources');
+const { isSourceUnavailable } = require('./http');
+const { createCallbackData } = require('./callbackTokens');
 
 /**
  * Fetch manga list by category from the API
  * @param {string} category - Category name (latest-manga, hot-manga, new-manga, completed-manga)
  * @param {number} page - Page number (default: 1)
+ * @param {string} [sourceName] - Manga source (defaults to the configured source)
  * @returns {Promise<Object>} - API response with manga list
+ * @throws {SourceUnavailableError} - When the source is down
  */
-async function fetchMangaList(category, page = 1) {
+async function fetchMangaList(category, page = 1, sourceName) {
   try {
-    const response = await axios.get(`https://api.samirb.com.np/manga/manga-list/${category}?page=${page}`);
-    return response.data;
+    return await getSource(sourceName).mangaList(category, page);
   } catch (error) {
+    if (isSourceUnavailable(error)) throw error;
     console.error('Error fetching manga list:', error.message);
     return null;
   }
@@ -47,9 +51,10 @@ function createCategorySelectionMessage() {
  * @param {Object} data - API response data
  * @param {string} category - Category name
  * @param {number} currentPage - Current page number
+ * @param {string} [sourceName] - Source the list came from, kept in the detail buttons
  * @returns {Object} - Message options with inline keyboard
  */
-function createMangaListMessage(data, category, currentPage) {
+function createMangaListMessage(data, category, currentPage, sourceName) {
   if (!data || !data.mangas || data.mangas.length === 0) {
     return {
       text: '❌ No manga found in this category.',
@@ -72,6 +77,7 @@ function createMangaListMessage(data, category, currentPage) {
   let message = `${categoryNames[category] || '📚 Manga List'}\n`;
   message += `📄 Page ${data.currentPage} of ${data.totalPages} (${data.totalstories} total)\n\n`;
 
+  const source = getSource(sourceName);
   const keyboard = [];
 
   data.mangas.forEach((manga, index) => {
@@ -81,21 +87,21 @@ function createMangaListMessage(data, category, currentPage) {
     message += `🆔 ID: \`${manga.id}\`\n`;
     message += `📖 Chapters: ${manga.chapter}\n`;
     message += `👀 Views: ${manga.views.toLocaleString()}\n`;
-    message += `📖 Read Online: [DuckDex](https://duckdex.samirb.com.np/manga/${manga.id})\n\n`;
+    message += `📖 Read Online: [${source.displayName}](${source.mangaUrl(manga.id)})\n\n`;
     
-    // Create shorter callback data to avoid 64-byte limit
-    const shortId = manga.id.length > 20 ? manga.id.substring(0, 20) : manga.id;
+    // The full ID travels in a callback token to stay under the 64-byte limit
+    const callbackData = createCallbackData('det', { mangaId: manga.id, sourceName });
     
     // Add button for each manga (2 buttons per row)
     if (index % 2 === 0) {
       keyboard.push([{
         text: `${globalIndex}. ${manga.title.length > 15 ? manga.title.substring(0, 15) + '...' : manga.title}`,
-        callback_data: `det_${shortId}`
+        callback_data: callbackData
       }]);
     } else {
       keyboard[keyboard.length - 1].push({
         text: `${globalIndex}. ${manga.title.length > 15 ? manga.title.substring(0, 15) + '...' : manga.title}`,
-        callback_data: `det_${shortId}`
+        callback_data: callbackData
       });
     }
   });
@@ -0,0 +1,15 @@
+/**
+ * Escape text for Telegram's (legacy) Markdown parse mode, so manga titles
+ * with underscores, asterisks, backticks or brackets do not break a message.
+ * Telegram only honours these escapes outside entities, so escaped text must
+ * not be wrapped in *bold* or _italics_.
+ * @param {*} value - Text (or anything with a string form)
+ * @returns {string} - Text that shows as written
+ */
+function escapeMarkdown(value) {
+  return String(value).replace(/([_*`[])/g, '\\$1');
+}
+
+module.exports = {
+  escapeMarkdown
+};
@@ -0,0 +1,146 @@
+const sharp = require('sharp');
+
+/**
+ * Page cleanup, an optional pass over a chapter before its pages are encoded.
+ * Scans often come with wide flat margins, blank separator pages and the same
+ * credits page twice: margins are trimmed off each page, and pages that are
+ * near-blank or repeat an earlier page are left out of the file.
+ */
+
+// Margins are measured on a thumbnail this wide, then cut from the full page
+const TRIM_SAMPLE_WIDTH = 256;
+
+// Border pixels this close to the corner colour count as margin
+const TRIM_THRESHOLD = 20;
+
+// A trim that would keep less than this share of the width or height is more
+// likely a near-empty page than a margin, so the page is left as it is
+const TRIM_MIN_KEEP = 0.5;
+
+// A page whose grey levels stray less than this from their mean is blank
+const BLANK_STDEV = 4;
+
+// Pages are compared on a grey thumbnail this many pixels across, one column wider for the difference hash
+const HASH_SIZE = 16;
+
+// Two pages are the same when their difference hashes (HASH_SIZE² bits) differ in at most
+// this many bits and their thumbnails by at most this many grey levels per pixel on average;
+// the hash alone cannot tell apart pages that share a panel layout
+const DUPLICATE_DISTANCE = 8;
+const DUPLICATE_DIFFERENCE = 6;
+
+/**
+ * Find the flat margins around a page
+ * @param {Buffer|string} input - Image bytes or a file path
+ * @returns {Promise<Object|null>} - Region to keep ({ left, top, width, height } in page pixels),
+ *   or null when there is nothing worth trimming
+ */
+async function findContentBox(input) {
+  const { width, height } = await sharp(input).metadata();
+  const { data, info: sample } = await sharp(input)
+    .resize({ width: Math.min(TRIM_SAMPLE_WIDTH, width) })
+    .removeAlpha()
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+  const { info } = await sharp(data, { raw: { width: sample.width, height: sample.height, channels: sample.channels } })
+    .trim({ threshold: TRIM_THRESHOLD })
+    .toBuffer({ resolveWithObject: true });
+
+  if (info.width === sample.width && info.height === sample.height) return null;
+  if (info.width < sample.width * TRIM_MIN_KEEP || info.height < sample.height * TRIM_MIN_KEEP) return null;
+
+  // Trim offsets come back negative; one sample pixel of slack keeps rounding off the artwork
+  const scale = width / sample.width;
+  const left = Math.max(Math.floor((-info.trimOffsetLeft - 1) * scale), 0);
+  const top = Math.max(Math.floor((-info.trimOffsetTop - 1) * scale), 0);
+  const right = Math.min(Math.ceil((-info.trimOffsetLeft + info.width + 1) * scale), width);
+  const bottom = Math.min(Math.ceil((-info.trimOffsetTop + info.height + 1) * scale), height);
+  return { left, top, width: right - left, height: bottom - top };
+}
+
+/**
+ * Open a page with its flat margins cut off
+ * @param {Buffer|string} input - Image bytes or a file path
+ * @returns {Promise<Object|Buffer|string>} - A sharp pipeline of the trimmed page, or the input when there is nothing to trim
+ */
+async function trimMargins(input) {
+  const box = await findContentBox(input);
+  return box ? sharp(input).extract(box) : input;
+}
+
+/**
+ * Fingerprint a page for blank and duplicate detection
+ * @param {Buffer|string} input - Image bytes or a file path
+ * @returns {Promise<Object>} - { blank, hash, thumbnail } with hash a difference hash (BigInt)
+ *   and thumbnail the grey pixels it was taken from
+ */
+async function pageSignature(input) {
+  const stats = await sharp(input).resize(64, 64, { fit: 'fill' }).greyscale().stats();
+
+  // Difference hash: one bit per neighbouring pair in a row, set where brightness drops
+  const width = HASH_SIZE + 1;
+  const thumbnail = await sharp(input).resize(width, HASH_SIZE, { fit: 'fill' }).greyscale().raw().toBuffer();
+  let hash = 0n;
+  for (let row = 0; row < HASH_SIZE; row++) {
+    for (let x = 0; x < HASH_SIZE; x++) {
+      hash = (hash << 1n) | (thumbnail[row * width + x] > thumbnail[row * width + x + 1] ? 1n : 0n);
+    }
+  }
+
+  return { blank: stats.channels[0].stdev < BLANK_STDEV, hash, thumbnail };
+}
+
+function hammingDistance(a, b) {
+  let bits = a ^ b;
+  let count = 0;
+  while (bits) {
+    count += Number(bits & 1n);
+    bits >>= 1n;
+  }
+  return count;
+}
+
+function isSamePage(a, b) {
+  if (hammingDistance(a.hash, b.hash) > DUPLICATE_DISTANCE) return false;
+  let difference = 0;
+  for (let i = 0; i < a.thumbnail.length; i++) difference += Math.abs(a.thumbnail[i] - b.thumbnail[i]);
+  return difference / a.thumbnail.length <= DUPLICATE_DIFFERENCE;
+}
+
+/**
+ * Pick out the pages to leave out of a chapter: near-blank ones and repeats of an earlier page
+ * @param {Array} pages - Pages in reading order: { pageNumber, input } with input image bytes or a file path
+ * @param {Object} [options]
+ * @param {Array<number>} [options.keep] - Page numbers never left out, such as placeholders for missing pages
+ * @returns {Promise<Array>} - Pages to leave out: { page, reason: 'blank' } or { page, reason: 'duplicate', of }
+ */
+async function findFillerPages(pages, { keep = [] } = {}) {
+  const removed = [];
+  const seen = [];
+
+  for (const { pageNumber, input } of pages) {
+    if (keep.includes(pageNumber)) continue;
+
+    const signature = await pageSignature(input);
+    if (signature.blank) {
+      removed.push({ page: pageNumber, reason: 'blank' });
+      continue;
+    }
+    const original = seen.find(earlier => isSamePage(earlier, signature));
+    if (original) {
+      removed.push({ page: pageNumber, reason: 'duplicate', of: original.pageNumber });
+      continue;
+    }
+    seen.push({ pageNumber, ...signature });
+  }
+
+  // A chapter of nothing but blank pages still needs a page to show
+  if (removed.length === pages.length) removed.shift();
+  return removed;
+}
+
+module.exports = {
+  findContentBox,
+  trimMargins,
+  findFillerPages
+};
@@ -0,0 +1,359 @@
+const fs = require('fs');
+const path = require('path');
+const { setTimeout: wait } = require('timers/promises');
+const sharp = require('sharp');
+const config = require('./config');
+const { getStore } = require('./storage');
+const { getSource } = require('./sources');
+const { createHttpClient, isSourceUnavailable } = require('./http');
+const { sliceStrip } = require('./strips');
+const { getReadingProfile, encodePage } = require('./profiles');
+const { trimMargins, findFillerPages } = require('./pageCleanup');
+const { escapeXml } = require('./xml');
+
+/**
+ * Page pipeline for chapter downloads. Pages are fetched a few at a time into
+ * a per-job folder under utils/temp, so the original images never sit in
+ * memory all at once, and every quality pass re-encodes from those files
+ * instead of downloading the chapter again. Encoded pages go to the same
+ * folder and are read back one at a time by the PDF and EPUB writers. A page
+ * that keeps failing can be swapped for a generated placeholder, and the cache
+ * kept so a later retry only fetches the pages that were missing. With page
+ * cleanup on, margins are trimmed and near-blank or repeated pages are left
+ * out (see utils/pageCleanup.js).
+ */
+
+const TEMP_DIR = path.join(__dirname, 'temp');
+
+// Folder names of caches a job is using right now
+const liveCaches = new Set();
+// Caches left on disk for a retry button, until config.retryCacheTtl; persisted so a restart keeps them
+const keptCaches = getStore('kept-page-caches');
+
+// Only a bare folder name is accepted, so a stored id cannot point outside utils/temp
+function cacheDir(id) {
+  return id && /^pages-\w+$/.test(id) ? path.join(TEMP_DIR, id) : null;
+}
+
+// Page images are retried per page (see fetchPageWithRetry), and DuckyDex serves them
+// from the API host itself, so broken images get a circuit breaker of their own
+const imageHttp = createHttpClient({ retries: 0, breakerScope: 'images' });
+
+// Stop between steps once a download is cancelled; the signal's reason is thrown
+function throwIfAborted(signal) {
+  if (signal) signal.throwIfAborted();
+}
+
+/**
+ * Like Promise.allSettled over items.map(fn), with at most `limit` calls in flight
+ * @param {Array} items - Inputs
+ * @param {number} limit - Most calls running at once
+ * @param {Function} fn - async (item, index) => value
+ * @returns {Promise<Array>} - Settled results in input order ({ status, value } or { status, reason })
+ */
+async function allSettledLimit(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  async function worker() {
+    while (next < items.length) {
+      const index = next++;
+      try {
+        results[index] = { status: 'fulfilled', value: await fn(items[index], index) };
+      } catch (reason) {
+        results[index] = { status: 'rejected', reason };
+      }
+    }
+  }
+
+  await Promise.all(Array.from({ length: Math.min(Math.max(limit, 1), items.length) }, worker));
+  return results;
+}
+
+/**
+ * Download one page image through the source's image proxy
+ * @param {string} url - Page image URL as listed by the source
+ * @param {number} pageNumber - Page number, for logs
+ * @param {string} [sourceName] - Manga source
+ * @param {AbortSignal} [signal] - Aborts the request
+ * @returns {Promise<Buffer>} - Image bytes as served
+ */
+async function downloadPage(url, pageNumber, sourceName, signal) {
+  const proxyUrl = getSource(sourceName).imageUrl(url);
+  console.log(`📥 Fetching page ${pageNumber}`);
+
+  const res = await imageHttp.get(proxyUrl, {
+    headers: { 'User-Agent': 'DuckDex-Bot/1.0' },
+    responseType: 'arraybuffer',
+    timeout: 30000,
+    signal
+  });
+
+  throwIfAborted(signal);
+  return Buffer.from(res.data);
+}
+
+/**
+ * Download a page and check that it decodes, trying again with backoff.
+ * Network errors, 5xx answers, 4xx answers and broken images all get
+ * config.pageRetries more tries; a cancelled job, or an image host whose
+ * circuit breaker is open, stops at once
+ * @param {Object} page - Page from the source adapter ({ page, imageUrl })
+ * @param {string} [sourceName] - Manga source
+ * @param {AbortSignal} [signal] - Aborts the request and the wait between tries
+ * @returns {Promise<Object>} - { buffer, width, height }
+ */
+async function fetchPageWithRetry(page, sourceName, signal) {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      const buffer = await downloadPage(page.imageUrl, page.page, sourceName, signal);
+      const { width, height } = await sharp(buffer).metadata();
+      // Decoding a thumbnail catches truncated files the header check lets through
+      await sharp(buffer).resize({ width: 32 }).raw().toBuffer();
+      return { buffer, width, height };
+    } catch (error) {
+      throwIfAborted(signal);
+      // An open breaker refuses without a cause and stays open longer than the backoff
+      const breakerOpen = isSourceUnavailable(error) && !error.cause;
+      if (breakerOpen || attempt >= config.pageRetries) throw error;
+
+      const delay = config.pageRetryDelay * 2 ** attempt;
+      console.warn(`🔁 Retrying page ${page.page} in ${delay}ms (attempt ${attempt + 1}/${config.pageRetries}): ${error.message}`);
+      await wait(delay, undefined, { signal }).catch(() => throwIfAborted(signal));
+    }
+  }
+}
+
+/**
+ * Render the stand-in for a page that could not be downloaded
+ * @param {number} pageNumber - Page number shown on the placeholder
+ * @param {number} [width] - Width in pixels, usually that of the chapter's other pages
+ * @param {number} [height] - Height in pixels
+ * @returns {Promise<Buffer>} - PNG image reading "Page N unavailable"
+ */
+async function createPlaceholderPage(pageNumber, width = 800, height = 1200) {
+  const fontSize = Math.round(width / 16);
+  const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}">` +
+    '<rect width="100%" height="100%" fill="#f2f2f2"/>' +
+    `<text x="50%" y="50%" font-family="sans-serif" font-size="${fontSize}" text-anchor="middle" fill="#666666">` +
+    `Page ${escapeXml(pageNumber)} unavailable</text>` +
+    `<text x="50%" y="50%" dy="${fontSize * 1.5}" font-family="sans-serif" font-size="${Math.round(fontSize / 2)}" text-anchor="middle" fill="#999999">` +
+    'Use "Retry missing pages" to fetch it again</text>' +
+    '</svg>';
+
+  return sharp(Buffer.from(svg)).png().toBuffer();
+}
+
+/**
+ * Create a download cache for one chapter's pages
+ * @param {Array} pages - Pages from the source adapter ({ page, imageUrl })
+ * @param {string} [sourceName] - Manga source
+ * @param {Object} [options]
+ * @param {string} [options.id] - Reuse the cache a previous job kept (its `id`); a cache that is gone
+ *   or was made for a different page list starts over empty
+ * @param {number} [options.concurrency] - Pages fetched or encoded at once (default: config.pdfPageConcurrency)
+ * @param {Object} [options.profile] - Reading profile pages are encoded for (default: the standard profile)
+ * @param {boolean} [options.slice] - Cut long strips into several pages when encoding (see utils/strips.js)
+ * @param {boolean} [options.clean] - Trim margins and leave out near-blank and repeated pages; archival
+ *   pages keep their margins
+ * @param {AbortSignal} [options.signal] - Cancels downloads and stops between pages
+ * @param {Function} [options.report] - Progress callback: { type: 'fetched' | 'compressed', done, total }
+ * @returns {Object} - { id, download(options), originals(), removedPages(), encode(quality), keep(), dispose() }
+ */
+function createPageCache(pages, sourceName, { id, concurrency = config.pdfPageConcurrency, profile = getReadingProfile(), slice = false, clean = false, signal, report = () => {} } = {}) {
+  if (!fs.existsSync(TEMP_DIR)) fs.mkdirSync(TEMP_DIR, { recursive: true });
+  // Image hosts and tokens rotate between requests, so pages are told apart by number and image key
+  const source = getSource(sourceName);
+  const index = JSON.stringify(pages.map(p => [p.page, source.imageKey(p.imageUrl)]));
+
+  let dir = cacheDir(id);
+  if (dir && !(fs.existsSync(path.join(dir, 'index.json')) &&
+    fs.readFileSync(path.join(dir, 'index.json'), 'utf8') === index)) {
+    if (fs.existsSync(dir)) fs.rmSync(dir, { recursive: true, force: true });
+    dir = null;
+  }
+  if (!dir) {
+    dir = fs.mkdtempSync(path.join(TEMP_DIR, 'pages-'));
+    fs.writeFileSync(path.join(dir, 'index.json'), index);
+  }
+  // A kept cache taken up again belongs to this job now, which keeps or disposes it in turn
+  const name = path.basename(dir);
+  keptCaches.delete(name);
+  liveCaches.add(name);
+
+  const width = Math.max(String(pages.length).length, 4);
+  const files = pages.map((p, i) => path.join(dir, String(i + 1).padStart(width, '0')));
+  // Pages cleanup leaves out; picked again after every download, with placeholders kept
+  let removed = [];
+  // Files written by the last encode pass
+  let encoded = [];
+  let pass = 0;
+
+  async function findRemoved(keep) {
+    if (!clean) return;
+    throwIfAborted(signal);
+    removed = await findFillerPages(pages.map((p, i) => ({ pageNumber: p.page, input: files[i] })), { keep });
+    if (removed.length > 0) {
+      console.log(`🧹 Leaving out ${removed.map(r => `page ${r.page} (${r.of ? `same as ${r.of}` : r.reason})`).join(', ')}`);
+    }
+  }
+
+  return {
+    id: name,
+
+    /**
+     * Fetch pages into the cache
+     * @param {Object} [options]
+     * @param {Array<number>} [options.only] - Page numbers to fetch again; pages not yet in the cache are always fetched
+     * @param {boolean} [options.placeholders] - Store a "page N unavailable" image for pages that keep failing;
+     *   cleanup never leaves those out
+     * @returns {Promise<Array<number>>} - Page numbers that could not be fetched
+     * @throws {SourceUnavailableError} - When the source is down and no page could be fetched
+     * @throws {Error} - When no page could be fetched for any other reason
+     */
+    async download({ only, placeholders = false } = {}) {
+      const wanted = pages.filter((p, i) => !fs.existsSync(files[i]) || !only || only.includes(p.page));
+      const sizes = [];
+      let fetched = pages.length - wanted.length;
+      report({ type: 'fetched', done: fetched, total: pages.length });
+
+      const results = await allSettledLimit(wanted, concurrency, async p => {
+        throwIfAborted(signal);
+        const image = await fetchPageWithRetry(p, sourceName, signal);
+        await fs.promises.writeFile(files[pages.indexOf(p)], image.buffer);
+        sizes.push({ width: image.width, height: image.height });
+        report({ type: 'fetched', done: ++fetched, total: pages.length });
+      });
+      throwIfAborted(signal);
+
+      const missing = wanted.filter((p, i) => results[i].status === 'rejected');
+      if (missing.length === 0) {
+        await findRemoved([]);
+        return [];
+      }
+
+      // Nothing came through at all: a chapter of placeholders helps nobody
+      if (missing.length === pages.length) {
+        const unavailable = results.find(r => r.status === 'rejected' && isSourceUnavailable(r.reason));
+        throw unavailable ? unavailable.reason : new Error(`None of the ${pages.length} pages could be downloaded`);
+      }
+
+      missing.forEach(p => {
+        const reason = results[wanted.indexOf(p)].reason;
+        console.warn(`⚠️ Page ${p.page} unavailable after ${config.pageRetries + 1} tries: ${reason.message}`);
+      });
+
+      if (placeholders) {
+        // Shaped like the chapter's other pages, so the placeholder does not stand out in a reader
+        const like = sizes[0] || {};
+        for (const p of missing) {
+          await fs.promises.writeFile(files[pages.indexOf(p)], await createPlaceholderPage(p.page, like.width, like.height));
+          report({ type: 'fetched', done: ++fetched, total: pages.length });
+        }
+        await findRemoved(missing.map(p => p.page));
+      }
+
+      return missing.map(p => p.page);
+    },
+
+    /**
+     * The cached pages as downloaded (or their placeholders), for archives that keep the source's images
+     * @returns {Array} - Pages in order: { path, pageNumber, imageUrl }
+     */
+    originals() {
+      return pages.map((p, i) => ({ path: files[i], pageNumber: p.page, imageUrl: p.imageUrl }));
+    },
+
+    /**
+     * Pages cleanup left out of the last download
+     * @returns {Array} - { page, reason: 'blank' } or { page, reason: 'duplicate', of }
+     */
+    removedPages() {
+      return removed;
+    },
+
+    /**
+     * Re-encode every cached page for the reading profile, except the pages cleanup left out.
+     * Encoded pages are written next to the originals and only their paths are returned, so
+     * a chapter is never held in memory; the files of the previous pass are replaced
+     * @param {number} [quality] - JPEG quality, for JPEG profiles
+     * @returns {Promise<Array>} - Pages in order: { path, size, width, height, format, pageNumber }; the
+     *   slices of a long strip follow each other and share its pageNumber
+     */
+    async encode(quality) {
+      await Promise.all(encoded.map(file => fs.promises.rm(file, { force: true })));
+      encoded = [];
+      pass++;
+
+      // Left-out pages count as done, so the progress bar still ends at 100%
+      let compressed = removed.length;
+      const results = await allSettledLimit(pages, concurrency, async (p, i) => {
+        throwIfAborted(signal);
+        if (removed.some(r => r.page === p.page)) return [];
+        // Long strips are sliced untrimmed, margin trimming is for single pages
+        const images = (slice && await sliceStrip(files[i], profile, quality)) ||
+          [await encodePage(clean && profile.format !== 'original' ? await trimMargins(files[i]) : files[i], profile, quality)];
+
+        const written = [];
+        for (const [k, { buffer, ...image }] of images.entries()) {
+          const file = `${files[i]}.${pass}-${k + 1}`;
+          encoded.push(file);
+          await fs.promises.writeFile(file, buffer);
+          written.push({ ...image, path: file, size: buffer.length, pageNumber: p.page });
+        }
+        report({ type: 'compressed', done: ++compressed, total: pages.length });
+        return written;
+      });
+      throwIfAborted(signal);
+
+      const failed = results.find(r => r.status === 'rejected');
+      if (failed) throw failed.reason;
+      return results.flatMap(r => r.value);
+    },
+
+    // Leave the cache on disk for a retry button (see disposeKeptCache)
+    keep() {
+      liveCaches.delete(name);
+      keptCaches.set(name, true, config.retryCacheTtl);
+    },
+
+    // Remove the cached originals
+    dispose() {
+      liveCaches.delete(name);
+      keptCaches.delete(name);
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  };
+}
+
+/**
+ * Remove a cache kept for a retry button that is no longer needed. A cache a
+ * job has taken up again is left to that job.
+ * @param {string} id - The cache's id
+ */
+function disposeKeptCache(id) {
+  const dir = cacheDir(id);
+  if (!dir || liveCaches.has(id)) return;
+  keptCaches.delete(id);
+  fs.rmSync(dir, { recursive: true, force: true });
+}
+
+/**
+ * Whether an entry of utils/temp is a page cache that must stay: one a job is
+ * using, or one kept for a retry button that has not expired
+ * @param {string} name - File or folder name in utils/temp
+ * @returns {boolean}
+ */
+function isCacheInUse(name) {
+  return liveCaches.has(name) || keptCaches.get(name) !== null;
+}
+
+module.exports = {
+  allSettledLimit,
+  downloadPage,
+  createPageCache,
+  disposeKeptCache,
+  isCacheInUse,
+  createPlaceholderPage,
+  throwIfAborted
+};
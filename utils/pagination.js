@@ -1,3 +1,7 @@
+const { getStore } = require('./storage');
+const { generateToken } = require('./callbackTokens');
+const config = require('./config');
+
 /**
  * Create pagination buttons
  * @param {number} currentPage - Current page number (0-based)
@@ -56,59 +60,83 @@ function getPaginationInfo(items, page, itemsPerPage) {
 }
 
 /**
- * Store search results temporarily (in-memory storage)
- * Note: In production, you'd want to use Redis or a database
+ * Store result sets persistently so pagination buttons survive restarts.
+ * Every search or latest list gets its own session, keyed by chat and a
+ * session ID carried in the message's buttons, so in groups each message
+ * keeps paging through its own results.
  */
-const searchCache = new Map();
-const latestCache = new Map();
+const searchStore = getStore('search-results', { maxEntries: config.resultsMaxEntries });
+const latestStore = getStore('latest-results', { maxEntries: config.resultsMaxEntries });
+const RESULTS_TTL = 24 * 60 * 60 * 1000;
+const SESSION_ID_LENGTH = 8;
+
+// Alphanumeric, so the ID can sit between '_' separators in callback_data
+function createSessionId() {
+  return generateToken(SESSION_ID_LENGTH);
+}
+
+function sessionKey(chatId, sessionId) {
+  return `${chatId}:${sessionId}`;
+}
 
 /**
  * Store search results for pagination
- * @param {string} chatId - Chat ID
+ * @param {number} chatId - Chat ID
+ * @param {number} userId - User who searched
  * @param {Array} results - Search results
  * @param {string} query - Search query
+ * @param {string} [sourceName] - Source the results came from
+ * @returns {string} - Session ID for the results message's buttons
  */
-function storeSearchResults(chatId, results, query) {
-  searchCache.set(chatId, {
+function storeSearchResults(chatId, userId, results, query, sourceName) {
+  const sessionId = createSessionId();
+  searchStore.set(sessionKey(chatId, sessionId), {
     results,
     query,
+    sourceName,
+    userId,
     timestamp: Date.now()
-  });
-  
-  // Clean up old results (older than 1 hour)
-  const oneHourAgo = Date.now() - 60 * 60 * 1000;
-  for (const [key, value] of searchCache.entries()) {
-    if (value.timestamp < oneHourAgo) {
-      searchCache.delete(key);
-    }
-  }
+  }, RESULTS_TTL);
+  return sessionId;
 }
 
 /**
  * Get stored search results
- * @param {string} chatId - Chat ID
- * @returns {Object|null} - Stored search data or null
+ * @param {number} chatId - Chat ID
+ * @param {string} sessionId - Session ID from the results message
+ * @returns {Object|null} - Stored search data or null once expired
  */
-function getStoredSearchResults(chatId) {
-  return searchCache.get(chatId) || null;
+function getStoredSearchResults(chatId, sessionId) {
+  return searchStore.get(sessionKey(chatId, sessionId));
 }
 
 /**
  * Store latest results
- * @param {string} chatId - Chat ID
+ * @param {number} chatId - Chat ID
+ * @param {number} userId - User who requested the list
  * @param {Array} results - Latest results
+ * @param {string} [sourceName] - Source the list came from
+ * @returns {string} - Session ID for the latest message's buttons
  */
-function storeLatestResults(chatId, results) {
-  latestCache.set(chatId, results);
+function storeLatestResults(chatId, userId, results, sourceName) {
+  const sessionId = createSessionId();
+  latestStore.set(sessionKey(chatId, sessionId), {
+    results,
+    sourceName,
+    userId,
+    timestamp: Date.now()
+  }, RESULTS_TTL);
+  return sessionId;
 }
 
 /**
  * Get stored latest results
- * @param {string} chatId - Chat ID
- * @returns {Array|null} - Stored latest results or null
+ * @param {number} chatId - Chat ID
+ * @param {string} sessionId - Session ID from the latest message
+ * @returns {Object|null} - Stored latest data or null once expired
  */
-function getStoredLatestResults(chatId) {
-  return latestCache.get(chatId) || null;
+function getStoredLatestResults(chatId, sessionId) {
+  return latestStore.get(sessionKey(chatId, sessionId));
 }
 
 module.exports = {
@@ -1,136 +1,948 @@
 const fs = require('fs');
 const path = require('path');
+const crypto = require('crypto');
 const sharp = require('sharp');
-const { PDFDocument } = require('pdf-lib');
-
-const fetch = (...args) => import('node-fetch').then(({ default: fetch }) => fetch(...args));
+const { PDFDocument, PDFName, PDFHexString, ReadingDirection } = require('pdf-lib');
+const { getSource } = require('./sources');
+const config = require('./config');
+const { allSettledLimit, downloadPage, createPageCache, disposeKeptCache, isCacheInUse, throwIfAborted } = require('./pagePipeline');
+const { READING_PROFILES, getReadingProfile, encodePage } = require('./profiles');
+const { PDF_LAYOUTS, DEFAULT_LAYOUT, planSheets } = require('./layouts');
+const { renderCoverPage } = require('./coverPage');
+const { writeZip } = require('./zip');
+const { writeEpub } = require('./epub');
+const { escapeXml } = require('./xml');
 
 const MAX_PDF_MB = 50;
 const MAX_WIDTH = 1200;
 
-async function getChapterPages(chapterId) {
-  const res = await fetch(`https://api.samirb.com.np/manga/pages/${chapterId}`);
-  return await res.json();
+// Written as the creator of every PDF, next to pdf-lib as the producer
+const PDF_CREATOR = 'DuckDex Bot';
+
+// Range exports encode every page once at this quality and split into volumes
+// instead of retrying lower qualities; JPEG bytes are budgeted with headroom
+// for the PDF structure around them
+const RANGE_QUALITY = 75;
+const VOLUME_BUDGET = 0.95;
+
+// Everything that changes the output; stored uploads are only reused for identical settings
+const PDF_SETTINGS = {
+  format: 'pdf',
+  maxWidth: MAX_WIDTH,
+  maxMB: MAX_PDF_MB
+};
+
+// CBZ keeps the source's images untouched unless the archive would be too big to upload
+const CBZ_SETTINGS = {
+  format: 'cbz',
+  maxWidth: MAX_WIDTH,
+  maxMB: MAX_PDF_MB
+};
+
+// EPUB pages go through the PDF image pipeline and are re-encoded only to fit the upload limit
+const EPUB_SETTINGS = {
+  format: 'epub',
+  maxWidth: MAX_WIDTH,
+  maxMB: MAX_PDF_MB
+};
+
+// Qualities a user can pin for chapter PDFs; a pinned quality is never lowered,
+// the chapter is split into parts instead
+const SPLIT_QUALITIES = [95, 85, 75, 60];
+
+// Output formats users can choose between
+const EXPORT_FORMATS = {
+  pdf: { name: 'PDF', extension: 'pdf', settings: PDF_SETTINGS },
+  cbz: { name: 'CBZ', extension: 'cbz', settings: CBZ_SETTINGS },
+  epub: { name: 'EPUB', extension: 'epub', settings: EPUB_SETTINGS }
+};
+
+async function getChapterPages(chapterId, sourceName) {
+  return await getSource(sourceName).pages(chapterId);
+}
+
+// Fetch and encode a single image for hooks.profile (default: standard); hooks.signal aborts the download
+async function fetchAndCompressImage(url, pageNumber, quality, sourceName, hooks = {}) {
+  const buffer = await downloadPage(url, pageNumber, sourceName, hooks.signal);
+  return { ...await encodePage(buffer, hooks.profile || getReadingProfile(), quality), pageNumber };
+}
+
+// File name of a cached page ({ path, pageNumber, imageUrl }) as the source serves it; the extension
+// follows what the file really is, so a placeholder (a PNG) or a name without one gets the right one
+async function originalName({ path: file, pageNumber, imageUrl }) {
+  let name;
+  try {
+    name = decodeURIComponent(path.posix.basename(new URL(imageUrl).pathname));
+  } catch (error) {
+    name = '';
+  }
+  const { format } = await sharp(file).metadata();
+  const extension = format === 'jpeg' ? 'jpg' : format;
+  const current = path.extname(name).slice(1).toLowerCase();
+  if (current === extension || (extension === 'jpg' && current === 'jpeg')) return name;
+  return `${path.basename(name, path.extname(name)) || pageNumber}.${extension}`;
+}
+
+// Archive names in page order: the original names when they are unique and
+// already sort by page, otherwise prefixed with the zero-padded page number
+function archiveNames(images) {
+  const names = images.map(image => image.name.replace(/[\\/]/g, '_'));
+  const sorted = [...names].sort();
+  const keepsOrder = new Set(names).size === names.length && sorted.every((name, i) => name === names[i]);
+  if (keepsOrder) return names;
+
+  const width = String(images.length).length;
+  return names.map((name, i) => `${String(i + 1).padStart(Math.max(width, 3), '0')}_${name}`);
+}
+
+/**
+ * Create ComicInfo.xml (the Anansi schema read by Komga, Kavita and Mihon)
+ * @param {Object} info - Comic information; empty fields are left out
+ * @param {string} info.series - Manga title
+ * @param {string} info.number - Chapter number
+ * @param {string} [info.writer] - Author
+ * @param {Array<string>} [info.genres] - Genres
+ * @param {string} [info.summary] - Summary
+ * @param {string} [info.web] - Link to the chapter online
+ * @param {number} info.pageCount - Number of pages
+ * @returns {string} - XML document
+ */
+function createComicInfoXml({ series, number, writer, genres, summary, web, pageCount }) {
+  const fields = [
+    ['Series', series],
+    ['Number', number],
+    ['Title', number !== undefined ? `Chapter ${number}` : undefined],
+    ['Summary', summary],
+    ['Writer', writer],
+    ['Genre', genres && genres.length > 0 ? genres.join(', ') : undefined],
+    ['Web', web],
+    ['PageCount', pageCount],
+    ['Manga', 'Yes']
+  ];
+
+  const body = fields
+    .filter(([, value]) => value !== undefined && value !== null && value !== '' && value !== 'Unknown')
+    .map(([tag, value]) => `  <${tag}>${escapeXml(value)}</${tag}>`)
+    .join('\n');
+
+  return '<?xml version="1.0" encoding="utf-8"?>\n' +
+    '<ComicInfo xmlns:xsd="http://www.w3.org/2001/XMLSchema" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance">\n' +
+    `${body}\n</ComicInfo>\n`;
 }
 
-// Fetch and compress single image to JPEG
-async function fetchAndCompressImage(url, pageNumber, quality) {
-  const proxyUrl = `https://api.samirb.com.np/manga/img?url=${encodeURIComponent(url)}`;
-  console.log(`📥 Fetching page ${pageNumber}`);
+// Stream a CBZ of { name, path } pages and their ComicInfo.xml to file; resolves to its size in bytes
+function writeCbz(file, images, comicInfo) {
+  return writeZip(file, [
+    ...images.map(image => ({ name: image.name, path: image.path })),
+    { name: 'ComicInfo.xml', data: comicInfo }
+  ]);
+}
+
+// Add a flat outline (bookmarks) with one entry per { title, pageIndex }
+function addOutline(pdfDoc, entries) {
+  if (entries.length === 0) return;
+
+  const context = pdfDoc.context;
+  const pages = pdfDoc.getPages();
+  const outlineRef = context.nextRef();
+  const itemRefs = entries.map(() => context.nextRef());
 
-  const res = await fetch(proxyUrl, {
-    headers: { 'User-Agent': 'DuckDex-Bot/1.0' },
-    timeout: 30000,
+  entries.forEach((entry, i) => {
+    const item = context.obj({
+      Title: PDFHexString.fromText(entry.title),
+      Parent: outlineRef,
+      Dest: [pages[entry.pageIndex].ref, 'Fit']
+    });
+    if (i > 0) item.set(PDFName.of('Prev'), itemRefs[i - 1]);
+    if (i < entries.length - 1) item.set(PDFName.of('Next'), itemRefs[i + 1]);
+    context.assign(itemRefs[i], item);
   });
 
-  const buffer = await res.arrayBuffer();
+  context.assign(outlineRef, context.obj({
+    Type: 'Outlines',
+    First: itemRefs[0],
+    Last: itemRefs[itemRefs.length - 1],
+    Count: entries.length
+  }));
+  pdfDoc.catalog.set(PDFName.of('Outlines'), outlineRef);
+  pdfDoc.catalog.set(PDFName.of('PageMode'), PDFName.of('UseOutlines'));
+}
 
-  const jpegBuffer = await sharp(buffer)
-    .resize({ width: MAX_WIDTH, withoutEnlargement: true })
-    .jpeg({ quality, mozjpeg: true })
-    .toBuffer();
+// Record the reading profile in the document info, readable and as a machine key
+function setProfileInfo(pdfDoc, profile) {
+  pdfDoc.setSubject(`Reading profile: ${profile.name}`);
+  pdfDoc.getInfoDict().set(PDFName.of('ReadingProfile'), PDFHexString.fromText(profile.key));
+}
 
-  const meta = await sharp(jpegBuffer).metadata();
+// Title, author and genre keywords of a document; the creator is always the bot
+function setDocumentInfo(pdfDoc, { title, author, genres = [] }) {
+  if (title) pdfDoc.setTitle(title, { showInWindowTitleBar: true });
+  if (author) pdfDoc.setAuthor(author);
+  if (genres.length > 0) pdfDoc.setKeywords(genres);
+  pdfDoc.setCreator(PDF_CREATOR);
+}
 
-  return {
-    buffer: jpegBuffer,
-    width: meta.width,
-    height: meta.height,
-    pageNumber
-  };
+// Ask viewers to read right to left, two pages at a time for the rtl layout;
+// joined spreads are already two pages wide, so those are shown one at a time
+function setLayoutPreferences(pdfDoc, layout) {
+  if (layout === DEFAULT_LAYOUT) return;
+  pdfDoc.catalog.getOrCreateViewerPreferences().setReadingDirection(ReadingDirection.R2L);
+  pdfDoc.catalog.set(PDFName.of('PageLayout'), PDFName.of(PDF_LAYOUTS[layout].twoPage ? 'TwoPageRight' : 'SinglePage'));
 }
 
-// Build PDF from image objects
-async function buildPdf(imageObjects) {
+/**
+ * Build a PDF from image objects (JPEG, or PNG when image.format says so)
+ * @param {Array} imageObjects - Pages in reading order ({ buffer, width, height, format }, or `path` instead of
+ *   buffer for pages encoded to disk, which are read as they are embedded)
+ * @param {Object} [options]
+ * @param {Array} [options.outline] - Bookmarks: { title, pageIndex } with pageIndex an index into imageObjects
+ * @param {Object} [options.profile] - Reading profile recorded in the document info
+ * @param {string} [options.layout] - A key of PDF_LAYOUTS (default: single pages)
+ * @param {Object} [options.info] - Document info: { title, author, genres }
+ * @param {Object} [options.coverPage] - Generated cover page image, put before the pages with its own bookmark
+ * @param {boolean} [options.continued] - A later part of a split chapter, whose first page is not a cover
+ * @returns {Promise<Uint8Array>} - PDF bytes
+ */
+async function buildPdf(imageObjects, { outline = [], profile = getReadingProfile(), layout = DEFAULT_LAYOUT, info = {}, coverPage, continued = false } = {}) {
   const pdfDoc = await PDFDocument.create();
+  const images = coverPage ? [coverPage, ...imageObjects] : imageObjects;
+  const entries = coverPage
+    ? [{ title: 'Cover', pageIndex: 0 }, ...outline.map(entry => ({ ...entry, pageIndex: entry.pageIndex + 1 }))]
+    : outline;
+  // Chapters in a bundle start on a page of their own
+  const { sheets, sheetOf } = planSheets(images, layout, { cover: !continued, breaks: entries.map(entry => entry.pageIndex) });
 
-  for (const { buffer, width, height } of imageObjects) {
-    const img = await pdfDoc.embedJpg(buffer);
+  // Split spreads draw one image on two pages, so each image is embedded once
+  const embedded = [];
+  for (const { width, height, draws } of sheets) {
     const page = pdfDoc.addPage([width, height]);
-    page.drawImage(img, { x: 0, y: 0, width, height });
+    for (const draw of draws) {
+      const image = images[draw.image];
+      if (!embedded[draw.image]) {
+        const bytes = image.buffer || await fs.promises.readFile(image.path);
+        embedded[draw.image] = image.format === 'png' ? await pdfDoc.embedPng(bytes) : await pdfDoc.embedJpg(bytes);
+      }
+      page.drawImage(embedded[draw.image], { x: draw.x, y: 0, width: draw.width, height: draw.height });
+    }
   }
 
+  addOutline(pdfDoc, entries.map(entry => ({ ...entry, pageIndex: sheetOf[entry.pageIndex] })));
+  setDocumentInfo(pdfDoc, info);
+  setProfileInfo(pdfDoc, profile);
+  setLayoutPreferences(pdfDoc, layout);
   return await pdfDoc.save();
 }
 
-// Main function with size constraint logic
-async function createChapterPDF(chapterId, mangaTitle = 'Unknown', chapterNumber = 'Unknown') {
+// Cover art for generated cover pages; art that cannot be fetched is only left out
+async function fetchCoverArt(metadata, sourceName, signal) {
+  if (!metadata.cover) return null;
+  try {
+    return await downloadPage(metadata.cover, 0, sourceName, signal);
+  } catch (error) {
+    throwIfAborted(signal);
+    console.warn(`⚠️ Could not fetch cover: ${error.message}`);
+    return null;
+  }
+}
+
+// Unique path for a finished document in the temp folder. Jobs for the same chapter can run
+// side by side, so the readable file name is only what the upload is called, never the path
+function outputFile(filename) {
+  const outputDir = path.join(__dirname, 'temp');
+  if (!fs.existsSync(outputDir)) fs.mkdirSync(outputDir, { recursive: true });
+  return path.join(outputDir, `doc-${crypto.randomBytes(8).toString('hex')}${path.extname(filename)}`);
+}
+
+// Write a finished document to the temp folder
+function writeOutput(filename, bytes) {
+  const outputPath = outputFile(filename);
+  fs.writeFileSync(outputPath, bytes);
+  return outputPath;
+}
+
+// Strip characters that are not allowed in file names
+function safeFileName(name) {
+  return name.replace(/[\\/:*?"<>|]/g, '_').trim();
+}
+
+// 'Title - Ch 123' for a chapter of a known manga, else the chapter ID made safe for a file name
+function chapterBaseName(chapterId, mangaTitle, chapterNumber) {
+  const readable = mangaTitle !== 'Unknown' && chapterNumber !== 'Unknown'
+    ? safeFileName(`${mangaTitle} - Ch ${chapterNumber}`)
+    : '';
+  return readable || chapterId.replace(/[\\/]/g, '_');
+}
+
+// Document info and bookmark title of one chapter
+function chapterInfo(chapterId, mangaTitle, chapterNumber, metadata = {}) {
+  return {
+    title: mangaTitle !== 'Unknown' ? `${mangaTitle} - Chapter ${chapterNumber}` : `Chapter ${chapterId}`,
+    chapterTitle: chapterNumber !== 'Unknown' ? `Chapter ${chapterNumber}` : `Chapter ${chapterId}`,
+    author: metadata.author,
+    genres: metadata.genres
+  };
+}
+
+// Run fn over pages a few at a time (config.pdfPageConcurrency), so a long chapter
+// does not decode every page at once; the first failure is thrown
+async function mapPagesLimit(images, fn, signal) {
+  const results = await allSettledLimit(images, config.pdfPageConcurrency, async image => {
+    throwIfAborted(signal);
+    return await fn(image);
+  });
+  throwIfAborted(signal);
+
+  const failed = results.find(r => r.status === 'rejected');
+  if (failed) throw failed.reason;
+  return results.map(r => r.value);
+}
+
+// Pack pages into parts by their measured JPEG size and write one PDF per part;
+// a single part keeps the plain file name. The cover page and outline go in the
+// first part only, so the cover counts toward that part's size. Parts already
+// written are removed when a later one fails or the download is cancelled
+async function writePdfParts(baseName, images, { report = () => {}, signal, profile, layout, info = {}, coverPage, outline } = {}) {
+  const budget = MAX_PDF_MB * 1024 * 1024 * VOLUME_BUDGET;
+  const groups = [];
+  let current = [];
+  let bytes = coverPage ? byteLength([coverPage]) : 0;
+  for (const image of images) {
+    const size = byteLength([image]);
+    if (current.length > 0 && bytes + size > budget) {
+      groups.push(current);
+      current = [];
+      bytes = 0;
+    }
+    current.push(image);
+    bytes += size;
+  }
+  groups.push(current);
+
+  const parts = [];
+  let firstPage = 1;
+  try {
+    for (const [i, group] of groups.entries()) {
+      throwIfAborted(signal);
+      report({ type: 'building', part: i + 1, parts: groups.length });
+      const partOf = groups.length > 1 ? ` (Part ${i + 1} of ${groups.length})` : '';
+      const pdfBytes = await buildPdf(group, {
+        profile,
+        layout,
+        info: { ...info, title: info.title && `${info.title}${partOf}` },
+        ...(i === 0 ? { coverPage, outline } : { continued: true })
+      });
+      const filename = `${baseName}${partOf}.pdf`;
+      parts.push({
+        path: writeOutput(filename, pdfBytes),
+        filename,
+        totalPages: group.length,
+        size: +(pdfBytes.length / 1024 / 1024).toFixed(2),
+        firstPage,
+        lastPage: firstPage + group.length - 1
+      });
+      console.log(`📦 Part ${i + 1} of ${groups.length}: ${group.length} pages, ${(pdfBytes.length / 1024 / 1024).toFixed(2)} MB`);
+      firstPage += group.length;
+    }
+  } catch (error) {
+    for (const part of parts) {
+      if (fs.existsSync(part.path)) fs.unlinkSync(part.path);
+    }
+    throw error;
+  }
+  return parts;
+}
+
+/**
+ * Build one chapter as PDF. By default the JPEG quality is lowered until the
+ * file fits the upload limit; with options.quality, or a reading profile that
+ * is not JPEG, the pages are encoded once and split into "Part 1 of n" files
+ * instead. Either way a chapter that cannot fit in one file comes back in parts.
+ * @param {string} chapterId - Chapter ID
+ * @param {string} [mangaTitle] - Manga title
+ * @param {string} [chapterNumber] - Chapter number
+ * @param {Object} [options]
+ * @param {string} [options.source] - Manga source the chapter belongs to
+ * @param {Array} [options.pages] - Page list the caller already fetched
+ * @param {number} [options.quality] - JPEG quality to keep (one of SPLIT_QUALITIES)
+ * @param {string} [options.profile] - Reading profile, a key of READING_PROFILES (default: standard)
+ * @param {boolean} [options.slice] - Cut long webtoon strips into readable pages
+ * @param {boolean} [options.clean] - Trim page margins and leave out near-blank and repeated pages
+ * @param {string} [options.layout] - Page layout, a key of PDF_LAYOUTS (default: single pages)
+ * @param {Object} [options.metadata] - Manga details for the document info and cover page: { author, genres, cover }
+ * @param {boolean} [options.coverPage] - Start the PDF with a generated page showing the cover art and chapter
+ * @param {Function} [options.onProgress] - Called with progress events: { type: 'attempt', quality, attempt }
+ *   when a quality pass starts, { type: 'fetched' | 'compressed', done, total } per page and
+ *   { type: 'building', part, parts } while the PDF is assembled
+ * @param {AbortSignal} [options.signal] - Cancels page downloads and stops before the next image or file step
+ * @param {string} [options.cacheId] - Page cache kept by an earlier build of this chapter (its result's cacheId)
+ * @param {Array<number>} [options.retryPages] - With cacheId, the only pages to download again
+ * @returns {Promise<Object>} - { parts: [{ path, filename, totalPages, size, firstPage, lastPage }], totalPages, quality, size,
+ *   profile, missingPages, removedPages, cacheId }; each part is written to a unique temp path and filename is the
+ *   readable name to upload it under. quality is null for profiles that are not JPEG. Pages that kept failing are
+ *   placeholders listed in missingPages, and their page cache is kept under cacheId so a retry only has to fetch
+ *   those. removedPages lists the pages cleanup left out ({ page, reason: 'blank' | 'duplicate', of })
+ */
+async function createChapterPDF(chapterId, mangaTitle = 'Unknown', chapterNumber = 'Unknown', options = {}) {
   console.log(`📚 Starting PDF for ${chapterId}`);
 
-  const pages = await getChapterPages(chapterId);
+  const pages = options.pages || await getChapterPages(chapterId, options.source);
   if (!pages || pages.length === 0) throw new Error('No pages found');
 
-  let quality = 85;
-  let pdfBytes;
-  let imageObjects = [];
+  const baseName = chapterBaseName(chapterId, mangaTitle, chapterNumber);
+  const report = options.onProgress || (() => {});
+  const profile = getReadingProfile(options.profile);
+  const layout = PDF_LAYOUTS[options.layout] ? options.layout : DEFAULT_LAYOUT;
+  const metadata = options.metadata || {};
+  const { chapterTitle, ...info } = chapterInfo(chapterId, mangaTitle, chapterNumber, metadata);
+  const hooks = { report, signal: options.signal, profile, layout, info };
+  const cache = createPageCache(pages, options.source, { ...hooks, id: options.cacheId, slice: options.slice, clean: options.clean });
+  // Dithered and original pages have no quality to lower
+  const jpeg = profile.format === 'jpeg';
+  let quality = jpeg ? options.quality : null;
+  let parts;
+  let missingPages = [];
+  let keepCache = false;
+
+  try {
+    // Originals are fetched once; every quality pass re-encodes from the cache
+    report({ type: 'attempt', quality: jpeg ? quality || 85 : null, attempt: 1 });
+    missingPages = await cache.download({ only: options.retryPages, placeholders: true });
+    if (missingPages.length > 0) {
+      console.warn(`⚠️ ${missingPages.length} of ${pages.length} pages unavailable, using placeholders: ${missingPages.join(', ')}`);
+    }
+
+    const coverArt = options.coverPage
+      ? await renderCoverPage({
+        title: mangaTitle !== 'Unknown' ? mangaTitle : chapterId,
+        subtitle: chapterTitle,
+        author: metadata.author,
+        genres: metadata.genres,
+        art: await fetchCoverArt(metadata, options.source, options.signal)
+      })
+      : null;
+    // The cover is encoded with the pages, so it shrinks with them on every quality pass
+    const withCover = async q => {
+      if (!coverArt) return {};
+      return { coverPage: await encodePage(coverArt, profile, q), outline: [{ title: chapterTitle, pageIndex: 0 }] };
+    };
+
+    if (quality || !jpeg) {
+      console.log(`🧪 Keeping ${quality ? `quality ${quality}` : `the ${profile.name} profile`}, splitting into parts if needed`);
+      parts = await writePdfParts(baseName, await cache.encode(quality), { ...hooks, ...await withCover(quality) });
+    } else {
+      const budget = MAX_PDF_MB * 1024 * 1024 * VOLUME_BUDGET;
+      let imageObjects = [];
+      let cover = {};
+      let bytes = 0;
 
-  // Retry loop to hit size limit
-  for (; quality >= 20; quality -= 10) {
-    console.log(`🧪 Trying compression at quality: ${quality}`);
-    const results = await Promise.allSettled(
-      pages.map(p => fetchAndCompressImage(p.imageUrl, p.page, quality))
-    );
+      // Lower the quality until the encoded pages fit the upload limit, measured on disk so
+      // no pass has to build the whole PDF in memory; the document is built once at the end
+      for (let q = 85, attempt = 1; q >= 20; q -= 10, attempt++) {
+        quality = q;
+        console.log(`🧪 Trying compression at quality: ${q}`);
+        if (attempt > 1) report({ type: 'attempt', quality: q, attempt });
+        imageObjects = await cache.encode(q);
+        cover = await withCover(q);
+        throwIfAborted(options.signal);
 
-    imageObjects = results
-      .filter(r => r.status === 'fulfilled')
-      .map(r => r.value);
+        bytes = byteLength(cover.coverPage ? [cover.coverPage, ...imageObjects] : imageObjects);
+        console.log(`📦 Encoded pages at quality ${q}: ${(bytes / 1024 / 1024).toFixed(2)} MB`);
+        if (bytes <= budget) break;
+      }
 
-    if (imageObjects.length < pages.length) {
-      console.warn(`⚠️ Some pages failed to process. Aborting.`);
-      break;
+      // Still too big at the lowest quality: a file Telegram refuses helps nobody, so it goes in parts
+      if (bytes > budget) {
+        console.warn(`⚠️ Pages are over ${MAX_PDF_MB} MB at quality ${quality}, splitting into parts`);
+      }
+      parts = await writePdfParts(baseName, imageObjects, { ...hooks, ...cover });
     }
 
-    pdfBytes = await buildPdf(imageObjects);
-    const sizeMB = pdfBytes.length / 1024 / 1024;
+    // Keep the pages that did arrive, so retrying the missing ones does not fetch the chapter again
+    keepCache = missingPages.length > 0;
+  } finally {
+    if (keepCache) cache.keep();
+    else cache.dispose();
+  }
 
-    console.log(`📦 PDF size at quality ${quality}: ${sizeMB.toFixed(2)} MB`);
+  const size = +parts.reduce((sum, part) => sum + part.size, 0).toFixed(2);
+  // Sliced strips make more PDF pages than the source listed
+  const totalPages = parts.reduce((sum, part) => sum + part.totalPages, 0);
+  console.log(`🎉 PDF saved: ${parts.map(part => part.filename).join(', ')}`);
+  console.log(`📊 Profile: ${profile.name}, Final quality: ${quality || 'n/a'}, Pages: ${totalPages}, Size: ${size} MB`);
 
-    if (sizeMB <= MAX_PDF_MB) break;
+  return {
+    parts,
+    totalPages,
+    quality,
+    size,
+    profile: profile.key,
+    missingPages,
+    removedPages: cache.removedPages(),
+    cacheId: keepCache ? cache.id : null
+  };
+}
+
+// Fetch every page of one chapter at a fixed quality; a range PDF cannot leave holes, so a failed page
+// fails the chapter unless download.placeholders stands it in. chapter.pages reuses a page list the caller
+// already fetched; hooks as in createPageCache (id, profile, slice, clean, signal, report), download as in
+// cache.download (only, placeholders). Resolves to { cache, images, removedPages, missingPages } with the
+// chapter number on every removed and missing page; the encoded pages live in the cache, which the caller
+// keeps or disposes once they are written out
+async function fetchChapterImages(chapter, quality, sourceName, hooks = {}, download = {}) {
+  const pages = chapter.pages || await getChapterPages(chapter.id, sourceName);
+  if (!pages || pages.length === 0) throw new Error(`No pages found for chapter ${chapter.chapter}`);
+
+  const cache = createPageCache(pages, sourceName, hooks);
+  try {
+    const failed = await cache.download(download);
+    if (failed.length > 0 && !download.placeholders) {
+      throw new Error(`${failed.length} of ${pages.length} pages failed in chapter ${chapter.chapter}`);
+    }
+    if (failed.length > 0) {
+      console.warn(`⚠️ ${failed.length} of ${pages.length} pages of chapter ${chapter.chapter} unavailable, using placeholders: ${failed.join(', ')}`);
+    }
+    return {
+      cache,
+      images: await cache.encode(quality),
+      removedPages: cache.removedPages().map(removed => ({ chapter: chapter.chapter, ...removed })),
+      missingPages: failed.map(page => ({ chapter: chapter.chapter, page }))
+    };
+  } catch (error) {
+    cache.dispose();
+    throw error;
   }
+}
 
-  // Sanitize chapterId to avoid nested directories like manga/title
-  const safeId = chapterId.replace(/[\\/]/g, '_');
-  const filename = `${safeId}.pdf`;
-  const outputDir = path.join(__dirname, 'temp');
-  if (!fs.existsSync(outputDir)) fs.mkdirSync(outputDir, { recursive: true });
-  const outputPath = path.join(outputDir, filename);
+// Re-encode chapters from their page caches at lower qualities until they fit the byte budget
+// (or quality bottoms out); only JPEG profiles can shrink. Resolves to { images, quality } with
+// images one list of pages per cache
+async function shrinkChapters(caches, images, budget, quality, signal, profile = getReadingProfile()) {
+  let shrunk = images;
+  let finalQuality = quality;
+  if (profile.format !== 'jpeg') return { images: shrunk, quality: finalQuality };
+
+  for (let q = quality - 10; q >= 20 && byteLength(shrunk.flat()) > budget; q -= 10) {
+    throwIfAborted(signal);
+    console.log(`🧪 Re-encoding oversized pages at quality: ${q}`);
+    shrunk = [];
+    for (const cache of caches) {
+      shrunk.push(await cache.encode(q));
+    }
+    finalQuality = q;
+  }
+  return { images: shrunk, quality: finalQuality };
+}
+
+// Bytes of encoded pages, whether held in memory or written to disk
+function byteLength(images) {
+  return images.reduce((sum, image) => sum + (image.buffer ? image.buffer.length : image.size), 0);
+}
+
+/**
+ * Build several chapters into bundled PDFs with one outline entry per chapter.
+ * Chapters are packed into volumes that stay under the upload limit; a chapter
+ * is never split across volumes, and one that is too big on its own is
+ * re-encoded at a lower quality.
+ * @param {Array} chapters - Chapters in reading order ({ id, chapter })
+ * @param {string} mangaTitle - Manga title, used in outline and file names
+ * @param {Object} [options]
+ * @param {string} [options.source] - Manga source the chapters belong to
+ * @param {string} [options.profile] - Reading profile, a key of READING_PROFILES (default: standard)
+ * @param {boolean} [options.slice] - Cut long webtoon strips into readable pages
+ * @param {boolean} [options.clean] - Trim page margins and leave out near-blank and repeated pages
+ * @param {string} [options.layout] - Page layout, a key of PDF_LAYOUTS (default: single pages)
+ * @param {Object} [options.metadata] - Manga details for the document info and cover pages: { author, genres, cover }
+ * @param {boolean} [options.coverPage] - Start every volume with a generated page showing the cover art and its chapters
+ * @param {AbortSignal} [options.signal] - Cancels the export; finished volumes are removed
+ * @returns {Promise<Object>} - { volumes: [{ path, filename, totalPages, size, firstChapter, lastChapter, chapterCount,
+ *   removedPages }], totalPages } with removedPages the pages cleanup left out ({ chapter, page, reason, of })
+ */
+async function createRangePDF(chapters, mangaTitle = 'Unknown', options = {}) {
+  if (!chapters || chapters.length === 0) throw new Error('No chapters selected');
+  console.log(`📚 Starting range PDF for ${mangaTitle}: ${chapters.length} chapters`);
+
+  const budget = MAX_PDF_MB * 1024 * 1024 * VOLUME_BUDGET;
+  const baseName = safeFileName(mangaTitle) || 'Manga';
+  const profile = getReadingProfile(options.profile);
+  const layout = PDF_LAYOUTS[options.layout] ? options.layout : DEFAULT_LAYOUT;
+  const metadata = options.metadata || {};
+  const coverArt = options.coverPage ? await fetchCoverArt(metadata, options.source, options.signal) : null;
+  const finished = [];
+  let current = { images: [], outline: [], chapters: [], removedPages: [], caches: [] };
+
+  function chapterSpan(spanned) {
+    const first = spanned[0].chapter;
+    const last = spanned[spanned.length - 1].chapter;
+    return first === last ? `Chapter ${first}` : `Chapters ${first}-${last}`;
+  }
+
+  async function renderVolumeCover(span) {
+    const cover = await renderCoverPage({ title: mangaTitle, subtitle: span, author: metadata.author, genres: metadata.genres, art: coverArt });
+    return encodePage(cover, profile, RANGE_QUALITY);
+  }
+
+  // Every volume opens with a cover, so its bytes come off the budget for pages; the
+  // whole range's span is the longest subtitle any volume's cover can get
+  const pageBudget = budget - (options.coverPage ? byteLength([await renderVolumeCover(chapterSpan(chapters))]) : 0);
+
+  // Encoded pages stay in their chapter's page cache until the volume they are in is written
+  function disposeCaches() {
+    for (const cache of current.caches) cache.dispose();
+  }
+
+  // Volumes go to disk as soon as they are full, reading their pages from the page caches one at a time
+  async function finishVolume() {
+    const first = current.chapters[0].chapter;
+    const last = current.chapters[current.chapters.length - 1].chapter;
+    const span = chapterSpan(current.chapters);
+    const coverPage = options.coverPage ? await renderVolumeCover(span) : undefined;
+    const pdfBytes = await buildPdf(current.images, {
+      outline: current.outline,
+      profile,
+      layout,
+      info: { title: `${mangaTitle} - ${span}`, author: metadata.author, genres: metadata.genres },
+      coverPage
+    });
+    finished.push({
+      path: writeOutput(`${baseName}.pdf`, pdfBytes),
+      bytes: pdfBytes.length,
+      totalPages: current.images.length,
+      firstChapter: first,
+      lastChapter: last,
+      chapterCount: current.chapters.length,
+      removedPages: current.removedPages
+    });
+    console.log(`📦 Volume ${finished.length}: ${current.chapters.length} chapters, ${(pdfBytes.length / 1024 / 1024).toFixed(2)} MB`);
+    disposeCaches();
+    current = { images: [], outline: [], chapters: [], removedPages: [], caches: [] };
+  }
 
-  fs.mkdirSync(path.dirname(outputPath), { recursive: true });
-  fs.writeFileSync(outputPath, pdfBytes);
+  try {
+    for (const chapter of chapters) {
+      const fetched = await fetchChapterImages(chapter, RANGE_QUALITY, options.source, {
+        signal: options.signal,
+        slice: options.slice,
+        clean: options.clean,
+        profile
+      });
+      let { images } = fetched;
+      try {
+        if (byteLength(images) > pageBudget) {
+          [images] = (await shrinkChapters([fetched.cache], [images], pageBudget, RANGE_QUALITY, options.signal, profile)).images;
+        }
+        // A chapter is never split across volumes, so one that cannot shrink has to go on its own
+        if (byteLength(images) > pageBudget) {
+          throw new Error(`Chapter ${chapter.chapter} alone is over the ${MAX_PDF_MB} MB upload limit with the ${profile.name} profile. Download it on its own to get it in parts.`);
+        }
 
-  console.log(`🎉 PDF saved: ${filename}`);
-  console.log(`📊 Final quality: ${quality}, Pages: ${pages.length}, Size: ${(pdfBytes.length / 1024 / 1024).toFixed(2)} MB`);
+        if (current.images.length > 0 && byteLength(current.images) + byteLength(images) > pageBudget) {
+          await finishVolume();
+        }
+      } catch (error) {
+        fetched.cache.dispose();
+        throw error;
+      }
+
+      current.outline.push({ title: `Chapter ${chapter.chapter}`, pageIndex: current.images.length });
+      current.images.push(...images);
+      current.chapters.push(chapter);
+      current.removedPages.push(...fetched.removedPages);
+      current.caches.push(fetched.cache);
+    }
+    throwIfAborted(options.signal);
+    await finishVolume();
+  } catch (error) {
+    disposeCaches();
+    for (const volume of finished) {
+      if (fs.existsSync(volume.path)) fs.unlinkSync(volume.path);
+    }
+    throw error;
+  }
+
+  // Names are picked once the volume count is known
+  const volumes = finished.map((volume, i) => {
+    const span = volume.firstChapter === volume.lastChapter
+      ? `Ch ${volume.firstChapter}`
+      : `Ch ${volume.firstChapter}-${volume.lastChapter}`;
+    const filename = safeFileName(finished.length > 1
+      ? `${baseName} - ${span} (Vol ${i + 1} of ${finished.length}).pdf`
+      : `${baseName} - ${span}.pdf`);
+    return {
+      path: volume.path,
+      filename,
+      totalPages: volume.totalPages,
+      size: +(volume.bytes / 1024 / 1024).toFixed(2),
+      firstChapter: volume.firstChapter,
+      lastChapter: volume.lastChapter,
+      chapterCount: volume.chapterCount,
+      removedPages: volume.removedPages
+    };
+  });
+
+  console.log(`🎉 Range PDF saved: ${volumes.length} volume(s)`);
+  return {
+    volumes,
+    totalPages: volumes.reduce((sum, volume) => sum + volume.totalPages, 0)
+  };
+}
+
+/**
+ * Build one or more chapters as a fixed-layout EPUB 3 book with the manga
+ * cover, a table of contents entry per chapter and one page per spine item.
+ * Pages come from the same fetch and compress pipeline as the PDF.
+ * @param {Array} chapters - Chapters in reading order ({ id, chapter, pages? })
+ * @param {string} [mangaTitle] - Manga title
+ * @param {Object} [options]
+ * @param {string} [options.source] - Manga source the chapters belong to
+ * @param {Object} [options.metadata] - Book metadata: { author, genres, summary, cover } with cover an image URL
+ * @param {string} [options.profile] - Reading profile, a key of READING_PROFILES (default: standard)
+ * @param {boolean} [options.slice] - Cut long webtoon strips into readable pages
+ * @param {boolean} [options.clean] - Trim page margins and leave out near-blank and repeated pages
+ * @param {AbortSignal} [options.signal] - Cancels the page downloads and stops before the book is written
+ * @param {Function} [options.onProgress] - Progress callback, receives page pipeline events per chapter
+ * @param {string} [options.cacheId] - Pages kept from an earlier build of the same single chapter
+ * @param {Array<number>} [options.retryPages] - Pages to fetch again when building a single chapter from cacheId
+ * @returns {Promise<Object>} - { path, filename, totalPages, quality, profile, size, removedPages, missingPages, cacheId }
+ *   with removedPages the pages cleanup left out ({ chapter, page, reason, of }), missingPages the pages that
+ *   could not be downloaded and show as placeholders ({ chapter, page }), and cacheId set when a single
+ *   chapter book has missing pages and its downloaded pages are kept for a retry
+ */
+async function createEPUB(chapters, mangaTitle = 'Unknown', options = {}) {
+  if (!chapters || chapters.length === 0) throw new Error('No chapters selected');
+  console.log(`📚 Starting EPUB for ${mangaTitle}: ${chapters.length} chapter(s)`);
+
+  const metadata = options.metadata || {};
+  const budget = MAX_PDF_MB * 1024 * 1024 * VOLUME_BUDGET;
+  const profile = getReadingProfile(options.profile);
+  const quality = 85;
+  const first = chapters[0].chapter;
+  const last = chapters[chapters.length - 1].chapter;
+  const span = chapters.length === 1 ? `Chapter ${first}` : `Chapters ${first}-${last}`;
+  const filename = chapters.length === 1
+    ? `${chapterBaseName(chapters[0].id, mangaTitle, chapters[0].chapter)}.epub`
+    : `${safeFileName(mangaTitle) || 'Manga'} - Ch ${first}-${last}.epub`;
+  let finalQuality = quality;
+  let outputPath = null;
+  let size;
+
+  const contents = [];
+  const removedPages = [];
+  const missingPages = [];
+  // Encoded pages stay in the page caches until the book is written
+  const caches = [];
+  // Only a single chapter book offers a retry, so only its pages are taken up and kept again
+  const single = chapters.length === 1;
+  let keepCache = false;
+  try {
+    for (const chapter of chapters) {
+      const fetched = await fetchChapterImages(chapter, quality, options.source, {
+        id: single ? options.cacheId : undefined,
+        signal: options.signal,
+        report: options.onProgress,
+        slice: options.slice,
+        clean: options.clean,
+        profile
+      }, { only: single ? options.retryPages : undefined, placeholders: true });
+      caches.push(fetched.cache);
+      contents.push({ title: `Chapter ${chapter.chapter}`, images: fetched.images });
+      removedPages.push(...fetched.removedPages);
+      missingPages.push(...fetched.missingPages);
+    }
+
+    // A missing cover is not worth failing the book over
+    let cover = null;
+    if (metadata.cover) {
+      try {
+        cover = await fetchAndCompressImage(metadata.cover, 0, quality, options.source, { signal: options.signal, profile });
+      } catch (error) {
+        throwIfAborted(options.signal);
+        console.warn(`⚠️ Could not fetch cover: ${error.message}`);
+      }
+    }
+
+    if (byteLength(contents.flatMap(chapter => chapter.images)) > budget) {
+      const shrunk = await shrinkChapters(caches, contents.map(chapter => chapter.images), budget, quality, options.signal, profile);
+      contents.forEach((chapter, i) => { chapter.images = shrunk.images[i]; });
+      if (byteLength(contents.flatMap(chapter => chapter.images)) > budget) {
+        throw new Error(`The EPUB would be over the ${MAX_PDF_MB} MB upload limit. Try fewer chapters.`);
+      }
+      finalQuality = shrunk.quality;
+    }
+
+    throwIfAborted(options.signal);
+    outputPath = outputFile(filename);
+    const bytes = await writeEpub({
+      title: mangaTitle !== 'Unknown' ? `${mangaTitle} - ${span}` : span,
+      author: metadata.author,
+      genres: metadata.genres,
+      summary: metadata.summary,
+      identifierSeed: chapters.map(chapter => chapter.id).join('\n'),
+      profile,
+      cover,
+      chapters: contents
+    }, outputPath);
+    size = +(bytes / 1024 / 1024).toFixed(2);
+
+    // Keep the pages that did arrive, so retrying the missing ones does not fetch the chapter again
+    keepCache = single && missingPages.length > 0;
+  } catch (error) {
+    if (outputPath && fs.existsSync(outputPath)) fs.unlinkSync(outputPath);
+    throw error;
+  } finally {
+    for (const cache of caches) {
+      if (keepCache) cache.keep();
+      else cache.dispose();
+    }
+  }
+
+  const totalPages = contents.reduce((sum, chapter) => sum + chapter.images.length, 0);
+  console.log(`🎉 EPUB saved: ${filename}`);
+  console.log(`📊 Profile: ${profile.name}, Final quality: ${profile.format === 'jpeg' ? finalQuality : 'n/a'}, Pages: ${totalPages}, Size: ${size} MB`);
+
+  return {
+    path: outputPath,
+    filename,
+    totalPages,
+    quality: profile.format === 'jpeg' ? finalQuality : null,
+    profile: profile.key,
+    size,
+    removedPages,
+    missingPages,
+    cacheId: keepCache ? caches[0].id : null
+  };
+}
+
+/**
+ * Build one chapter as a CBZ archive with ComicInfo.xml.
+ * Pages go through the page cache like PDF pages (a few at a time, with
+ * retries and placeholders) and keep their original bytes, order and file
+ * names; only when the archive would be over the upload limit are they
+ * re-encoded to JPEG. The archive is streamed to disk from the cached files.
+ * @param {string} chapterId - Chapter ID
+ * @param {string} [mangaTitle] - Manga title
+ * @param {string} [chapterNumber] - Chapter number
+ * @param {Object} [options]
+ * @param {string} [options.source] - Manga source the chapter belongs to
+ * @param {Array} [options.pages] - Page list the caller already fetched
+ * @param {Object} [options.metadata] - Details for ComicInfo.xml: { author, genres, summary }
+ * @param {Function} [options.onProgress] - Called with { type: 'fetched' | 'compressed', done, total } per page
+ * @param {AbortSignal} [options.signal] - Cancels the page downloads and any re-encoding
+ * @param {string} [options.cacheId] - Page cache kept by an earlier build of this chapter (its result's cacheId)
+ * @param {Array<number>} [options.retryPages] - With cacheId, the only pages to download again
+ * @returns {Promise<Object>} - { path, filename, totalPages, quality, size, missingPages, cacheId }, quality
+ *   'original' when untouched; as with createChapterPDF, pages that kept failing are placeholders listed in
+ *   missingPages and the page cache is kept under cacheId for a retry
+ */
+async function createChapterCBZ(chapterId, mangaTitle = 'Unknown', chapterNumber = 'Unknown', options = {}) {
+  console.log(`📚 Starting CBZ for ${chapterId}`);
+
+  const pages = options.pages || await getChapterPages(chapterId, options.source);
+  if (!pages || pages.length === 0) throw new Error('No pages found');
+
+  const filename = `${chapterBaseName(chapterId, mangaTitle, chapterNumber)}.cbz`;
+  const metadata = options.metadata || {};
+  // With the default (standard) profile, pages that have to be re-encoded become JPEGs at most MAX_WIDTH wide
+  const cache = createPageCache(pages, options.source, { id: options.cacheId, signal: options.signal, report: options.onProgress });
+  let quality = 'original';
+  let missingPages = [];
+  let keepCache = false;
+  let outputPath;
+  let bytes;
+
+  try {
+    missingPages = await cache.download({ only: options.retryPages, placeholders: true });
+    if (missingPages.length > 0) {
+      console.warn(`⚠️ ${missingPages.length} of ${pages.length} pages unavailable, using placeholders: ${missingPages.join(', ')}`);
+    }
+
+    const originals = await mapPagesLimit(cache.originals(),
+      async image => ({ ...image, name: await originalName(image) }), options.signal);
+    const names = archiveNames(originals);
+    const comicInfo = createComicInfoXml({
+      series: mangaTitle,
+      number: chapterNumber,
+      writer: metadata.author,
+      genres: metadata.genres,
+      summary: metadata.summary,
+      web: getSource(options.source).readUrl(chapterId),
+      pageCount: originals.length
+    });
+
+    outputPath = outputFile(filename);
+    bytes = await writeCbz(outputPath, originals.map((image, i) => ({ name: names[i], path: image.path })), comicInfo);
+
+    // Too big to upload as is: re-encode from the cached originals
+    for (let q = 85; q >= 20 && bytes / 1024 / 1024 > MAX_PDF_MB; q -= 10) {
+      throwIfAborted(options.signal);
+      console.log(`🧪 Trying CBZ compression at quality: ${q}`);
+      const images = await cache.encode(q);
+      quality = q;
+      bytes = await writeCbz(outputPath, images.map((image, i) => ({
+        name: `${path.basename(names[i], path.extname(names[i]))}.jpg`,
+        path: image.path
+      })), comicInfo);
+    }
+    throwIfAborted(options.signal);
+
+    // Keep the pages that did arrive, so retrying the missing ones does not fetch the chapter again
+    keepCache = missingPages.length > 0;
+  } catch (error) {
+    if (outputPath && fs.existsSync(outputPath)) fs.unlinkSync(outputPath);
+    throw error;
+  } finally {
+    if (keepCache) cache.keep();
+    else cache.dispose();
+  }
+
+  const size = +(bytes / 1024 / 1024).toFixed(2);
+  console.log(`🎉 CBZ saved: ${filename}`);
+  console.log(`📊 Final quality: ${quality}, Pages: ${pages.length}, Size: ${size} MB`);
 
   return {
     path: outputPath,
     filename,
     totalPages: pages.length,
     quality,
-    size: +(pdfBytes.length / 1024 / 1024).toFixed(2)
+    size,
+    missingPages,
+    cacheId: keepCache ? cache.id : null
   };
 }
 
 /**
- * Cleanup temp folder
+ * Cleanup temp folder: files and page caches older than an hour, except the
+ * page caches of running jobs and those kept for an unexpired retry button
  */
 function cleanupTempFiles() {
   const dir = path.join(__dirname, 'temp');
   if (!fs.existsSync(dir)) return;
 
   const cutoff = Date.now() - 60 * 60 * 1000;
-  fs.readdirSync(dir).forEach(file => {
+  for (const file of fs.readdirSync(dir)) {
+    if (file === '.gitkeep' || isCacheInUse(file)) continue;
     const f = path.join(dir, file);
-    const stat = fs.statSync(f);
-    
-    if (file !== '.gitkeep' && stat.mtimeMs < cutoff) {
-      fs.unlinkSync(f);
+    try {
+      if (fs.statSync(f).mtimeMs >= cutoff) continue;
+      // Page caches of jobs that never finished are folders
+      fs.rmSync(f, { recursive: true, force: true });
       console.log(`🧹 Removed old file: ${file}`);
+    } catch (error) {
+      // Another job may have removed it meanwhile
+      if (error.code !== 'ENOENT') console.warn(`⚠️ Could not remove ${file}: ${error.message}`);
     }
-  });
+  }
 }
 
 module.exports = {
   createChapterPDF,
+  createChapterCBZ,
+  createEPUB,
+  createRangePDF,
   getChapterPages,
+  disposeKeptCache,
+  EXPORT_FORMATS,
+  SPLIT_QUALITIES,
+  READING_PROFILES,
+  PDF_LAYOUTS,
   cleanupTempFiles
 };
@@ -0,0 +1,64 @@
+const { getStore } = require('./storage');
+
+/**
+ * Per-chat preferences (selected source, output options, ...), kept forever
+ */
+const preferencesStore = getStore('chat-preferences');
+
+/**
+ * Per-user preferences (download format, ...) that follow a user into every chat, kept forever
+ */
+const userPreferencesStore = getStore('user-preferences');
+
+/**
+ * Get a chat preference
+ * @param {number|string} chatId - Chat ID
+ * @param {string} key - Preference name
+ * @param {*} fallback - Value returned when the preference is not set
+ * @returns {*} - Preference value or fallback
+ */
+function getChatPreference(chatId, key, fallback = null) {
+  const prefs = preferencesStore.get(chatId);
+  return prefs && prefs[key] !== undefined ? prefs[key] : fallback;
+}
+
+/**
+ * Set a chat preference
+ * @param {number|string} chatId - Chat ID
+ * @param {string} key - Preference name
+ * @param {*} value - Preference value
+ */
+function setChatPreference(chatId, key, value) {
+  const prefs = preferencesStore.get(chatId) || {};
+  preferencesStore.set(chatId, { ...prefs, [key]: value });
+}
+
+/**
+ * Get a user preference
+ * @param {number|string} userId - User ID
+ * @param {string} key - Preference name
+ * @param {*} fallback - Value returned when the preference is not set
+ * @returns {*} - Preference value or fallback
+ */
+function getUserPreference(userId, key, fallback = null) {
+  const prefs = userPreferencesStore.get(userId);
+  return prefs && prefs[key] !== undefined ? prefs[key] : fallback;
+}
+
+/**
+ * Set a user preference
+ * @param {number|string} userId - User ID
+ * @param {string} key - Preference name
+ * @param {*} value - Preference value
+ */
+function setUserPreference(userId, key, value) {
+  const prefs = userPreferencesStore.get(userId) || {};
+  userPreferencesStore.set(userId, { ...prefs, [key]: value });
+}
+
+module.exports = {
+  getChatPreference,
+  setChatPreference,
+  getUserPreference,
+  setUserPreference
+};
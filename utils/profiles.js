@@ -0,0 +1,121 @@
+const fs = require('fs');
+const sharp = require('sharp');
+
+/**
+ * Reading profiles: how page images are sized and encoded for the screen a
+ * download will be read on. JPEG profiles work with the quality loop of the
+ * PDF builder; e-ink pages are dithered PNGs and archival pages keep the
+ * source's bytes, so those are never re-encoded to fit and are split into
+ * parts instead.
+ */
+
+// Kindle Paperwhite / Kobo Clara class screens
+const EINK_WIDTH = 1072;
+const EINK_HEIGHT = 1448;
+
+// E-ink panels show 16 shades of grey; more only adds banding after the device dithers again
+const EINK_LEVELS = 16;
+
+// Contrast boost around mid-grey, so pale scans do not wash out on e-ink
+const EINK_CONTRAST = 1.15;
+
+const READING_PROFILES = {
+  standard: {
+    name: 'Standard',
+    description: 'Colour pages 1200px wide',
+    format: 'jpeg',
+    maxWidth: 1200
+  },
+  phone: {
+    name: 'Phone',
+    description: 'Narrow 720px pages that load fast on mobile data',
+    format: 'jpeg',
+    maxWidth: 720
+  },
+  tablet: {
+    name: 'Tablet',
+    description: 'Sharp 1600px pages for big screens',
+    format: 'jpeg',
+    maxWidth: 1600
+  },
+  eink: {
+    name: 'E-ink',
+    description: `${EINK_LEVELS}-level grayscale, dithered and contrast-boosted for ${EINK_WIDTH}×${EINK_HEIGHT} e-readers`,
+    format: 'png',
+    maxWidth: EINK_WIDTH,
+    maxHeight: EINK_HEIGHT,
+    grayscale: true
+  },
+  archival: {
+    name: 'Archival',
+    description: 'Original resolution; JPEG and PNG pages are kept byte for byte, anything else becomes lossless PNG',
+    format: 'original'
+  }
+};
+
+const DEFAULT_PROFILE = 'standard';
+
+/**
+ * Look up a reading profile
+ * @param {string} [key] - A key of READING_PROFILES
+ * @returns {Object} - The profile with its key; the default profile for unknown keys
+ */
+function getReadingProfile(key) {
+  // Own keys only: a stored or typed 'constructor' is not a profile
+  const known = Object.hasOwn(READING_PROFILES, key) ? key : DEFAULT_PROFILE;
+  return { key: known, ...READING_PROFILES[known] };
+}
+
+/**
+ * Encode one page image for a reading profile
+ * @param {Buffer|string|Object} input - Image bytes, a file path, or a sharp pipeline (e.g. a strip slice)
+ * @param {Object} profile - Profile from getReadingProfile
+ * @param {number} [quality] - JPEG quality; ignored by PNG and original profiles
+ * @returns {Promise<Object>} - { buffer, width, height, format } with format 'jpeg' or 'png'
+ */
+async function encodePage(input, profile, quality = 85) {
+  const isPipeline = input instanceof sharp;
+
+  if (profile.format === 'original' && !isPipeline) {
+    const { format, width, height } = await sharp(input).metadata();
+    if (format === 'jpeg' || format === 'png') {
+      const buffer = Buffer.isBuffer(input) ? input : await fs.promises.readFile(input);
+      return { buffer, width, height, format };
+    }
+  }
+
+  let pipeline = isPipeline ? input : sharp(input);
+  if (profile.format !== 'original') {
+    pipeline = pipeline.resize({
+      width: profile.maxWidth,
+      height: profile.maxHeight,
+      fit: 'inside',
+      withoutEnlargement: true
+    });
+  }
+
+  if (profile.grayscale) {
+    pipeline = pipeline
+      .greyscale()
+      .normalise({ lower: 1, upper: 99 })
+      .linear(EINK_CONTRAST, 128 * (1 - EINK_CONTRAST));
+  }
+
+  if (profile.format === 'jpeg') {
+    pipeline = pipeline.jpeg({ quality, mozjpeg: true });
+  } else if (profile.grayscale) {
+    pipeline = pipeline.png({ palette: true, colours: EINK_LEVELS, dither: 1, compressionLevel: 9 });
+  } else {
+    pipeline = pipeline.png({ compressionLevel: 9 });
+  }
+
+  const { data, info } = await pipeline.toBuffer({ resolveWithObject: true });
+  return { buffer: data, width: info.width, height: info.height, format: info.format === 'jpeg' ? 'jpeg' : 'png' };
+}
+
+module.exports = {
+  READING_PROFILES,
+  DEFAULT_PROFILE,
+  getReadingProfile,
+  encodePage
+};
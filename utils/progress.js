@@ -0,0 +1,161 @@
+const config = require('./config');
+
+/**
+ * Live progress for long downloads. Progress events from the PDF builder are
+ * folded into one state and rendered as a status text with a progress bar and
+ * an ETA. Renders are throttled to one per interval so status edits stay
+ * inside Telegram's rate limits; the latest state is always rendered last.
+ */
+
+const BAR_WIDTH = 10;
+
+/**
+ * Render a text progress bar
+ * @param {number} fraction - Progress from 0 to 1
+ * @param {number} [width] - Bar width in characters
+ * @returns {string} - e.g. '▓▓▓▓░░░░░░ 40%'
+ */
+function progressBar(fraction, width = BAR_WIDTH) {
+  const clamped = Math.min(Math.max(fraction, 0), 1);
+  const filled = Math.round(clamped * width);
+  return `${'▓'.repeat(filled)}${'░'.repeat(width - filled)} ${Math.floor(clamped * 100)}%`;
+}
+
+/**
+ * Format a duration for humans
+ * @param {number} ms - Duration in milliseconds
+ * @returns {string} - e.g. '45s' or '2m 05s'
+ */
+function formatDuration(ms) {
+  const total = Math.max(Math.round(ms / 1000), 1);
+  const minutes = Math.floor(total / 60);
+  const secs = total % 60;
+  return minutes > 0 ? `${minutes}m ${String(secs).padStart(2, '0')}s` : `${secs}s`;
+}
+
+function formatProgress(title, state, now) {
+  const lines = [title, ''];
+
+  if (state.stage === 'uploading') {
+    lines.push(`✅ ${state.totalPages} pages • ${state.size} MB`);
+    lines.push(state.parts > 1 ? `📤 Uploading part ${state.part} of ${state.parts}...` : '📤 Uploading...');
+    return lines.join('\n');
+  }
+
+  if (state.stage === 'building') {
+    lines.push(progressBar(1));
+    lines.push(state.parts > 1 ? `📦 Building part ${state.part} of ${state.parts}...` : '📦 Building file...');
+  } else if (state.total > 0) {
+    // Every page is fetched, then compressed: two steps each. Later quality
+    // attempts re-encode cached pages, so they start with every fetch done
+    const steps = state.total * 2;
+    const done = state.fetched + state.compressed;
+    lines.push(progressBar(done / steps));
+    lines.push(`📥 Fetched ${state.fetched}/${state.total} • 🗜️ Compressed ${state.compressed}/${state.total}`);
+    const doneThisAttempt = done - state.doneAtAttemptStart;
+    if (doneThisAttempt > 0 && done < steps) {
+      const elapsed = now - state.attemptStartedAt;
+      lines.push(`⏱️ About ${formatDuration(elapsed * (steps - done) / doneThisAttempt)} left`);
+    }
+  } else {
+    lines.push(progressBar(0));
+  }
+
+  if (state.quality) {
+    lines.push(state.attempt > 1
+      ? `🧪 Quality ${state.quality} (attempt ${state.attempt})`
+      : `🧪 Quality ${state.quality}`);
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * Track a download's progress and keep its status text up to date
+ * @param {Object} options
+ * @param {string} options.title - First line of the status, e.g. 'Generating PDF for *Title*...'
+ * @param {Function} options.render - (text) => void, called with every new status text
+ * @param {number} [options.interval] - Least time between two throttled renders, in ms
+ * @returns {Object} - { handle(event), stop() }; handle takes the events emitted by createChapterPDF
+ *   ({ type: 'attempt' | 'fetched' | 'compressed' | 'building' }) and { type: 'uploading', part, parts, totalPages, size }
+ */
+function createProgressTracker({ title, render, interval = config.progressInterval }) {
+  const state = {
+    stage: 'pages',
+    fetched: 0,
+    compressed: 0,
+    total: 0,
+    quality: null,
+    attempt: 0,
+    attemptStartedAt: Date.now(),
+    doneAtAttemptStart: 0
+  };
+  let lastRender = 0;
+  let timer = null;
+  let stopped = false;
+
+  function renderNow() {
+    clearTimeout(timer);
+    timer = null;
+    lastRender = Date.now();
+    render(formatProgress(title, state, lastRender));
+  }
+
+  function renderThrottled() {
+    const wait = lastRender + interval - Date.now();
+    if (wait <= 0) {
+      renderNow();
+    } else if (!timer) {
+      timer = setTimeout(renderNow, wait);
+    }
+  }
+
+  function handle(event) {
+    if (stopped) return;
+
+    switch (event.type) {
+      case 'attempt':
+        Object.assign(state, {
+          stage: 'pages',
+          compressed: 0,
+          quality: event.quality,
+          attempt: event.attempt,
+          attemptStartedAt: Date.now(),
+          doneAtAttemptStart: state.fetched
+        });
+        break;
+      case 'fetched':
+        state.fetched = event.done;
+        state.total = event.total;
+        break;
+      case 'compressed':
+        state.compressed = event.done;
+        state.total = event.total;
+        break;
+      case 'building':
+      case 'uploading': {
+        const { type, ...details } = event;
+        Object.assign(state, details, { stage: type });
+        break;
+      }
+      default:
+        return;
+    }
+    renderThrottled();
+  }
+
+  // No renders after the job has moved on to its final message
+  function stop() {
+    stopped = true;
+    clearTimeout(timer);
+    timer = null;
+  }
+
+  return { handle, stop };
+}
+
+module.exports = {
+  createProgressTracker,
+  progressBar,
+  formatDuration
+};
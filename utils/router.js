@@ -0,0 +1,308 @@
+const { resolveCallbackToken } = require('./callbackTokens');
+const { sourceErrorText } = require('./http');
+const {
+  safeEditOrSend,
+  handleCallbackWithLoading,
+  DELETION_TIMEOUTS,
+  logger
+} = require('./deletion');
+
+/**
+ * Payload parsers turn the part of callback_data after the action name into
+ * a payload object. Returning null marks the data as invalid.
+ */
+const parsers = {
+  // Actions without a payload
+  none: () => ({}),
+
+  // A single non-negative integer, e.g. 'genre_page_3'
+  int: name => rest => (/^\d+$/.test(rest) ? { [name]: parseInt(rest, 10) } : null),
+
+  // Raw string, e.g. 'source_mangadex'
+  string: name => rest => (rest ? { [name]: rest } : null),
+
+  // Callback token registered with createCallbackData()
+  token: rest => resolveCallbackToken(rest),
+
+  // Callback token, or the raw value sent by buttons created before tokens existed
+  tokenOr: name => rest => resolveCallbackToken(rest) || (rest ? { [name]: rest } : null),
+
+  // Stored result session and page, e.g. 'search_page_Ab3dE9xZ_2'
+  sessionPage: rest => {
+    const match = rest.match(/^([A-Za-z0-9]+)_(\d+)$/);
+    return match ? { sessionId: match[1], page: parseInt(match[2], 10) } : null;
+  },
+
+  // Slug with an optional trailing page, e.g. 'genre_slice_of_life_2'.
+  // Only the last segment is treated as the page, so slugs may contain '_'.
+  slugAndPage: name => rest => {
+    const match = rest.match(/^(.+?)(?:_(\d+))?$/);
+    if (!match) return null;
+    return { [name]: match[1], page: match[2] ? parseInt(match[2], 10) : 1 };
+  }
+};
+
+/**
+ * Answers the callback query up front so the button stops spinning while
+ * slow handlers run. Skipped when an earlier middleware already answered.
+ */
+function answerQuery() {
+  return async (ctx, next) => {
+    if (!ctx.answered) {
+      ctx.answered = true;
+      try {
+        await ctx.bot.answerCallbackQuery(ctx.query.id);
+      } catch (error) {
+        logger.warn('Failed to answer callback query', { chatId: ctx.chatId, data: ctx.data, error: error.message });
+      }
+    }
+    await next();
+  };
+}
+
+/**
+ * Logs every callback with its resolved action and duration
+ */
+function logCallbacks() {
+  return async (ctx, next) => {
+    const startTime = Date.now();
+    logger.info('Received callback query', { chatId: ctx.chatId, data: ctx.data, action: ctx.action });
+    await next();
+    logger.info('Handled callback query', { chatId: ctx.chatId, action: ctx.action, ms: Date.now() - startTime });
+  };
+}
+
+/**
+ * Limits how many callbacks a user may trigger per time window
+ * @param {Object} [options]
+ * @param {number} [options.limit] - Callbacks allowed per window
+ * @param {number} [options.windowMs] - Window length in milliseconds
+ */
+function rateLimit({ limit = 20, windowMs = 10000 } = {}) {
+  const hits = new Map();
+  let lastSweep = Date.now();
+
+  // Forget users whose window has emptied, at most once per window
+  function sweep(now) {
+    if (now - lastSweep < windowMs) return;
+    lastSweep = now;
+    for (const [userId, times] of hits) {
+      if (now - times[times.length - 1] >= windowMs) hits.delete(userId);
+    }
+  }
+
+  return async (ctx, next) => {
+    const userId = ctx.query.from.id;
+    const now = Date.now();
+    sweep(now);
+    const recent = (hits.get(userId) || []).filter(time => now - time < windowMs);
+
+    if (recent.length >= limit) {
+      hits.set(userId, recent);
+      logger.warn('Rate limited callback query', { chatId: ctx.chatId, userId, data: ctx.data });
+      ctx.answered = true;
+      try {
+        await ctx.bot.answerCallbackQuery(ctx.query.id, { text: '⏳ Too many requests. Please slow down.', show_alert: false });
+      } catch (error) {
+        logger.warn('Failed to answer rate limited query', { chatId: ctx.chatId, error: error.message });
+      }
+      return;
+    }
+
+    recent.push(now);
+    hits.set(userId, recent);
+    await next();
+  };
+}
+
+/**
+ * Turns handler errors into an error message with a retry button
+ * (the same message handleCallbackWithLoading shows)
+ */
+function retryOnError() {
+  return async (ctx, next) => {
+    try {
+      await next();
+    } catch (error) {
+      logger.error('Callback handler failed', { chatId: ctx.chatId, data: ctx.data, error: error.message });
+      await safeEditOrSend(ctx.bot, ctx.chatId, ctx.messageId, {
+        text: sourceErrorText(error, '❌ Something went wrong. Please try again.'),
+        reply_markup: {
+          inline_keyboard: [[{
+            text: '🔄 Retry',
+            callback_data: ctx.data
+          }]]
+        }
+      }, false, DELETION_TIMEOUTS.ERROR_MESSAGE);
+    }
+  };
+}
+
+/**
+ * Default handler for callback data no route matches (e.g. buttons from an older version)
+ */
+async function unknownAction(ctx) {
+  logger.warn('Unknown callback action', { chatId: ctx.chatId, data: ctx.data });
+  await safeEditOrSend(ctx.bot, ctx.chatId, ctx.messageId, {
+    text: '⚠️ This button is no longer available.',
+    reply_markup: {
+      inline_keyboard: [[{
+        text: '🏠 Back to Start',
+        callback_data: 'back_to_start'
+      }]]
+    }
+  }, false, DELETION_TIMEOUTS.ERROR_MESSAGE);
+}
+
+/**
+ * Default handler for callback data whose payload cannot be parsed or has expired
+ */
+async function invalidPayload(ctx) {
+  logger.warn('Invalid callback payload', { chatId: ctx.chatId, data: ctx.data });
+  await safeEditOrSend(ctx.bot, ctx.chatId, ctx.messageId, {
+    text: '⌛ Session expired. Please search again.',
+    reply_markup: {
+      inline_keyboard: [[{
+        text: '🔍 New Search',
+        callback_data: 'quick_search'
+      }]]
+    }
+  }, false, DELETION_TIMEOUTS.ERROR_MESSAGE);
+}
+
+/**
+ * Create a callback query router.
+ *
+ * Features register action names; callback_data is '<action>' or
+ * '<action>_<payload>'. The longest registered action that matches wins, so
+ * 'genre_page' and 'genre_back' can live next to 'genre'.
+ * @param {Object} bot - Telegram bot instance
+ * @returns {Object} - Router with use(), action(), fallback() and handle()
+ */
+function createCallbackRouter(bot) {
+  const middlewares = [];
+  const routes = new Map();
+  let fallback = unknownAction;
+
+  function match(data) {
+    let best = null;
+    for (const [action, route] of routes) {
+      if (data === action) return { action, route, rest: '' };
+      if (data.startsWith(`${action}_`) && (!best || action.length > best.action.length)) {
+        best = { action, route, rest: data.substring(action.length + 1) };
+      }
+    }
+    return best;
+  }
+
+  async function dispatch(ctx, matched) {
+    if (!matched) {
+      await fallback(ctx);
+      return;
+    }
+
+    const { route, rest } = matched;
+    ctx.payload = route.parse(rest);
+    if (!ctx.payload) {
+      await (route.onInvalid || invalidPayload)(ctx);
+      return;
+    }
+
+    if (route.loading) {
+      const loadingText = typeof route.loading === 'function' ? route.loading(ctx) : route.loading;
+      await handleCallbackWithLoading(
+        ctx.bot,
+        ctx.query,
+        () => route.handler(ctx),
+        loadingText,
+        DELETION_TIMEOUTS.LOADING_MESSAGE
+      );
+    } else {
+      await route.handler(ctx);
+    }
+  }
+
+  const router = {
+    /**
+     * Add middleware, called as middleware(ctx, next) in registration order
+     * @param {Function} middleware - Middleware function
+     */
+    use(middleware) {
+      middlewares.push(middleware);
+      return router;
+    },
+
+    /**
+     * Register an action
+     * @param {string} action - Action name (callback_data prefix)
+     * @param {Object} options - Route options
+     * @param {Function} [options.parse] - Payload parser (default: parsers.none)
+     * @param {Function} options.handler - async (ctx) => void
+     * @param {string|Function} [options.loading] - Loading text (or ctx => text); wraps the handler with a loading state
+     * @param {Function} [options.onInvalid] - Called when the payload cannot be parsed
+     */
+    action(action, { parse = parsers.none, handler, loading, onInvalid }) {
+      if (routes.has(action)) {
+        throw new Error(`Callback action already registered: ${action}`);
+      }
+      routes.set(action, { parse, handler, loading, onInvalid });
+      return router;
+    },
+
+    /**
+     * Replace the handler for unknown actions
+     * @param {Function} handler - async (ctx) => void
+     */
+    fallback(handler) {
+      fallback = handler;
+      return router;
+    },
+
+    /**
+     * Route a callback query through middleware to its handler
+     * @param {Object} query - Telegram callback query
+     */
+    async handle(query) {
+      try {
+        // Queries on inline-mode messages come without a message; reading it fails here and gets logged
+        const message = query.message;
+        const ctx = {
+          bot,
+          query,
+          data: query.data || '',
+          message,
+          chatId: message.chat.id,
+          messageId: message.message_id,
+          from: query.from,
+          action: null,
+          payload: null,
+          answered: false
+        };
+        const matched = match(ctx.data);
+        ctx.action = matched ? matched.action : null;
+
+        const chain = [...middlewares, c => dispatch(c, matched)];
+        const run = async index => {
+          if (index >= chain.length) return;
+          await chain[index](ctx, () => run(index + 1));
+        };
+
+        await run(0);
+      } catch (error) {
+        const chatId = query.message && query.message.chat ? query.message.chat.id : undefined;
+        logger.error('Unhandled callback error', { chatId, data: query.data, error: error.message });
+      }
+    }
+  };
+
+  return router;
+}
+
+module.exports = {
+  createCallbackRouter,
+  parsers,
+  answerQuery,
+  logCallbacks,
+  rateLimit,
+  retryOnError
+};
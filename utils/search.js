@@ -1,15 +1,19 @@
-const axios = require('axios');
+const { getSource } = require('./sources');
+const { isSourceUnavailable } = require('./http');
+const { createCallbackData } = require('./callbackTokens');
 
 /**
  * Search for manga using the API
  * @param {string} query - Search query
+ * @param {string} [sourceName] - Manga source (defaults to the configured source)
  * @returns {Promise<Array>} - Search results
+ * @throws {SourceUnavailableError} - When the source is down
  */
-async function searchManga(query) {
+async function searchManga(query, sourceName) {
   try {
-    const response = await axios.get(`https://api.samirb.com.np/manga/search?q=${encodeURIComponent(query)}`);
-    return response.data;
+    return await getSource(sourceName).search(query);
   } catch (error) {
+    if (isSourceUnavailable(error)) throw error;
     console.error('Error searching manga:', error.message);
     return [];
   }
@@ -19,9 +23,11 @@ async function searchManga(query) {
  * Create search results message with inline keyboard buttons
  * @param {Array} results - Search results
  * @param {number} page - Current page (for pagination)
+ * @param {string} sessionId - Session the results are stored under
+ * @param {string} [sourceName] - Source the results came from, kept in the detail buttons
  * @returns {Object} - Message options with inline keyboard
  */
-function createSearchResultsMessage(results, page = 0) {
+function createSearchResultsMessage(results, page = 0, sessionId, sourceName) {
   if (!results || results.length === 0) {
     return {
       text: '❌ No manga found. Please try a different search term.',
@@ -47,13 +53,10 @@ function createSearchResultsMessage(results, page = 0) {
     message += `📅 Updated: ${manga.updatedAt}\n`;
     message += `👀 Views: ${manga.views}\n\n`;
     
-    // Create shorter callback data to avoid 64-byte limit
-    const shortId = manga.id.length > 20 ? manga.id.substring(0, 20) : manga.id;
-    
-    // Add button for each manga
+    // Add button for each manga (the full ID travels in a callback token)
     keyboard.push([{
       text: `${globalIndex}. ${manga.title}`,
-      callback_data: `det_${shortId}`
+      callback_data: createCallbackData('det', { mangaId: manga.id, sourceName })
     }]);
   });
 
@@ -65,7 +68,7 @@ function createSearchResultsMessage(results, page = 0) {
     if (page > 0) {
       paginationRow.push({
         text: '⬅️ Previous',
-        callback_data: `search_page_${page - 1}`
+        callback_data: `search_page_${sessionId}_${page - 1}`
       });
     }
     
@@ -77,7 +80,7 @@ function createSearchResultsMessage(results, page = 0) {
     if (page < totalPages - 1) {
       paginationRow.push({
         text: 'Next ➡️',
-        callback_data: `search_page_${page + 1}`
+        callback_data: `search_page_${sessionId}_${page + 1}`
       });
     }
     
@@ -0,0 +1,90 @@
+const crypto = require('crypto');
+const config = require('./config');
+const { getStore } = require('./storage');
+const { getSource } = require('./sources');
+
+/**
+ * Telegram file_ids of documents the bot already uploaded, so a chapter built
+ * once can be re-sent instantly. Entries are kept per source and chapter and
+ * remember a fingerprint of the chapter's page list; when upstream pages change
+ * the fingerprint no longer matches and every stored variant is dropped.
+ */
+const sentFilesStore = getStore('sent-files');
+
+function chapterKey(sourceName, chapterId) {
+  return `${sourceName}:${chapterId}`;
+}
+
+// Same settings in any key order give the same key
+function settingsKey(settings) {
+  return JSON.stringify(Object.keys(settings).sort().map(key => [key, settings[key]]));
+}
+
+/**
+ * Fingerprint a chapter's page list
+ * @param {Array} pages - Pages from the source adapter ({ page, imageUrl })
+ * @param {string} [sourceName] - Source the pages came from
+ * @returns {string} - Hash of the page numbers and image keys in order; image hosts and
+ *   tokens change between requests for the same pages, so only the source's imageKey is used
+ */
+function pagesFingerprint(pages, sourceName) {
+  const source = getSource(sourceName);
+  const hash = crypto.createHash('sha1');
+  for (const page of pages) {
+    hash.update(`${page.page}:${source.imageKey(page.imageUrl)}\n`);
+  }
+  return hash.digest('hex');
+}
+
+/**
+ * Get a previously uploaded file for a chapter
+ * @param {string} sourceName - Source the chapter came from
+ * @param {string} chapterId - Chapter ID
+ * @param {Object} settings - Generation settings the file was built with
+ * @param {string} fingerprint - Fingerprint of the chapter's current pages
+ * @returns {Object|null} - { fileId, filename, totalPages, size }, or null when
+ *   there is none for these settings or the pages have changed since
+ */
+function getSentFile(sourceName, chapterId, settings, fingerprint) {
+  const entry = sentFilesStore.get(chapterKey(sourceName, chapterId));
+  if (!entry) return null;
+  if (entry.fingerprint !== fingerprint) {
+    forgetSentFiles(sourceName, chapterId);
+    return null;
+  }
+  return entry.files[settingsKey(settings)] || null;
+}
+
+/**
+ * Remember an uploaded file for a chapter
+ * @param {string} sourceName - Source the chapter came from
+ * @param {string} chapterId - Chapter ID
+ * @param {Object} settings - Generation settings the file was built with
+ * @param {string} fingerprint - Fingerprint of the pages the file was built from
+ * @param {Object} file - { fileId, filename, totalPages, size }
+ */
+function rememberSentFile(sourceName, chapterId, settings, fingerprint, file) {
+  const key = chapterKey(sourceName, chapterId);
+  const entry = sentFilesStore.get(key);
+  const files = entry && entry.fingerprint === fingerprint ? entry.files : {};
+  sentFilesStore.set(key, {
+    fingerprint,
+    files: { ...files, [settingsKey(settings)]: { ...file, sentAt: Date.now() } }
+  }, config.sentFileTtl);
+}
+
+/**
+ * Forget every uploaded file for a chapter
+ * @param {string} sourceName - Source the chapter came from
+ * @param {string} chapterId - Chapter ID
+ */
+function forgetSentFiles(sourceName, chapterId) {
+  sentFilesStore.delete(chapterKey(sourceName, chapterId));
+}
+
+module.exports = {
+  pagesFingerprint,
+  getSentFile,
+  rememberSentFile,
+  forgetSentFiles
+};
@@ -0,0 +1,135 @@
+const { createHttpClient } = require('../http');
+
+/**
+ * Create the DuckyDex API source adapter
+ * @param {Object} options - Adapter options
+ * @param {string} options.baseUrl - API base URL, e.g. https://api.samirb.com.np
+ * @param {string} options.siteUrl - Reader site, e.g. https://duckydex.samirb.com.np
+ * @returns {Object} - Source adapter
+ */
+function createDuckyDexSource({ baseUrl, siteUrl }) {
+  const api = `${baseUrl}/manga`;
+  const client = createHttpClient();
+
+  return {
+    name: 'duckydex',
+    displayName: 'DuckyDex',
+
+    /**
+     * Search manga by title
+     * @param {string} query - Search query
+     * @returns {Promise<Array>} - Search results
+     */
+    async search(query) {
+      const response = await client.get(`${api}/search?q=${encodeURIComponent(query)}`);
+      return response.data;
+    },
+
+    /**
+     * Get manga details including the chapter list
+     * @param {string} mangaId - Manga ID
+     * @returns {Promise<Object>} - Manga details
+     */
+    async details(mangaId) {
+      const response = await client.get(`${api}/details/${mangaId}`);
+      return response.data;
+    },
+
+    /**
+     * Get the page images of a chapter
+     * @param {string} chapterId - Chapter ID
+     * @returns {Promise<Array>} - Pages as { page, imageUrl }
+     */
+    async pages(chapterId) {
+      const response = await client.get(`${api}/pages/${chapterId}`);
+      return response.data;
+    },
+
+    /**
+     * Get the latest releases
+     * @returns {Promise<Array>} - Latest manga with their newest chapters
+     */
+    async latest() {
+      const response = await client.get(`${api}/latest`);
+      return Array.isArray(response.data) ? response.data : (response.data.data || []);
+    },
+
+    /**
+     * Get all genres
+     * @returns {Promise<Object>} - Genres object with display name as key and slug as value
+     */
+    async genres() {
+      const response = await client.get(`${api}/genre`);
+      return response.data;
+    },
+
+    /**
+     * Get a page of manga in a genre
+     * @param {string} genre - Genre slug
+     * @param {number} page - Page number (1-based)
+     * @returns {Promise<Object>} - { mangas, currentPage, totalPages, totalstories }
+     */
+    async mangaByGenre(genre, page = 1) {
+      const response = await client.get(`${api}/genre/${genre}?page=${page}`);
+      return response.data;
+    },
+
+    /**
+     * Get a page of manga in a category
+     * @param {string} category - Category name (latest-manga, hot-manga, new-manga, completed-manga)
+     * @param {number} page - Page number (1-based)
+     * @returns {Promise<Object>} - { mangas, currentPage, totalPages, totalstories }
+     */
+    async mangaList(category, page = 1) {
+      const response = await client.get(`${api}/manga-list/${category}?page=${page}`);
+      return response.data;
+    },
+
+    /**
+     * Build a URL that serves an upstream image through the API's image proxy
+     * @param {string} url - Original image URL
+     * @returns {string} - Proxied image URL
+     */
+    imageUrl(url) {
+      return `${api}/img?url=${encodeURIComponent(url)}`;
+    },
+
+    /**
+     * Identify a page image by the part of its URL that stays the same between
+     * requests: the upstream path, without host or query string
+     * @param {string} url - Page image URL as listed by pages(), proxied or not
+     * @returns {string} - Stable image key
+     */
+    imageKey(url) {
+      try {
+        const parsed = new URL(url);
+        const upstream = parsed.searchParams.get('url');
+        return upstream ? this.imageKey(upstream) : parsed.pathname;
+      } catch (error) {
+        return url;
+      }
+    },
+
+    /**
+     * Link to a manga on the reader site
+     * @param {string} mangaId - Manga ID
+     * @returns {string} - Manga page URL
+     */
+    mangaUrl(mangaId) {
+      return `${siteUrl}/manga/${mangaId}`;
+    },
+
+    /**
+     * Link to a chapter on the reader site
+     * @param {string} chapterId - Chapter ID
+     * @returns {string} - Reader URL
+     */
+    readUrl(chapterId) {
+      return `${siteUrl}/read/${chapterId}`;
+    }
+  };
+}
+
+module.exports = {
+  createDuckyDexSource
+};
@@ -0,0 +1,153 @@
+const config = require('../config');
+const { createCache, createMemoryBackend, createDiskBackend } = require('../cache');
+const { getChatPreference, setChatPreference } = require('../preferences');
+const { createDuckyDexSource } = require('./duckydex');
+const { createMangaDexSource } = require('./mangadex');
+
+/**
+ * Manga source adapters.
+ *
+ * Every adapter exposes the same interface so the rest of the bot never
+ * needs to know which upstream it talks to:
+ *   search(query), details(mangaId), pages(chapterId), latest(),
+ *   genres(), mangaByGenre(genre, page), mangaList(category, page),
+ *   imageUrl(url), imageKey(url), mangaUrl(mangaId), readUrl(chapterId)
+ */
+const factories = new Map();
+const instances = new Map();
+
+const responseCache = createCache(
+  config.cacheBackend === 'disk'
+    ? createDiskBackend({
+      dir: config.cacheDir,
+      maxEntries: config.cacheMaxEntries,
+      // Past its ttl and stale window an entry is never served again
+      maxAge: Math.max(...Object.values(config.cachePolicies).map(policy => policy.ttl + policy.staleTtl))
+    })
+    : createMemoryBackend({ maxEntries: config.cacheMaxEntries })
+);
+
+/**
+ * Wrap the cacheable adapter methods with the response cache
+ * @param {string} name - Source name (part of every cache key)
+ * @param {Object} source - Adapter instance
+ * @returns {Object} - Adapter with cached methods
+ */
+function withCache(name, source) {
+  const cached = { ...source };
+  for (const [method, policy] of Object.entries(config.cachePolicies)) {
+    if (typeof source[method] !== 'function') continue;
+    cached[method] = (...args) => responseCache.wrap(
+      method,
+      `${name}:${method}:${JSON.stringify(args)}`,
+      policy,
+      () => source[method](...args)
+    );
+  }
+  return cached;
+}
+
+/**
+ * Register a source adapter factory
+ * @param {string} name - Source name used in config
+ * @param {Function} factory - Returns an adapter instance
+ */
+function registerSource(name, factory) {
+  factories.set(name, factory);
+  instances.delete(name);
+}
+
+/**
+ * Get a source adapter (created once, then reused)
+ * @param {string} [name] - Source name (defaults to the configured source)
+ * @returns {Object} - Source adapter
+ */
+function getSource(name = config.defaultSource) {
+  if (!instances.has(name)) {
+    const factory = factories.get(name);
+    if (!factory) {
+      throw new Error(`Unknown manga source: ${name}`);
+    }
+    instances.set(name, withCache(name, factory()));
+  }
+  return instances.get(name);
+}
+
+/**
+ * Get response cache statistics
+ * @returns {Object} - { size, endpoints: { name: { hits, stale, misses } } }
+ */
+function getCacheStats() {
+  return responseCache.stats();
+}
+
+/**
+ * List registered source names
+ * @returns {Array<string>} - Source names
+ */
+function listSources() {
+  return Array.from(factories.keys());
+}
+
+/**
+ * Get the source name a chat has selected
+ * @param {number|string} chatId - Chat ID
+ * @returns {string} - Source name
+ */
+function getChatSourceName(chatId) {
+  const name = getChatPreference(chatId, 'source', config.defaultSource);
+  return factories.has(name) ? name : config.defaultSource;
+}
+
+/**
+ * Select the source a chat uses
+ * @param {number|string} chatId - Chat ID
+ * @param {string} name - Source name
+ * @returns {boolean} - Whether the source exists and was selected
+ */
+function setChatSourceName(chatId, name) {
+  if (!factories.has(name)) return false;
+  setChatPreference(chatId, 'source', name);
+  return true;
+}
+
+/**
+ * Create source selection message with one button per source
+ * @param {string} currentName - Source the chat currently uses
+ * @returns {Object} - Message options with inline keyboard
+ */
+function createSourceSelectionMessage(currentName) {
+  const keyboard = listSources().map(name => {
+    const source = getSource(name);
+    return [{
+      text: `${name === currentName ? '✅ ' : ''}${source.displayName || name}`,
+      callback_data: `source_${name}`
+    }];
+  });
+
+  return {
+    text: `🌐 *Manga Source*\n\nCurrent source: *${getSource(currentName).displayName || currentName}*\n\nSelect the source this chat should search and download from:`,
+    reply_markup: {
+      inline_keyboard: keyboard
+    },
+    parse_mode: 'Markdown'
+  };
+}
+
+registerSource('duckydex', () => createDuckyDexSource({ baseUrl: config.duckydexApiUrl, siteUrl: config.duckydexSiteUrl }));
+registerSource('mangadex', () => createMangaDexSource({
+  baseUrl: config.mangadexApiUrl,
+  uploadsUrl: config.mangadexUploadsUrl,
+  siteUrl: config.mangadexSiteUrl,
+  language: config.mangadexLanguage
+}));
+
+module.exports = {
+  registerSource,
+  getSource,
+  listSources,
+  getCacheStats,
+  getChatSourceName,
+  setChatSourceName,
+  createSourceSelectionMessage
+};
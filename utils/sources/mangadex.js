@@ -0,0 +1,317 @@
+const { createHttpClient } = require('../http');
+
+// MangaDex caps feed pages at 500 chapters
+const FEED_PAGE_SIZE = 500;
+const LIST_PAGE_SIZE = 24;
+const SEARCH_LIMIT = 50;
+const LATEST_LIMIT = 100;
+
+const CATEGORY_QUERIES = {
+  'latest-manga': { order: { latestUploadedChapter: 'desc' } },
+  'hot-manga': { order: { followedCount: 'desc' } },
+  'new-manga': { order: { createdAt: 'desc' } },
+  'completed-manga': { status: ['completed'], order: { latestUploadedChapter: 'desc' } }
+};
+
+/**
+ * Pick a localized string, falling back to English and then to any language
+ * @param {Object} localized - MangaDex localized string map
+ * @param {string} language - Preferred language code
+ * @returns {string} - Best matching string or empty string
+ */
+function pickLocalized(localized, language) {
+  if (!localized) return '';
+  return localized[language] || localized.en || Object.values(localized)[0] || '';
+}
+
+/**
+ * Find a manga's title, preferring the main title and then alt titles
+ * @param {Object} attributes - Manga attributes
+ * @param {string} language - Preferred language code
+ * @returns {string} - Title
+ */
+function pickTitle(attributes, language) {
+  if (attributes.title && (attributes.title[language] || attributes.title.en)) {
+    return attributes.title[language] || attributes.title.en;
+  }
+  const alt = (attributes.altTitles || []).find(t => t[language] || t.en);
+  if (alt) return alt[language] || alt.en;
+  return pickLocalized(attributes.title, language) || 'Untitled';
+}
+
+/**
+ * Collect author names from included relationships
+ * @param {Array} relationships - Manga relationships
+ * @returns {string} - Comma-separated author names
+ */
+function pickAuthors(relationships) {
+  const names = (relationships || [])
+    .filter(r => (r.type === 'author' || r.type === 'artist') && r.attributes)
+    .map(r => r.attributes.name);
+  return Array.from(new Set(names)).join(', ') || 'Unknown';
+}
+
+/**
+ * Format an ISO date the way the DuckyDex API does (short and readable)
+ * @param {string} iso - ISO date string
+ * @returns {string} - Formatted date
+ */
+function formatDate(iso) {
+  if (!iso) return 'Unknown';
+  const date = new Date(iso);
+  if (Number.isNaN(date.getTime())) return iso;
+  return date.toLocaleDateString('en-US', { year: 'numeric', month: 'short', day: 'numeric' });
+}
+
+/**
+ * Create the MangaDex source adapter.
+ * Responses are mapped onto the same shapes the DuckyDex API returns so the
+ * message builders work unchanged.
+ * @param {Object} options - Adapter options
+ * @param {string} options.baseUrl - API base URL, e.g. https://api.mangadex.org
+ * @param {string} options.uploadsUrl - Cover host, e.g. https://uploads.mangadex.org
+ * @param {string} options.siteUrl - Reader site, e.g. https://mangadex.org
+ * @param {string} options.language - Translated language to list chapters in
+ * @returns {Object} - Source adapter
+ */
+function createMangaDexSource({ baseUrl, uploadsUrl, siteUrl, language = 'en' }) {
+  const client = createHttpClient({
+    baseURL: baseUrl,
+    headers: { 'User-Agent': 'DuckDex-Bot/1.0' }
+  });
+
+  function coverUrl(manga) {
+    const cover = (manga.relationships || []).find(r => r.type === 'cover_art' && r.attributes);
+    if (!cover) return null;
+    return `${uploadsUrl}/covers/${manga.id}/${cover.attributes.fileName}`;
+  }
+
+  function toListItem(manga) {
+    return {
+      id: manga.id,
+      title: pickTitle(manga.attributes, language),
+      chapter: manga.attributes.lastChapter || 'N/A',
+      views: 'N/A'
+    };
+  }
+
+  async function listPage(params, page) {
+    const offset = (page - 1) * LIST_PAGE_SIZE;
+    const response = await client.get('/manga', {
+      params: {
+        ...params,
+        limit: LIST_PAGE_SIZE,
+        offset,
+        availableTranslatedLanguage: [language],
+        contentRating: ['safe', 'suggestive']
+      }
+    });
+    const { data, total } = response.data;
+
+    return {
+      mangas: data.map(toListItem),
+      currentPage: page,
+      totalPages: Math.max(1, Math.ceil(total / LIST_PAGE_SIZE)),
+      totalstories: total
+    };
+  }
+
+  async function fetchFeed(mangaId) {
+    const chapters = [];
+    const seen = new Set();
+    let offset = 0;
+    let total = Infinity;
+
+    while (offset < total) {
+      const response = await client.get(`/manga/${mangaId}/feed`, {
+        params: {
+          translatedLanguage: [language],
+          order: { chapter: 'desc' },
+          includeExternalUrl: 0,
+          limit: FEED_PAGE_SIZE,
+          offset
+        }
+      });
+      total = response.data.total;
+      offset += FEED_PAGE_SIZE;
+
+      for (const chapter of response.data.data) {
+        const { chapter: number } = chapter.attributes;
+        // Several scanlation groups may publish the same chapter; keep the first. Chapters
+        // without a number (oneshots, extras) cannot be matched up, so each one is kept
+        const key = number ? `number:${number}` : `id:${chapter.id}`;
+        if (seen.has(key)) continue;
+        seen.add(key);
+        chapters.push({
+          id: chapter.id,
+          chapter: number || 'Oneshot',
+          views: 'N/A',
+          uploadedAt: formatDate(chapter.attributes.publishAt)
+        });
+      }
+
+      if (response.data.data.length === 0) break;
+    }
+
+    return chapters;
+  }
+
+  async function fetchStatistics(mangaId) {
+    try {
+      const response = await client.get(`/statistics/manga/${mangaId}`);
+      const stats = response.data.statistics[mangaId];
+      const distribution = (stats.rating && stats.rating.distribution) || {};
+      return {
+        rating: stats.rating && stats.rating.average ? stats.rating.average.toFixed(2) : 'N/A',
+        votes: Object.values(distribution).reduce((sum, n) => sum + n, 0)
+      };
+    } catch (error) {
+      // Statistics are decoration only; never fail the details lookup over them
+      return { rating: 'N/A', votes: 'N/A' };
+    }
+  }
+
+  return {
+    name: 'mangadex',
+    displayName: 'MangaDex',
+
+    async search(query) {
+      const response = await client.get('/manga', {
+        params: {
+          title: query,
+          limit: SEARCH_LIMIT,
+          includes: ['author', 'artist'],
+          order: { relevance: 'desc' },
+          contentRating: ['safe', 'suggestive']
+        }
+      });
+
+      return response.data.data.map(manga => ({
+        id: manga.id,
+        title: pickTitle(manga.attributes, language),
+        authors: pickAuthors(manga.relationships),
+        updatedAt: formatDate(manga.attributes.updatedAt),
+        views: 'N/A'
+      }));
+    },
+
+    async details(mangaId) {
+      const response = await client.get(`/manga/${mangaId}`, {
+        params: { includes: ['author', 'artist', 'cover_art'] }
+      });
+      const manga = response.data.data;
+      const { attributes } = manga;
+
+      const [chapters, stats] = await Promise.all([
+        fetchFeed(mangaId),
+        fetchStatistics(mangaId)
+      ]);
+
+      return {
+        id: manga.id,
+        title: pickTitle(attributes, language),
+        author: pickAuthors(manga.relationships),
+        status: attributes.status ? attributes.status.charAt(0).toUpperCase() + attributes.status.slice(1) : 'Unknown',
+        updatedAt: formatDate(attributes.updatedAt),
+        views: 'N/A',
+        genres: (attributes.tags || [])
+          .filter(tag => tag.attributes.group === 'genre')
+          .map(tag => pickLocalized(tag.attributes.name, language)),
+        rating: stats.rating,
+        votes: stats.votes,
+        summary: pickLocalized(attributes.description, language),
+        imageUrl: coverUrl(manga),
+        chapters
+      };
+    },
+
+    async pages(chapterId) {
+      const response = await client.get(`/at-home/server/${chapterId}`);
+      const { baseUrl: serverUrl, chapter } = response.data;
+
+      return chapter.data.map((file, index) => ({
+        page: index + 1,
+        imageUrl: `${serverUrl}/data/${chapter.hash}/${file}`
+      }));
+    },
+
+    async latest() {
+      const response = await client.get('/chapter', {
+        params: {
+          translatedLanguage: [language],
+          order: { readableAt: 'desc' },
+          includes: ['manga'],
+          includeExternalUrl: 0,
+          contentRating: ['safe', 'suggestive'],
+          limit: LATEST_LIMIT
+        }
+      });
+
+      // Group chapters by manga, newest first, like the DuckyDex latest list
+      const byManga = new Map();
+      for (const chapter of response.data.data) {
+        const manga = chapter.relationships.find(r => r.type === 'manga');
+        if (!manga || !manga.attributes) continue;
+
+        if (!byManga.has(manga.id)) {
+          byManga.set(manga.id, {
+            id: manga.id,
+            title: pickTitle(manga.attributes, language),
+            latestChapters: []
+          });
+        }
+        byManga.get(manga.id).latestChapters.push({
+          id: chapter.id,
+          chapter: chapter.attributes.chapter || 'Oneshot',
+          releaseDate: formatDate(chapter.attributes.readableAt)
+        });
+      }
+
+      return Array.from(byManga.values());
+    },
+
+    async genres() {
+      const response = await client.get('/manga/tag');
+      const genres = {};
+      response.data.data
+        .filter(tag => tag.attributes.group === 'genre')
+        .map(tag => [pickLocalized(tag.attributes.name, 'en'), tag.id])
+        .sort(([a], [b]) => a.localeCompare(b))
+        .forEach(([name, id]) => { genres[name] = id; });
+      return genres;
+    },
+
+    async mangaByGenre(genre, page = 1) {
+      return await listPage({ includedTags: [genre], order: { followedCount: 'desc' } }, page);
+    },
+
+    async mangaList(category, page = 1) {
+      const query = CATEGORY_QUERIES[category];
+      if (!query) throw new Error(`Unknown category: ${category}`);
+      return await listPage(query, page);
+    },
+
+    imageUrl(url) {
+      // Covers are served directly by the uploads host; no proxy required
+      return url;
+    },
+
+    imageKey(url) {
+      // At-home URLs are {node}/{token?}/data/{chapter hash}/{file}; the node and token rotate
+      const match = url.match(/\/data(?:-saver)?\/[^?#]+/);
+      return match ? match[0] : url;
+    },
+
+    mangaUrl(mangaId) {
+      return `${siteUrl}/title/${mangaId}`;
+    },
+
+    readUrl(chapterId) {
+      return `${siteUrl}/chapter/${chapterId}`;
+    }
+  };
+}
+
+module.exports = {
+  createMangaDexSource
+};
@@ -0,0 +1,204 @@
+const fs = require('fs');
+const path = require('path');
+const config = require('./config');
+
+// How long writes are batched before a namespace is flushed to disk
+const FLUSH_DELAY = 1000;
+
+const stores = new Map();
+
+/**
+ * Write a file atomically so a crash mid-write never leaves broken JSON
+ * @param {string} file - Target path
+ * @param {string} contents - File contents
+ * @returns {Promise<void>}
+ */
+async function writeFileAtomic(file, contents) {
+  const tmp = `${file}.${process.pid}.tmp`;
+  await fs.promises.writeFile(tmp, contents);
+  await fs.promises.rename(tmp, file);
+}
+
+/**
+ * Create a persistent key/value store backed by one JSON file.
+ * Reads are served from memory; writes are flushed to disk shortly after
+ * (and by flushAllStores on shutdown), so data survives restarts and deploys.
+ * Each entry may carry an expiry, after which the store forgets it; expired
+ * entries are pruned before every write, and a capped store drops its least
+ * recently stored entries, so the file stays small enough to rewrite whole.
+ * @param {string} namespace - Store name, used as the file name
+ * @param {Object} [options]
+ * @param {number} [options.maxEntries] - Most entries kept (unlimited when omitted)
+ * @returns {Object} - Store with get/set/delete/entries/cleanup/flush
+ */
+function createFileStore(namespace, { maxEntries = Infinity } = {}) {
+  if (!fs.existsSync(config.storageDir)) fs.mkdirSync(config.storageDir, { recursive: true });
+  const file = path.join(config.storageDir, `${namespace}.json`);
+  const entries = new Map();
+  let flushTimer = null;
+  let writing = null;
+  let dirty = false;
+
+  try {
+    const saved = JSON.parse(fs.readFileSync(file, 'utf8'));
+    for (const [key, entry] of Object.entries(saved)) {
+      entries.set(key, entry);
+    }
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.error(`Error loading ${namespace} store:`, error.message);
+    }
+  }
+
+  function isExpired(entry) {
+    return entry.expiresAt !== null && entry.expiresAt <= Date.now();
+  }
+
+  function prune() {
+    let removed = 0;
+    for (const [key, entry] of entries.entries()) {
+      if (isExpired(entry)) {
+        entries.delete(key);
+        removed++;
+      }
+    }
+    // Map order is insertion order, and set() re-inserts, so the first keys are the least recently stored
+    for (const key of entries.keys()) {
+      if (entries.size <= maxEntries) break;
+      entries.delete(key);
+      removed++;
+    }
+    return removed;
+  }
+
+  async function flush() {
+    if (flushTimer) {
+      clearTimeout(flushTimer);
+      flushTimer = null;
+    }
+    // One write at a time; changes made meanwhile go out in the next write
+    while (writing) await writing;
+    if (!dirty) return;
+    dirty = false;
+    prune();
+
+    writing = writeFileAtomic(file, JSON.stringify(Object.fromEntries(entries)))
+      .catch(error => {
+        dirty = true;
+        console.error(`Error saving ${namespace} store:`, error.message);
+      })
+      .finally(() => { writing = null; });
+    await writing;
+  }
+
+  function scheduleFlush() {
+    dirty = true;
+    if (flushTimer) return;
+    flushTimer = setTimeout(flush, FLUSH_DELAY);
+    flushTimer.unref();
+  }
+
+  const store = {
+    /**
+     * Get a stored value
+     * @param {string} key - Key
+     * @returns {*} - Value, or null when missing or expired
+     */
+    get(key) {
+      const entry = entries.get(String(key));
+      if (!entry) return null;
+      if (isExpired(entry)) {
+        entries.delete(String(key));
+        scheduleFlush();
+        return null;
+      }
+      return entry.value;
+    },
+
+    /**
+     * Store a value
+     * @param {string} key - Key
+     * @param {*} value - JSON-serializable value
+     * @param {number} [ttl] - Milliseconds until the entry expires (omit to keep forever)
+     */
+    set(key, value, ttl) {
+      entries.delete(String(key));
+      entries.set(String(key), {
+        value,
+        expiresAt: ttl ? Date.now() + ttl : null
+      });
+      if (entries.size > maxEntries) entries.delete(entries.keys().next().value);
+      scheduleFlush();
+    },
+
+    /**
+     * Remove a value
+     * @param {string} key - Key
+     */
+    delete(key) {
+      if (entries.delete(String(key))) scheduleFlush();
+    },
+
+    /**
+     * List live entries
+     * @returns {Array<[string, *]>} - Key/value pairs
+     */
+    entries() {
+      return Array.from(entries.entries())
+        .filter(([, entry]) => !isExpired(entry))
+        .map(([key, entry]) => [key, entry.value]);
+    },
+
+    /**
+     * Drop expired entries
+     * @returns {number} - Number of entries removed
+     */
+    cleanup() {
+      const removed = prune();
+      if (removed > 0) scheduleFlush();
+      return removed;
+    },
+
+    /**
+     * Write pending changes to disk now
+     * @returns {Promise<void>}
+     */
+    flush
+  };
+
+  return store;
+}
+
+/**
+ * Get the store for a namespace (opened once, then reused)
+ * @param {string} namespace - Store name
+ * @param {Object} [options] - Store options (see createFileStore), used when the store is first opened
+ * @returns {Object} - Store
+ */
+function getStore(namespace, options) {
+  if (!stores.has(namespace)) {
+    stores.set(namespace, createFileStore(namespace, options));
+  }
+  return stores.get(namespace);
+}
+
+/**
+ * Write every open store to disk now.
+ * Call this on shutdown so pending writes are not lost.
+ * @returns {Promise<void>}
+ */
+async function flushAllStores() {
+  await Promise.all(Array.from(stores.values(), store => store.flush()));
+}
+
+// Expire old entries every 10 minutes
+setInterval(() => {
+  for (const store of stores.values()) {
+    store.cleanup();
+  }
+}, 10 * 60 * 1000).unref();
+
+module.exports = {
+  getStore,
+  flushAllStores
+};
@@ -0,0 +1,138 @@
+const sharp = require('sharp');
+const { encodePage } = require('./profiles');
+
+/**
+ * Long-strip (webtoon) slicing. Webtoon chapters come as a few very tall
+ * images; as single PDF pages they shrink to slivers on a phone. Strips are
+ * cut into pages of a readable height, and each cut is moved to the nearest
+ * wide gutter (a run of flat rows between panels) so speech bubbles and
+ * panels are not split when it can be helped.
+ */
+
+// An image this many times taller than wide is a strip
+const STRIP_RATIO = 3;
+
+// Slices aim for this height-to-width ratio and may end up a quarter shorter
+// or taller to land on a gutter
+const PAGE_RATIO = 1.5;
+const CUT_WINDOW = 0.25;
+
+// A row whose darkest and brightest samples differ by no more than this is gutter
+const GUTTER_TOLERANCE = 16;
+
+// Pixels sampled per row when looking for gutters
+const ROW_SAMPLES = 64;
+
+/**
+ * Whether an image is a long strip that should be sliced
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @returns {boolean}
+ */
+function isStrip(width, height) {
+  return height / width > STRIP_RATIO;
+}
+
+// Per row, the difference between the darkest and the brightest sampled pixel
+function rowSpreads(data, { width, height, channels }) {
+  const spreads = new Uint8Array(height);
+  const step = Math.max(Math.floor(width / ROW_SAMPLES), 1);
+
+  for (let row = 0; row < height; row++) {
+    let min = 255;
+    let max = 0;
+    for (let x = 0; x < width; x += step) {
+      const i = (row * width + x) * channels;
+      // Cheap luma; grayscale images only have the one channel
+      const value = channels >= 3 ? (data[i] + 2 * data[i + 1] + data[i + 2]) >> 2 : data[i];
+      if (value < min) min = value;
+      if (value > max) max = value;
+    }
+    spreads[row] = max - min;
+  }
+  return spreads;
+}
+
+/**
+ * Choose the rows to cut a strip at
+ * @param {Uint8Array} spreads - Per-row spread from rowSpreads
+ * @param {number} pageHeight - Preferred slice height in rows
+ * @returns {Array<number>} - Cut rows in order; each slice runs from one cut to the next
+ */
+function findCuts(spreads, pageHeight) {
+  const cuts = [];
+  let start = 0;
+
+  // Whatever is left once it fits in one slice becomes the last page
+  while (spreads.length - start > pageHeight * (1 + CUT_WINDOW)) {
+    // The last two slices share what is left, so the strip does not end on a sliver
+    const remaining = spreads.length - start;
+    const step = remaining < pageHeight * 2 ? remaining / 2 : pageHeight;
+    const target = start + Math.round(step);
+    const slack = Math.round(step * CUT_WINDOW);
+    let best = null;
+    let runStart = -1;
+
+    // The widest gutter in the window wins, the one closest to the target height on a tie
+    for (let row = target - slack; row <= target + slack + 1; row++) {
+      const gutter = row <= target + slack && spreads[row] <= GUTTER_TOLERANCE;
+      if (gutter && runStart < 0) runStart = row;
+      if (!gutter && runStart >= 0) {
+        const length = row - runStart;
+        const middle = runStart + Math.floor(length / 2);
+        if (!best || length > best.length ||
+          (length === best.length && Math.abs(middle - target) < Math.abs(best.middle - target))) {
+          best = { length, middle };
+        }
+        runStart = -1;
+      }
+    }
+
+    // No gutter nearby: a clean cut at the target height beats an odd-sized page
+    const cut = best ? best.middle : target;
+    cuts.push(cut);
+    start = cut;
+  }
+  return cuts;
+}
+
+/**
+ * Resize a long strip and cut it into pages encoded for a reading profile
+ * @param {Buffer|string} input - Image bytes or a file path
+ * @param {Object} profile - Reading profile (see utils/profiles.js)
+ * @param {number} [quality] - JPEG quality, for JPEG profiles
+ * @returns {Promise<Array|null>} - Slices from top to bottom ({ buffer, width, height, format }),
+ *   or null when the image is not a strip
+ */
+async function sliceStrip(input, profile, quality) {
+  const metadata = await sharp(input).metadata();
+  if (!isStrip(metadata.width, metadata.height)) return null;
+
+  // One decode of the strip at the profile's width; every slice is cut from it
+  let strip = sharp(input);
+  if (profile.maxWidth) strip = strip.resize({ width: profile.maxWidth, withoutEnlargement: true });
+  const { data, info } = await strip
+    .removeAlpha()
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+
+  const cuts = findCuts(rowSpreads(data, info), Math.round(info.width * PAGE_RATIO));
+  const edges = [0, ...cuts, info.height];
+  const raw = { width: info.width, height: info.height, channels: info.channels };
+
+  const slices = [];
+  for (let i = 0; i < edges.length - 1; i++) {
+    const slice = sharp(data, { raw })
+      .extract({ left: 0, top: edges[i], width: info.width, height: edges[i + 1] - edges[i] });
+    slices.push(await encodePage(slice, profile, quality));
+  }
+
+  console.log(`✂️ Sliced ${metadata.width}×${metadata.height} strip into ${slices.length} pages`);
+  return slices;
+}
+
+module.exports = {
+  isStrip,
+  findCuts,
+  sliceStrip
+};
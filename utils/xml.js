@@ -0,0 +1,17 @@
+/**
+ * Escape text for XML and SVG: ComicInfo.xml, EPUB documents, cover pages
+ * and page placeholders all put manga titles and summaries in markup.
+ * @param {*} value - Text (or anything with a string form)
+ * @returns {string} - Text safe in element content and double-quoted attributes
+ */
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+module.exports = {
+  escapeXml
+};
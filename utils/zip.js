@@ -0,0 +1,118 @@
+const fs = require('fs');
+
+/**
+ * Minimal ZIP writer for comic archives. Entries are stored uncompressed:
+ * page images are already compressed, and readers open stored archives fastest.
+ */
+
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+      c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    }
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+function crc32(buffer) {
+  let crc = 0xffffffff;
+  for (let i = 0; i < buffer.length; i++) {
+    crc = CRC_TABLE[(crc ^ buffer[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+// MS-DOS date and time fields used by ZIP headers
+function dosDateTime(date) {
+  return {
+    time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+    date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+  };
+}
+
+// Local and central directory headers of one stored entry
+function entryHeaders(name, data, offset, { time, date }) {
+  const crc = crc32(data);
+
+  const local = Buffer.alloc(30);
+  local.writeUInt32LE(0x04034b50, 0);
+  local.writeUInt16LE(20, 4);          // version needed
+  local.writeUInt16LE(0x0800, 6);      // UTF-8 names
+  local.writeUInt16LE(0, 8);           // stored
+  local.writeUInt16LE(time, 10);
+  local.writeUInt16LE(date, 12);
+  local.writeUInt32LE(crc, 14);
+  local.writeUInt32LE(data.length, 18);
+  local.writeUInt32LE(data.length, 22);
+  local.writeUInt16LE(name.length, 26);
+  local.writeUInt16LE(0, 28);
+
+  const central = Buffer.alloc(46);
+  central.writeUInt32LE(0x02014b50, 0);
+  central.writeUInt16LE(20, 4);        // version made by
+  central.writeUInt16LE(20, 6);        // version needed
+  central.writeUInt16LE(0x0800, 8);
+  central.writeUInt16LE(0, 10);
+  central.writeUInt16LE(time, 12);
+  central.writeUInt16LE(date, 14);
+  central.writeUInt32LE(crc, 16);
+  central.writeUInt32LE(data.length, 20);
+  central.writeUInt32LE(data.length, 24);
+  central.writeUInt16LE(name.length, 28);
+  central.writeUInt32LE(offset, 42);
+
+  return { local, central };
+}
+
+// End of central directory record
+function endRecord(count, centralSize, centralOffset) {
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(count, 8);
+  end.writeUInt16LE(count, 10);
+  end.writeUInt32LE(centralSize, 12);
+  end.writeUInt32LE(centralOffset, 16);
+  return end;
+}
+
+function entryData(data) {
+  return Buffer.isBuffer(data) ? data : Buffer.from(data, 'utf8');
+}
+
+/**
+ * Write a ZIP archive straight to a file. Entries given as a path are read
+ * one at a time, so only the entry being written is held in memory.
+ * @param {string} file - Output path
+ * @param {Array} entries - Files in archive order: { name, data } with data a Buffer or string, or { name, path }
+ * @returns {Promise<number>} - Size of the archive in bytes
+ */
+async function writeZip(file, entries) {
+  const stamp = dosDateTime(new Date());
+  const centralParts = [];
+  let offset = 0;
+
+  const handle = await fs.promises.open(file, 'w');
+  try {
+    for (const entry of entries) {
+      const name = Buffer.from(entry.name, 'utf8');
+      const data = entry.path ? await fs.promises.readFile(entry.path) : entryData(entry.data);
+      const { local, central } = entryHeaders(name, data, offset, stamp);
+      await handle.writev([local, name, data]);
+      centralParts.push(central, name);
+      offset += local.length + name.length + data.length;
+    }
+
+    const centralSize = centralParts.reduce((sum, part) => sum + part.length, 0);
+    await handle.write(Buffer.concat([...centralParts, endRecord(entries.length, centralSize, offset)]));
+    return offset + centralSize + 22;
+  } finally {
+    await handle.close();
+  }
+}
+
+module.exports = {
+  writeZip
+};